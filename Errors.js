@@ -10,7 +10,15 @@ class AuthError extends Error {
   }
 }
 
+// A file that cannot be turned into something the browser displays (not worth retrying)
+class UnsupportedFormatError extends Error {
+  get name() {
+    return this.constructor.name;
+  }
+}
+
 module.exports = {
   ConfigFileError,
   AuthError,
+  UnsupportedFormatError,
 };
@@ -7,11 +7,22 @@ Module.register("MMM-CloudPhotos", {
     showWidth: 1080,
     showHeight: 1920,
     timeFormat: "relative", // Use "relative" for "3 years ago" style, or a moment format like "YYYY/MM/DD HH:mm"
+    updateInterval: 60000,
+    transition: "crossfade", // "crossfade", "slide", "zoom", "kenBurns", "random", an array to pick from, or { effect, direction, duration }
+    transitionDuration: 2000,
+    layout: "single", // "pair": two portraits side by side on landscape screens, two landscapes stacked on portrait screens; "grid": tiles
+    gridColumns: 3,
+    gridRows: 2,
   },
   requiresVersion: "2.24.0",
 
   suspended: false,
 
+  // Photo decoded ahead of its DISPLAY_PHOTO: { id, ready }
+  preloaded: null,
+
+  transitionEffects: ["crossfade", "slide", "zoom", "kenBurns"],
+
   getStyles: function () {
     return ["MMM-CloudPhotos.css"];
   },
@@ -21,6 +32,9 @@ Module.register("MMM-CloudPhotos", {
   },
 
   socketNotificationReceived: function (noti, payload) {
+    if (noti === "PRELOAD_PHOTO") {
+      this.preloadPhoto(payload);
+    }
     if (noti === "DISPLAY_PHOTO") {
       Log.info("[MMM-CloudPhotos] Received photo:", payload.filename);
       this.displayPhoto(payload);
@@ -28,6 +42,7 @@ Module.register("MMM-CloudPhotos", {
     if (noti === "ERROR") {
       const current = document.getElementById("GPHOTO_CURRENT");
       const errMsgDiv = document.createElement("div");
+      errMsgDiv.classList.add("errorMessage");
       errMsgDiv.style.textAlign = "center";
       errMsgDiv.style.lineHeight = "80vh";
       errMsgDiv.style.fontSize = "1.5em";
@@ -41,71 +56,294 @@ Module.register("MMM-CloudPhotos", {
     }
   },
 
+  preloadPhoto: function (photo) {
+    // Decode off-screen (both photos of a pair) so the crossfade starts with a ready frame
+    const photos = photo.pair ? [photo, photo.pair] : [photo];
+    const ready = Promise.all(photos.map((item) => {
+      if (item.media_type === "video") {
+        return this.preloadVideo(item);
+      }
+      const img = new Image();
+      img.src = item.url;
+      return img.decode().then(() => img);
+    }));
+    // A preload can be superseded (e.g. playlist switch); displayPhoto reports real failures
+    ready.catch(() => {});
+    this.preloaded = { id: photo.id, ready };
+    return this.preloaded;
+  },
+
+  preloadVideo: function (photo) {
+    // Muted clips may autoplay; playback starts once the layer is on screen
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = "auto";
+    video.src = photo.url;
+    return new Promise((resolve, reject) => {
+      video.addEventListener("loadeddata", () => resolve(video), { once: true });
+      video.addEventListener("error", () => reject(video.error), { once: true });
+    });
+  },
+
   displayPhoto: function (photo) {
-    const dataUrl = `data:image/jpeg;base64,${photo.image}`;
+    const preloaded = this.preloaded && this.preloaded.id === photo.id
+      ? this.preloaded
+      : this.preloadPhoto(photo);
+    this.preloaded = null;
 
-    const img = new Image();
-    img.onload = () => {
+    preloaded.ready.then((images) => {
+      const img = images[0];
       const back = document.getElementById("GPHOTO_BACK");
       const current = document.getElementById("GPHOTO_CURRENT");
 
       if (!current) return;
 
-      current.textContent = "";
-      back.style.backgroundImage = `url(${dataUrl})`;
-      current.style.backgroundImage = `url(${dataUrl})`;
-      back.classList.add("animated");
-      current.classList.add("animated");
-
-      // Update info with metadata
-      const info = document.getElementById("GPHOTO_INFO");
-      if (info) {
-        info.innerHTML = "";
-
-        // Create info elements
-        let infoText = document.createElement("div");
-        infoText.classList.add("infoText");
-
-        // Check if we have BOTH metadata fields
-        const hasBothMetadata = photo.creation_time && photo.location_name;
-
-        // Add photo time
-        if (photo.creation_time) {
-          let photoTime = document.createElement("div");
-          photoTime.classList.add("photoTime");
-          const timestamp = new Date(photo.creation_time);
+      current.querySelectorAll(".errorMessage").forEach((message) => message.remove());
+
+      // Grid layout: the photo goes into one tile, without blurred background or info
+      const isTile = typeof photo.slot === "number";
+      const frame = isTile ? current.children[photo.slot] : current;
+      if (!frame) return;
+
+      // Draw into the hidden layer, then animate between the two layers
+      const [incoming, outgoing] = this.getLayers(frame);
+      this.fillLayer(incoming, photo, images);
+
+      // The playlist's transition (sent by the backend) wins over the module default
+      const transition = this.pickTransition(photo.transition || this.config.transition);
+      if ((photo.pair || photo.media_type === "video") && transition.effect === "kenBurns") {
+        // Panning would push half of a pair out of the frame, and clips have motion of their own
+        transition.effect = "crossfade";
+      }
+      this.animateLayers(incoming, outgoing, transition, {
+        width: photo.width || img.naturalWidth || img.videoWidth,
+        height: photo.height || img.naturalHeight || img.videoHeight,
+      });
+
+      if (photo.media_type === "video") {
+        this.playVideo(img, photo, isTile);
+      }
+      // The outgoing clip keeps running until it has faded out
+      setTimeout(() => {
+        if (!outgoing.classList.contains("visible")) {
+          outgoing.querySelectorAll("video").forEach((video) => video.pause());
+        }
+      }, transition.duration);
+
+      if (isTile) {
+        frame.shownImages = images;
+        // Tiles have no info overlay: drop the "Loading..." status
+        document.getElementById("GPHOTO_INFO").innerHTML = "";
+      } else {
+        const [backIncoming, backOutgoing] = this.getLayers(back);
+        // Clips get a plain dark background
+        backIncoming.style.backgroundImage = photo.media_type === "video" ? "" : `url("${photo.url}")`;
+        this.animateLayers(backIncoming, backOutgoing, { effect: "crossfade", duration: transition.duration });
+
+        // Keep the decoded images alive while they are on screen
+        this.shownImages = images;
+
+        this.updateInfo(photo);
+      }
+    }).catch(() => {
+      Log.error("[MMM-CloudPhotos] Failed to load image:", photo.filename);
+      if (photo.media_type === "video") {
+        // Don't keep the backend waiting for a clip that never plays
+        this.sendSocketNotification("VIDEO_ENDED", { id: photo.id });
+      }
+    });
+  },
+
+  playVideo: function (video, photo, isTile) {
+    if (isTile) {
+      // Grid tiles change on their own schedule: clips just repeat
+      video.loop = true;
+    } else {
+      // The backend holds the next photo until the clip has played through
+      video.loop = false;
+      video.addEventListener("ended", () => {
+        this.sendSocketNotification("VIDEO_ENDED", { id: photo.id });
+      }, { once: true });
+    }
+    video.currentTime = 0;
+    video.play().catch((error) => {
+      Log.error("[MMM-CloudPhotos] Failed to play video:", photo.filename, error.message);
+      this.sendSocketNotification("VIDEO_ENDED", { id: photo.id });
+    });
+  },
+
+  getLayers: function (frame) {
+    // [hidden layer to draw into, visible layer to replace]
+    const layers = frame.querySelectorAll(":scope > .photoLayer");
+    return layers[0].classList.contains("visible") ? [layers[1], layers[0]] : [layers[0], layers[1]];
+  },
+
+  updateInfo: function (photo) {
+    // Update info with metadata
+    const info = document.getElementById("GPHOTO_INFO");
+    if (info) {
+      info.innerHTML = "";
+
+      // Create info elements
+      let infoText = document.createElement("div");
+      infoText.classList.add("infoText");
+
+      // Check if we have BOTH metadata fields
+      const hasBothMetadata = photo.creation_time && photo.location_name;
+
+      // Add photo time
+      if (photo.creation_time) {
+        let photoTime = document.createElement("div");
+        photoTime.classList.add("photoTime");
+        const timestamp = new Date(photo.creation_time);
+        if (photo.on_this_day) {
+          // "On this day" memory: "5 years ago today" / "5 years ago, May 29"
+          photoTime.classList.add("photoMemory");
+          photoTime.innerHTML = this.formatMemory(photo.on_this_day, timestamp);
+        } else {
           photoTime.innerHTML = this.config.timeFormat === "relative"
             ? moment(timestamp).fromNow()
             : moment(timestamp).format(this.config.timeFormat);
-          infoText.appendChild(photoTime);
         }
+        infoText.appendChild(photoTime);
+      }
 
-        // Add location (pre-resolved from backend)
-        if (photo.location_name) {
-          let location = document.createElement("div");
-          location.classList.add("photoLocation");
-          location.innerHTML = photo.location_name;
-          infoText.appendChild(location);
-        }
+      // Add location (pre-resolved from backend)
+      if (photo.location_name) {
+        let location = document.createElement("div");
+        location.classList.add("photoLocation");
+        location.innerHTML = photo.location_name;
+        infoText.appendChild(location);
+      }
 
-        // Fallback to filename if EITHER location OR date is missing
-        if (!hasBothMetadata && photo.filename) {
-          let filename = document.createElement("div");
-          filename.classList.add("photoFilename");
-          filename.innerHTML = photo.filename;
-          infoText.appendChild(filename);
-        }
+      // Fallback to filename if EITHER location OR date is missing
+      if (!hasBothMetadata && photo.filename) {
+        let filename = document.createElement("div");
+        filename.classList.add("photoFilename");
+        filename.innerHTML = photo.filename;
+        infoText.appendChild(filename);
+      }
+
+      info.appendChild(infoText);
+    }
+  },
+
+  fillLayer: function (layer, photo, images) {
+    layer.textContent = "";
+    layer.classList.remove("pairRow", "pairColumn");
+
+    if (photo.media_type === "video") {
+      layer.style.backgroundImage = "";
+      layer.appendChild(images[0]);
+      return;
+    }
+
+    if (!photo.pair) {
+      layer.style.backgroundImage = `url("${photo.url}")`;
+      return;
+    }
+
+    // Portraits go side by side, landscapes are stacked
+    layer.style.backgroundImage = "";
+    layer.classList.add(photo.height > photo.width ? "pairRow" : "pairColumn");
+    for (const item of [photo, photo.pair]) {
+      const half = document.createElement("div");
+      half.classList.add("pairPhoto");
+      half.style.backgroundImage = `url("${item.url}")`;
+      layer.appendChild(half);
+    }
+  },
+
+  pickTransition: function (config) {
+    let choice = config;
+    if (choice === "random") {
+      choice = this.transitionEffects;
+    }
+    if (Array.isArray(choice)) {
+      choice = choice[Math.floor(Math.random() * choice.length)];
+    }
+
+    const transition = typeof choice === "string" ? { effect: choice } : { ...choice };
+    if (!this.transitionEffects.includes(transition.effect)) {
+      Log.warn("[MMM-CloudPhotos] Unknown transition, using crossfade:", transition.effect);
+      transition.effect = "crossfade";
+    }
+    transition.duration = transition.duration || this.config.transitionDuration;
+    return transition;
+  },
+
+  animateLayers: function (incoming, outgoing, transition, size) {
+    const duration = transition.duration;
+    const easing = "ease-in-out";
 
-        info.appendChild(infoText);
+    // Layers are reused: drop whatever ran on them for the previous photo
+    incoming.getAnimations().forEach((animation) => animation.cancel());
+    incoming.style.backgroundSize = "";
+    incoming.classList.add("visible");
+    outgoing.classList.remove("visible");
+
+    switch (transition.effect) {
+      case "slide": {
+        // direction = where the photos move to: [where the new one enters from, where the old one leaves to]
+        const slides = {
+          left: ["translateX(100%)", "translateX(-100%)"],
+          right: ["translateX(-100%)", "translateX(100%)"],
+          up: ["translateY(100%)", "translateY(-100%)"],
+          down: ["translateY(-100%)", "translateY(100%)"],
+        };
+        const [enter, exit] = slides[transition.direction] || slides.left;
+        incoming.animate([{ transform: enter, opacity: 1 }, { transform: "none", opacity: 1 }], { duration, easing });
+        outgoing.animate([{ transform: "none", opacity: 1 }, { transform: exit, opacity: 1 }], { duration, easing });
+        break;
       }
 
-      // Notify backend
-      this.sendSocketNotification("IMAGE_LOADED", { id: photo.id });
-    };
-    img.onerror = () => {
-      Log.error("[MMM-CloudPhotos] Failed to load image:", photo.filename);
-    };
-    img.src = dataUrl;
+      case "zoom":
+        incoming.animate([{ transform: "scale(1.3)", opacity: 0 }, { transform: "scale(1)", opacity: 1 }], { duration, easing });
+        outgoing.animate([{ transform: "scale(1)", opacity: 1 }, { transform: "scale(0.8)", opacity: 0 }], { duration, easing });
+        break;
+
+      case "kenBurns":
+        this.animateKenBurns(incoming, size);
+        incoming.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing });
+        outgoing.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing });
+        break;
+
+      case "crossfade":
+      default:
+        incoming.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing });
+        outgoing.animate([{ opacity: 1 }, { opacity: 0 }], { duration, easing });
+        break;
+    }
+  },
+
+  animateKenBurns: function (layer, size) {
+    // Fill the frame and pan along the axis where the photo overflows it, so no edge ever shows
+    layer.style.backgroundSize = "cover";
+
+    const frameRatio = layer.clientWidth / layer.clientHeight;
+    const photoRatio = size.width && size.height ? size.width / size.height : frameRatio;
+    const [from, to] = Math.random() < 0.5 ? ["0%", "100%"] : ["100%", "0%"];
+    const positions = photoRatio > frameRatio
+      ? [`${from} 50%`, `${to} 50%`]   // Wider than the frame: pan horizontally
+      : [`50% ${from}`, `50% ${to}`];  // Taller (or same shape): pan vertically
+
+    // Runs for the whole time the photo is on screen, including both transitions
+    layer.animate([
+      { backgroundPosition: positions[0], transform: "scale(1)" },
+      { backgroundPosition: positions[1], transform: "scale(1.1)" },
+    ], {
+      duration: this.config.updateInterval + this.config.transitionDuration,
+      easing: "linear",
+      fill: "forwards",
+    });
+  },
+
+  formatMemory: function (memory, timestamp) {
+    const yearsAgo = memory.years === 1 ? "1 year ago" : `${memory.years} years ago`;
+    return memory.exactDay
+      ? `${yearsAgo} today`
+      : `${yearsAgo}, ${moment(timestamp).format("MMM D")}`;
   },
 
   getDom: function () {
@@ -119,12 +357,28 @@ Module.register("MMM-CloudPhotos", {
       if (this.config.showWidth) wrapper.style.width = this.config.showWidth + "px";
       if (this.config.showHeight) wrapper.style.height = this.config.showHeight + "px";
     }
-    current.addEventListener("animationend", () => {
-      current.classList.remove("animated");
-    });
-    back.addEventListener("animationend", () => {
-      back.classList.remove("animated");
-    });
+    // Frames hold two stacked layers each: the incoming photo fades in while the outgoing one fades out
+    let frames = [back, current];
+    if (this.config.layout === "grid") {
+      // Grid layout: one frame per tile, no blurred background
+      current.classList.add("grid");
+      current.style.gridTemplateColumns = `repeat(${this.config.gridColumns}, 1fr)`;
+      current.style.gridTemplateRows = `repeat(${this.config.gridRows}, 1fr)`;
+      frames = [];
+      for (let i = 0; i < this.config.gridColumns * this.config.gridRows; i++) {
+        let tile = document.createElement("div");
+        tile.classList.add("gridTile");
+        current.appendChild(tile);
+        frames.push(tile);
+      }
+    }
+    for (const frame of frames) {
+      for (let i = 0; i < 2; i++) {
+        let layer = document.createElement("div");
+        layer.classList.add("photoLayer");
+        frame.appendChild(layer);
+      }
+    }
     let info = document.createElement("div");
     info.id = "GPHOTO_INFO";
     info.innerHTML = "Loading...";
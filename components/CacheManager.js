@@ -4,7 +4,10 @@ const fs = require("fs");
 const path = require("path");
 const { finished } = require("stream/promises");
 const { Readable } = require("stream");
-const fetch = require("node-fetch");
+const ImageConverter = require("./ImageConverter.js");
+const Places = require("./Places.js");
+const LocationFormatter = require("./geocoders/LocationFormatter.js");
+const { UnsupportedFormatError } = require("../Errors.js");
 
 // Optional: Sharp for image processing (install with: npm install sharp)
 let sharp = null;
@@ -14,6 +17,28 @@ try {
   console.log("[CACHE] Sharp not available, using file-based caching");
 }
 
+// Video clips are stored as-is; Chromium plays H.264 QuickTime files when they are served as MP4
+const VIDEO_MIME_TYPES = {
+  ".mp4": "video/mp4",
+  ".m4v": "video/mp4",
+  ".mov": "video/mp4",
+  ".webm": "video/webm",
+  ".3gp": "video/3gpp",
+};
+
+// Cached image formats (outputFormat option); quality defaults give files of similar visual quality
+const OUTPUT_FORMATS = {
+  jpeg: { mimeType: "image/jpeg", extension: ".jpg", quality: 85, options: { progressive: true, mozjpeg: true } },
+  webp: { mimeType: "image/webp", extension: ".webp", quality: 80, options: { effort: 4 } },
+  avif: { mimeType: "image/avif", extension: ".avif", quality: 50, options: { effort: 4 } },
+};
+
+// Cached entries re-encoded per tick after outputFormat changed
+const CONVERT_BATCH = 20;
+
+// Cached photos given a place name per tick when they were cached without one
+const GEOCODE_BATCH = 10;
+
 /**
  * Cache Manager with Graceful Degradation
  * Manages photo downloading and cache eviction with network resilience
@@ -39,19 +64,49 @@ class CacheManager {
     this.useBlobStorage = sharp !== null && (config.useBlobStorage !== false);
 
     // Image processing settings
-    this.screenWidth = config.showWidth || 1920;
-    this.screenHeight = config.showHeight || 1080;
+    // In the grid layout each image only fills one tile
+    this.screenWidth = Math.ceil((config.showWidth || 1920) / (config.gridColumns || 1));
+    this.screenHeight = Math.ceil((config.showHeight || 1080) / (config.gridRows || 1));
     this.jpegQuality = config.jpegQuality || 85;
 
-    // Geocoding cache
-    this.geocodeCache = {};
+    // Format of cached images: "jpeg", "webp" or "avif"
+    const format = config.outputFormat || "jpeg";
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(`Invalid outputFormat "${format}" (expected jpeg, webp or avif)`);
+    }
+    this.outputFormat = format;
+    this.outputQuality = config.outputQuality || (format === "jpeg" ? this.jpegQuality : OUTPUT_FORMATS[format].quality);
+
+    // "cover": crop to the screen's aspect ratio around the subject, unless that would cut off more than coverMaxCrop
+    this.fit = config.fit || "contain";
+    if (!["contain", "cover"].includes(this.fit)) {
+      throw new Error(`Invalid fit "${this.fit}" (expected contain or cover)`);
+    }
+    this.coverStrategy = config.coverStrategy || "attention";
+    if (!["attention", "entropy"].includes(this.coverStrategy)) {
+      throw new Error(`Invalid coverStrategy "${this.coverStrategy}" (expected attention or entropy)`);
+    }
+    this.coverMaxCrop = config.coverMaxCrop ?? 0.35;
+
+    // Motion photos (JPEG with an appended MP4) are played as their clip when videos are enabled
+    this.playMotionPhotos = config.videos?.enabled === true && config.videos.motionPhotos !== false;
+
+    // Named places are checked before the reverse geocoder (see components/geocoders), which is null when disabled
+    this.places = new Places(config.places);
+    this.geocoder = config.geocoder || null;
+    this.locationFormatter = new LocationFormatter({ format: config.locationFormat, homeCountry: config.homeCountry });
+    this.locationSettingsChecked = false;
+    this.placeSettingsChecked = false;
+    this.decodersChecked = false;
+    this.pendingGeocodes = new Map();  // cell -> Promise of the lookup in progress
+    this.isBackfilling = false;
 
     // Start the tick timer
     this.timer = setInterval(() => this.tick(), this.tickInterval);
 
     this.log(`[CACHE] Cache manager initialized (BLOB mode: ${this.useBlobStorage ? 'enabled' : 'disabled'})`);
     if (this.useBlobStorage) {
-      this.log(`[CACHE] Image processing: ${this.screenWidth}x${this.screenHeight} @ ${this.jpegQuality}% quality`);
+      this.log(`[CACHE] Image processing: ${this.screenWidth}x${this.screenHeight} ${this.outputFormat} @ ${this.outputQuality}% quality`);
     }
   }
 
@@ -81,7 +136,32 @@ class CacheManager {
         await this.evictOldest(10);
       }
 
-      // Step 3: Graceful degradation - skip downloads if offline
+      // Step 3: Re-encode entries cached in another format (outputFormat changed), without downloading again
+      if (sharp) {
+        await this.convertCachedPhotos(CONVERT_BATCH);
+      }
+
+      // Step 4: Once per start, re-render place names if locationFormat changed (or look them up again if the language did)
+      if (this.geocoder && !this.locationSettingsChecked) {
+        await this.applyLocationSettings();
+      }
+
+      // Step 5: Name photos in configured places (also renames them after a rescan brought the provider's name back).
+      // Once per start, names given by places that changed or were removed are cleared first
+      if (!this.placeSettingsChecked) {
+        await this.applyPlaceSettings();
+      }
+      if (this.places.size > 0) {
+        await this.applyPlaces();
+      }
+
+      // Step 6: Name cached photos that were geocoded while the geocoder was unreachable.
+      // Not awaited: lookups go at the geocoder's pace and must not hold up downloads
+      if (this.geocoder && !this.isBackfilling) {
+        this.backfillLocations(GEOCODE_BATCH);
+      }
+
+      // Step 7: Graceful degradation - skip downloads if offline
       if (this.consecutiveFailures > 3) {
         this.log(`[CACHE] Offline detected (${this.consecutiveFailures} consecutive failures) - skipping downloads`);
         await this.sleep(60000); // Wait 1 minute before retry
@@ -89,8 +169,15 @@ class CacheManager {
         return;
       }
 
-      // Step 4: Download next batch (FIXED: 5 photos)
-      const photos = await this.db.getPhotosToCache(5);
+      // Step 8: Download next batch (FIXED: 5 photos)
+      // Once per start, files skipped as unsupported get another chance if the available decoders changed
+      if (!this.decodersChecked) {
+        await this.applyDecoderSettings();
+      }
+
+      // Active and upcoming scheduled playlists go first so the cache is warm when they switch
+      const priorityPlaylists = this.config.scheduler ? this.config.scheduler.getPrefetchPlaylists() : [];
+      const photos = await this.db.getPhotosToCache(5, priorityPlaylists);
 
       if (photos.length === 0) {
         this.log("[CACHE] No photos need caching");
@@ -99,9 +186,9 @@ class CacheManager {
 
       this.log(`[CACHE] Downloading batch of ${photos.length} photos...`);
 
-      // Step 5: Batch download with failure tracking
+      // Step 9: Batch download with failure tracking
       const results = await Promise.allSettled(
-        photos.map(p => this.downloadPhoto(p.id))
+        photos.map(p => p.media_type === "video" ? this.downloadVideo(p) : this.downloadPhoto(p.id, 3, p))
       );
 
       const failures = results.filter(r => r.status === "rejected").length;
@@ -132,9 +219,10 @@ class CacheManager {
    * Download a single photo from Drive
    * @param {string} photoId - Photo ID
    * @param {number} maxRetries - Maximum retry attempts
+   * @param {object} photo - Row from getPhotosToCache; filename and mime_type help detect HEIC/RAW files
    * @returns {Promise<Object>} Download result
    */
-  async downloadPhoto(photoId, maxRetries = 3) {
+  async downloadPhoto(photoId, maxRetries = 3, photo = {}) {
     try {
       // Retry loop with exponential backoff
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -143,47 +231,49 @@ class CacheManager {
 
           const stream = await this.provider.downloadPhoto(photoId, { timeout: 30000 });
 
+          // Stream to buffer
+          const chunks = [];
+          for await (const chunk of stream) {
+            chunks.push(chunk);
+          }
+          const originalBuffer = Buffer.concat(chunks);
+
+          const clip = this.playMotionPhotos ? CacheManager.extractMotionVideo(originalBuffer) : null;
+          if (clip) {
+            return await this.storeVideo(photoId, clip, ".mp4");
+          }
+
+          // HEIC and RAW files become JPEGs first
+          const image = await ImageConverter.toDecodable(
+            originalBuffer,
+            { filename: photo.filename, mimeType: photo.mime_type },
+            sharp ? buffer => sharp(buffer).resize(16, 16).raw().toBuffer() : null
+          );
+
           // BLOB mode: Process and store in database
           if (this.useBlobStorage) {
-            return await this.processAndStoreBlob(photoId, stream);
+            return await this.processAndStoreBlob(photoId, image);
           }
 
           // File mode: Save to file (with resizing if Sharp available)
           const cacheDir = this.config.cachePath || path.resolve(__dirname, "..", "cache", "images");
           await fs.promises.mkdir(cacheDir, { recursive: true });
 
-          const filePath = path.join(cacheDir, `${photoId}.jpg`);
-
           // If Sharp is available, resize even in file mode
           if (sharp) {
-            // Stream to buffer
-            const chunks = [];
-            for await (const chunk of stream) {
-              chunks.push(chunk);
-            }
-            const originalBuffer = Buffer.concat(chunks);
+            const filePath = path.join(cacheDir, `${photoId}${OUTPUT_FORMATS[this.outputFormat].extension}`);
 
             this.log(`[CACHE] Processing ${photoId} (${(originalBuffer.length / 1024).toFixed(2)}KB)`);
 
-            // Resize and compress with sharp
-            const processedBuffer = await sharp(originalBuffer)
-              .resize(this.screenWidth, this.screenHeight, {
-                fit: 'inside',          // Maintain aspect ratio
-                withoutEnlargement: true // Don't upscale small images
-              })
-              .jpeg({
-                quality: this.jpegQuality,
-                progressive: true,
-                mozjpeg: true
-              })
-              .toBuffer();
+            const { buffer: processedBuffer, width, height } = await this.processImage(image);
 
             // Write processed buffer to file
             await fs.promises.writeFile(filePath, processedBuffer);
 
             this.log(`[CACHE] Saved ${photoId}: ${(originalBuffer.length / 1024).toFixed(2)}KB → ${(processedBuffer.length / 1024).toFixed(2)}KB`);
 
-            await this.db.updatePhotoCache(photoId, filePath, processedBuffer.length);
+            await this.db.updatePhotoCache(photoId, filePath, processedBuffer.length, OUTPUT_FORMATS[this.outputFormat].mimeType);
+            await this.db.updatePhotoDimensions(photoId, width, height);
 
             // Perform reverse geocoding if photo has location data (fire and forget)
             this.reverseGeocodePhoto(photoId).catch(() => {});
@@ -191,22 +281,27 @@ class CacheManager {
             return { success: true, photoId, size: processedBuffer.length };
 
           } else {
-            // No Sharp - download directly without resizing
-            const writeStream = fs.createWriteStream(filePath);
-            await finished(stream.pipe(writeStream));
-
-            const stats = await fs.promises.stat(filePath);
-            await this.db.updatePhotoCache(photoId, filePath, stats.size);
+            // No Sharp - store without resizing
+            const filePath = path.join(cacheDir, `${photoId}.jpg`);
+            await fs.promises.writeFile(filePath, image);
+            await this.db.updatePhotoCache(photoId, filePath, image.length);
 
-            this.log(`[CACHE] Downloaded ${photoId} (${(stats.size / 1024).toFixed(2)}KB) - no resizing (Sharp not available)`);
+            this.log(`[CACHE] Downloaded ${photoId} (${(image.length / 1024).toFixed(2)}KB) - no resizing (Sharp not available)`);
 
             // Perform reverse geocoding if photo has location data (fire and forget)
             this.reverseGeocodePhoto(photoId).catch(() => {});
 
-            return { success: true, photoId, size: stats.size };
+            return { success: true, photoId, size: image.length };
           }
 
         } catch (error) {
+          if (error instanceof UnsupportedFormatError) {
+            // Downloading again won't help: skip this photo until the available decoders change
+            this.log(`[CACHE] Skipping ${photoId} (${photo.filename || "unknown file"}): ${error.message}`);
+            await this.db.markUnsupported(photoId);
+            return { success: false, photoId, unsupported: true };
+          }
+
           if (attempt === maxRetries) {
             throw error;
           }
@@ -223,39 +318,111 @@ class CacheManager {
   }
 
   /**
-   * Process image stream and store as BLOB with resizing
+   * Clear the unsupported marks when heic-convert or sharp's libvips changed since the last start
+   * @returns {Promise<void>}
+   */
+  async applyDecoderSettings() {
+    try {
+      const signature = ImageConverter.getSignature(sharp ? sharp.versions.vips : null);
+      const stored = await this.db.getSetting("decoder_signature");
+
+      if (stored !== signature) {
+        this.log(`[CACHE] Image decoders changed (${signature}), retrying unsupported files`);
+        await this.db.clearUnsupported();
+        await this.db.saveSetting("decoder_signature", signature);
+      }
+      this.decodersChecked = true;
+
+    } catch (error) {
+      this.log("[CACHE] Failed to check image decoders:", error.message);
+    }
+  }
+
+  /**
+   * Orient, resize and compress an image for display
+   * @param {Buffer} image - Image sharp can decode
+   * @returns {Promise<object>} {buffer, width, height} - image in outputFormat, size of the full image as displayed (after rotation)
+   * @throws {UnsupportedFormatError} If sharp can't decode the image (unknown format such as BMP, or a corrupt file)
+   */
+  async processImage(image) {
+    try {
+      const metadata = await sharp(image).metadata();
+      const { width, height } = metadata.autoOrient || metadata;
+      const crop = this.getCoverCrop(width, height);
+
+      // Rotate/flip as the EXIF orientation says; the output carries no EXIF, so it must be upright
+      const buffer = await sharp(image)
+        .rotate()
+        .resize(crop
+          ? { width: crop.width, height: crop.height, fit: 'cover', position: sharp.strategy[this.coverStrategy] }
+          : {
+            width: this.screenWidth,
+            height: this.screenHeight,
+            fit: 'inside',          // Maintain aspect ratio
+            withoutEnlargement: true, // Don't upscale small images
+          })
+        .toFormat(this.outputFormat, { quality: this.outputQuality, ...OUTPUT_FORMATS[this.outputFormat].options })
+        .toBuffer();
+
+      // A cropped photo is displayed with the screen's shape
+      return crop
+        ? { buffer, width: crop.sourceWidth, height: crop.sourceHeight }
+        : { buffer, width, height };
+
+    } catch (error) {
+      // Unknown format (e.g. BMP) or a corrupt file: downloading it again won't help
+      throw new UnsupportedFormatError(`Cannot decode image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Size of the "cover" crop for an image
+   * @param {number} width - Upright image width
+   * @param {number} height - Upright image height
+   * @returns {object | null} {width, height} of the output and {sourceWidth, sourceHeight} of the kept area, or null to fit inside
+   */
+  getCoverCrop(width, height) {
+    if (this.fit !== "cover" || !width || !height) {
+      return null;
+    }
+
+    // Share of the image a crop to the screen's aspect ratio cuts off
+    const screenRatio = this.screenWidth / this.screenHeight;
+    const imageRatio = width / height;
+    if (1 - Math.min(imageRatio / screenRatio, screenRatio / imageRatio) > this.coverMaxCrop) {
+      return null;
+    }
+
+    // Largest screen-shaped area of the image, scaled down to the screen (never up)
+    const sourceWidth = Math.round(Math.min(width, height * screenRatio));
+    const sourceHeight = Math.round(sourceWidth / screenRatio);
+    const scale = Math.min(1, this.screenWidth / sourceWidth);
+
+    return {
+      width: Math.round(sourceWidth * scale),
+      height: Math.round(sourceHeight * scale),
+      sourceWidth,
+      sourceHeight,
+    };
+  }
+
+  /**
+   * Process an image with resizing and store it as BLOB
    * @param {string} photoId - Photo ID
-   * @param {Stream} stream - Image stream from Drive
+   * @param {Buffer} image - Image sharp can decode
    * @returns {Promise<Object>} Processing result
    */
-  async processAndStoreBlob(photoId, stream) {
+  async processAndStoreBlob(photoId, image) {
     try {
-      // Stream to buffer
-      const chunks = [];
-      for await (const chunk of stream) {
-        chunks.push(chunk);
-      }
-      const originalBuffer = Buffer.concat(chunks);
-
-      this.log(`[CACHE] Processing ${photoId} (${(originalBuffer.length / 1024).toFixed(2)}KB)`);
-
-      // Resize and compress with sharp
-      const processedBuffer = await sharp(originalBuffer)
-        .resize(this.screenWidth, this.screenHeight, {
-          fit: 'inside',          // Maintain aspect ratio
-          withoutEnlargement: true // Don't upscale small images
-        })
-        .jpeg({
-          quality: this.jpegQuality,
-          progressive: true,
-          mozjpeg: true
-        })
-        .toBuffer();
+      this.log(`[CACHE] Processing ${photoId} (${(image.length / 1024).toFixed(2)}KB)`);
+
+      const { buffer: processedBuffer, width, height } = await this.processImage(image);
 
       // Store in database
-      await this.db.updatePhotoCacheBlob(photoId, processedBuffer, 'image/jpeg');
+      await this.db.updatePhotoCacheBlob(photoId, processedBuffer, OUTPUT_FORMATS[this.outputFormat].mimeType);
+      await this.db.updatePhotoDimensions(photoId, width, height);
 
-      this.log(`[CACHE] Stored BLOB ${photoId}: ${(originalBuffer.length / 1024).toFixed(2)}KB → ${(processedBuffer.length / 1024).toFixed(2)}KB`);
+      this.log(`[CACHE] Stored BLOB ${photoId}: ${(image.length / 1024).toFixed(2)}KB → ${(processedBuffer.length / 1024).toFixed(2)}KB`);
 
       // Perform reverse geocoding if photo has location data (fire and forget)
       this.reverseGeocodePhoto(photoId).catch(() => {});
@@ -268,6 +435,141 @@ class CacheManager {
     }
   }
 
+  /**
+   * Re-encode cached images stored in another format than outputFormat, where they are (BLOB or file)
+   * @param {number} limit - Maximum number of photos to convert
+   * @returns {Promise<number>} Number of photos converted
+   */
+  async convertCachedPhotos(limit) {
+    const { mimeType, extension } = OUTPUT_FORMATS[this.outputFormat];
+    const photos = await this.db.getPhotosToConvert(mimeType, limit);
+    if (photos.length === 0) {
+      return 0;
+    }
+
+    this.log(`[CACHE] Converting ${photos.length} cached photos to ${this.outputFormat}...`);
+
+    let converted = 0;
+    for (const photo of photos) {
+      try {
+        const original = photo.cached_data || await fs.promises.readFile(photo.cached_path);
+        const buffer = await sharp(original)
+          .toFormat(this.outputFormat, { quality: this.outputQuality, ...OUTPUT_FORMATS[this.outputFormat].options })
+          .toBuffer();
+
+        if (photo.cached_data) {
+          await this.db.updatePhotoCacheBlob(photo.id, buffer, mimeType);
+        } else {
+          const filePath = path.join(path.dirname(photo.cached_path), `${photo.id}${extension}`);
+          await fs.promises.writeFile(filePath, buffer);
+          await this.db.updatePhotoCache(photo.id, filePath, buffer.length, mimeType);
+          if (filePath !== photo.cached_path) {
+            await fs.promises.unlink(photo.cached_path).catch(() => {});
+          }
+        }
+        converted++;
+
+      } catch (error) {
+        // Unreadable entry: drop it, it gets downloaded again in the new format
+        this.log(`[CACHE] Failed to convert ${photo.id}, removing it from the cache:`, error.message);
+        if (photo.cached_path) {
+          await fs.promises.unlink(photo.cached_path).catch(() => {});
+        }
+        await this.db.clearPhotoCache(photo.id);
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Download a video clip straight to a file (never resized, never stored as BLOB)
+   * @param {object} photo - {id, filename} row from getPhotosToCache
+   * @param {number} maxRetries - Maximum retry attempts
+   * @returns {Promise<object>} Download result
+   */
+  async downloadVideo(photo, maxRetries = 3) {
+    const extension = path.extname(photo.filename || "").toLowerCase();
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        this.log(`[CACHE] Downloading video ${photo.id} (attempt ${attempt}/${maxRetries})...`);
+
+        const stream = await this.provider.downloadPhoto(photo.id, { timeout: 120000 });
+        return await this.storeVideo(photo.id, stream, VIDEO_MIME_TYPES[extension] ? extension : ".mp4");
+
+      } catch (error) {
+        if (attempt === maxRetries) {
+          this.log(`[CACHE] Failed to download video ${photo.id}:`, error.message);
+          throw error;
+        }
+
+        this.log(`[CACHE] Attempt ${attempt} failed for ${photo.id}, retrying...`);
+        await this.sleep(attempt * 1000);
+      }
+    }
+  }
+
+  /**
+   * Write a clip to the cache directory
+   * @param {string} photoId - Photo ID
+   * @param {Stream|Buffer} data - Clip stream, or the clip extracted from a motion photo
+   * @param {string} extension - File extension (key of VIDEO_MIME_TYPES)
+   * @returns {Promise<object>} Processing result
+   */
+  async storeVideo(photoId, data, extension) {
+    const cacheDir = this.config.cachePath || path.resolve(__dirname, "..", "cache", "images");
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+
+    const filePath = path.join(cacheDir, `${photoId}${extension}`);
+
+    if (Buffer.isBuffer(data)) {
+      await fs.promises.writeFile(filePath, data);
+    } else {
+      await finished(data.pipe(fs.createWriteStream(filePath)));
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    await this.db.updatePhotoCache(photoId, filePath, stats.size, VIDEO_MIME_TYPES[extension]);
+
+    this.log(`[CACHE] Saved clip ${photoId} (${(stats.size / 1024).toFixed(2)}KB)`);
+
+    // Perform reverse geocoding if photo has location data (fire and forget)
+    this.reverseGeocodePhoto(photoId).catch(() => {});
+
+    return { success: true, photoId, size: stats.size };
+  }
+
+  /**
+   * Find the MP4 clip appended to a motion photo (Google Motion Photo / MicroVideo, Samsung Motion Photo)
+   * @param {Buffer} buffer - Original JPEG
+   * @returns {Buffer|null} The clip, or null for a still photo
+   */
+  static extractMotionVideo(buffer) {
+    let start = -1;
+
+    // The XMP packet near the start of the file gives the clip length, counted from the end
+    const header = buffer.toString("latin1", 0, Math.min(buffer.length, 128 * 1024));
+    const length = header.match(/MicroVideoOffset="(\d+)"/)
+      || header.match(/Item:Semantic="MotionPhoto"[^>]*?Item:Length="(\d+)"/)
+      || header.match(/Item:Length="(\d+)"[^>]*?Item:Semantic="MotionPhoto"/);
+    if (length) {
+      start = buffer.length - Number(length[1]);
+    } else {
+      // Samsung writes a marker right before the clip
+      const marker = buffer.lastIndexOf("MotionPhoto_Data", undefined, "latin1");
+      if (marker !== -1) {
+        start = marker + "MotionPhoto_Data".length;
+      }
+    }
+
+    // An MP4 file starts with its "ftyp" box
+    if (start <= 0 || start + 8 > buffer.length || buffer.toString("latin1", start + 4, start + 8) !== "ftyp") {
+      return null;
+    }
+    return buffer.subarray(start);
+  }
+
   /**
    * Evict oldest cached photos
    * @param {number} count - Number of photos to evict
@@ -391,10 +693,14 @@ class CacheManager {
    * @returns {Promise<void>}
    */
   async reverseGeocodePhoto(photoId) {
+    if (!this.geocoder && this.places.size === 0) {
+      return;
+    }
+
     try {
       // Get photo metadata from database
       const photo = await this.db.db.get(
-        "SELECT latitude, longitude FROM photos WHERE id = ?",
+        "SELECT id, latitude, longitude, location_name, location_place FROM photos WHERE id = ?",
         [photoId]
       );
 
@@ -403,76 +709,176 @@ class CacheManager {
         return;
       }
 
-      const { latitude, longitude } = photo;
-      const cacheKey = `${latitude.toFixed(2)},${longitude.toFixed(2)}`; // Round to ~1km precision
+      if (await this.applyPlace(photo)) {
+        return;
+      }
 
-      // Check cache first
-      if (this.geocodeCache[cacheKey]) {
-        await this.db.updateLocationName(photoId, this.geocodeCache[cacheKey]);
-        this.log(`[GEOCODE] Cached location for ${photoId}: ${this.geocodeCache[cacheKey]}`);
+      if (photo.location_name !== null || !this.geocoder) {
+        // Already named (e.g. supplied by the provider's server), or nothing nearby
         return;
       }
 
-      // Perform API request with timeout
-      const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=14`;
+      await this.geocodePhoto(photo);
 
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+    } catch (error) {
+      // Silently fail - geocoding is non-critical
+      if (error.name !== 'AbortError') {
+        this.log(`[GEOCODE] Failed for ${photoId}:`, error.message);
+      }
+    }
+  }
 
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'MMM-CloudPhotos'
-        },
-        signal: controller.signal
-      });
+  /**
+   * Name a photo after the configured place it was taken in, if any
+   * @param {object} photo - {id, latitude, longitude, location_name, location_place}
+   * @returns {Promise<boolean>} true if the photo is in a place (and needs no geocoding)
+   */
+  async applyPlace(photo) {
+    const name = this.places.resolve(photo.latitude, photo.longitude);
+    if (name === null) {
+      return false;
+    }
 
-      clearTimeout(timeout);
+    if (photo.location_name !== name || !photo.location_place) {
+      await this.db.updatePlaceName(photo.id, name);
+      this.log(`[GEOCODE] ${photo.id} is in ${name ? `place "${name}"` : "a hidden place"}`);
+    }
+    return true;
+  }
 
-      if (!response.ok) {
-        this.log(`[GEOCODE] API error for ${photoId}: ${response.status}`);
-        return;
+  /**
+   * Name all photos taken in configured places
+   * @returns {Promise<void>}
+   */
+  async applyPlaces() {
+    try {
+      const photos = await this.db.getPhotosInAreas(this.places.getBounds());
+      for (const photo of photos) {
+        await this.applyPlace(photo);
       }
+    } catch (error) {
+      this.log("[GEOCODE] Failed to apply places:", error.message);
+    }
+  }
 
-      const data = await response.json();
+  /**
+   * Clear the names given by configured places when the places changed since the last start,
+   * so photos of removed or moved places (hidden ones too) are named again
+   * @returns {Promise<void>}
+   */
+  async applyPlaceSettings() {
+    try {
+      const signature = this.places.getSignature();
+      const stored = await this.db.getSetting("places_signature");
 
-      if (data && data.address) {
-        // Build location string from most to least specific
-        const parts = [];
+      if (stored && stored !== signature) {
+        this.log("[GEOCODE] Places changed, naming their photos again");
+        await this.db.clearPlaceNames();
+      }
 
-        if (data.address.city) {
-          parts.push(data.address.city);
-        } else if (data.address.town) {
-          parts.push(data.address.town);
-        } else if (data.address.village) {
-          parts.push(data.address.village);
-        }
+      await this.db.saveSetting("places_signature", signature);
+      this.placeSettingsChecked = true;
 
-        if (data.address.state) {
-          parts.push(data.address.state);
-        }
+    } catch (error) {
+      this.log("[GEOCODE] Failed to apply places:", error.message);
+    }
+  }
 
-        if (data.address.country) {
-          parts.push(data.address.country);
-        }
+  /**
+   * Name a photo after its position, asking the geocoder only for ~1km cells not looked up before
+   * @param {object} photo - {id, latitude, longitude}
+   * @returns {Promise<void>}
+   * @throws {Error} If the geocoder fails (e.g. offline)
+   */
+  async geocodePhoto(photo) {
+    const { latitude, longitude } = photo;
+    const cell = `${latitude.toFixed(2)},${longitude.toFixed(2)}`; // Round to ~1km precision
+    const language = this.geocoder.getLanguage();
+
+    let cached = await this.db.getGeocodedLocation(cell, language);
+    if (!cached) {
+      // Photos in the same cell share one lookup
+      if (!this.pendingGeocodes.has(cell)) {
+        const lookup = this.geocoder.reverse(latitude, longitude)
+          .then(async components => {
+            await this.db.saveGeocodedLocation(cell, language, components);
+            this.log(`[GEOCODE] Resolved ${cell}: ${this.locationFormatter.render(components) || "(no place nearby)"}`);
+            return { components };
+          })
+          .finally(() => this.pendingGeocodes.delete(cell));
+        this.pendingGeocodes.set(cell, lookup);
+      }
+      cached = await this.pendingGeocodes.get(cell);
+    }
+
+    // "" marks photos with no place nearby, so they aren't looked up again
+    await this.db.updateLocationName(photo.id, this.locationFormatter.render(cached.components) || "", cached.components);
+  }
+
+  /**
+   * Bring stored place names in line with the geocoder language and locationFormat
+   * Names in another language are cleared (backfillLocations looks them up again);
+   * names in another format are rendered again from their stored components.
+   * @returns {Promise<void>}
+   */
+  async applyLocationSettings() {
+    try {
+      const settings = { language: this.geocoder.getLanguage(), format: this.locationFormatter.getSignature() };
+      const stored = JSON.parse(await this.db.getSetting("location_settings") || "null");
 
-        const locationName = parts.join(", ");
+      if (stored && stored.language !== settings.language) {
+        this.log(`[GEOCODE] Language changed to "${settings.language}", looking up place names again`);
+        await this.db.clearGeocodedNames();
+      }
 
-        if (locationName) {
-          // Update database and cache
-          await this.db.updateLocationName(photoId, locationName);
-          this.geocodeCache[cacheKey] = locationName;
-          this.log(`[GEOCODE] Resolved ${photoId}: ${locationName}`);
+      if (!stored || stored.format !== settings.format) {
+        let renamed = 0;
+        for (const photo of await this.db.getGeocodedPhotos()) {
+          const name = this.locationFormatter.render(photo.location_components) || "";
+          if (name !== photo.location_name) {
+            await this.db.updateLocationName(photo.id, name, photo.location_components);
+            renamed++;
+          }
         }
+        this.log(`[GEOCODE] Applied locationFormat "${this.locationFormatter.format}" to ${renamed} photos`);
       }
 
-      // Respect Nominatim usage policy: max 1 request per second
-      await this.sleep(1000);
+      await this.db.saveSetting("location_settings", JSON.stringify(settings));
+      this.locationSettingsChecked = true;
+
+    } catch (error) {
+      this.log("[GEOCODE] Failed to apply location settings:", error.message);
+    }
+  }
+
+  /**
+   * Give place names to cached photos that don't have one yet
+   * Stops at the first failure (e.g. Nominatim unreachable) and tries again next tick.
+   * @param {number} limit - Maximum photos per run
+   * @returns {Promise<void>}
+   */
+  async backfillLocations(limit) {
+    this.isBackfilling = true;
+
+    try {
+      const photos = await this.db.getPhotosToGeocode(limit);
+      if (photos.length > 0) {
+        this.log(`[GEOCODE] Naming ${photos.length} cached photos without a location...`);
+      }
+
+      for (const photo of photos) {
+        if (!(await this.applyPlace(photo))) {
+          await this.geocodePhoto(photo);
+        }
+      }
 
     } catch (error) {
-      // Silently fail - geocoding is non-critical
       if (error.name !== 'AbortError') {
-        this.log(`[GEOCODE] Failed for ${photoId}:`, error.message);
+        this.log("[GEOCODE] Backfill stopped:", error.message);
       }
+
+    } finally {
+      this.isBackfilling = false;
     }
   }
 
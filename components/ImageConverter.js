@@ -0,0 +1,301 @@
+"use strict";
+
+const path = require("path");
+const { UnsupportedFormatError } = require("../Errors.js");
+
+// Optional: pure JavaScript HEIC decoder (sharp's prebuilt libvips cannot decode HEVC)
+let heicConvert = null;
+try {
+  heicConvert = require("heic-convert");
+} catch {
+  console.log("[CACHE] heic-convert not available, HEIC photos need a libvips with HEVC support");
+}
+
+const HEIF_EXTENSIONS = [".heic", ".heif", ".hif"];
+const RAW_EXTENSIONS = [".dng", ".cr2", ".nef", ".nrw", ".arw", ".srw", ".pef", ".orf", ".rw2", ".raf"];
+
+// Brands in the "ftyp" box of HEIF files (AVIF is left to sharp, which decodes it)
+const HEIF_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx", "mif1", "msf1"];
+
+// TIFF tags pointing at embedded JPEG previews
+const TAG_COMPRESSION = 0x0103;
+const TAG_ORIENTATION = 0x0112;
+const TAG_STRIP_OFFSETS = 0x0111;
+const TAG_STRIP_BYTE_COUNTS = 0x0117;
+const TAG_SUB_IFDS = 0x014A;
+const TAG_JPEG_OFFSET = 0x0201;
+const TAG_JPEG_LENGTH = 0x0202;
+
+/**
+ * Image Converter - turns HEIC/HEIF and camera RAW files into JPEGs during caching
+ *
+ * Formats are detected from the file contents, with the provider's MIME type and the
+ * file extension as hints (providers like Immich already serve JPEG renditions).
+ * HEIC is decoded with heic-convert; RAW files are not decoded, their embedded
+ * full-size JPEG preview is used instead (DNGs without one are left to sharp).
+ */
+class ImageConverter {
+  /**
+   * Work out what kind of image a downloaded file is
+   * @param {Buffer} buffer - File contents
+   * @param {object} hint - {filename, mimeType} from the provider
+   * @returns {string} "heif", "raw" or "image" (anything sharp and browsers handle)
+   */
+  static detectFormat(buffer, hint = {}) {
+    const extension = path.extname(hint.filename || "").toLowerCase();
+    const mimeType = (hint.mimeType || "").toLowerCase();
+
+    if (ImageConverter.isBrowserImage(buffer)) {
+      return "image";
+    }
+    if (ImageConverter.isHeif(buffer) || HEIF_EXTENSIONS.includes(extension) || /^image\/hei[cf]/.test(mimeType)) {
+      return "heif";
+    }
+    if (RAW_EXTENSIONS.includes(extension) || /^image\/x-(adobe-dng|canon|nikon|sony|samsung|pentax|olympus|panasonic|fuji)/.test(mimeType)) {
+      return "raw";
+    }
+    return "image";
+  }
+
+  /**
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} true for JPEG, PNG, GIF and WebP files
+   */
+  static isBrowserImage(buffer) {
+    return (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF)
+      || buffer.toString("latin1", 0, 8) === "\x89PNG\r\n\x1a\n"
+      || buffer.toString("latin1", 0, 4) === "GIF8"
+      || (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP");
+  }
+
+  /**
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} true if the file is an ISO-BMFF container with a HEIF brand
+   */
+  static isHeif(buffer) {
+    return buffer.toString("latin1", 4, 8) === "ftyp" && HEIF_BRANDS.includes(buffer.toString("latin1", 8, 12));
+  }
+
+  /**
+   * Identifies the available decoders (stored to retry unsupported files when they change)
+   * @param {string|null} vipsVersion - libvips version of sharp, or null without sharp
+   * @returns {string} Decoder signature
+   */
+  static getSignature(vipsVersion) {
+    return `heic-convert:${heicConvert ? "yes" : "no"}|vips:${vipsVersion || "none"}`;
+  }
+
+  /**
+   * Convert a downloaded file to something sharp (and the browser) can decode
+   * @param {Buffer} buffer - File contents
+   * @param {object} hint - {filename, mimeType} from the provider
+   * @param {Function|null} decode - Decodes an image with sharp (throws if it can't), null without sharp
+   * @returns {Promise<Buffer>} The original buffer, or a JPEG
+   * @throws {UnsupportedFormatError} If the file can't be converted
+   */
+  static async toDecodable(buffer, hint, decode) {
+    switch (ImageConverter.detectFormat(buffer, hint)) {
+      case "heif":
+        if (heicConvert) {
+          try {
+            return Buffer.from(await heicConvert({ buffer, format: "JPEG", quality: 0.92 }));
+          } catch (error) {
+            throw new UnsupportedFormatError(`Cannot decode HEIC: ${error.message}`);
+          }
+        }
+        if (decode) {
+          // libvips may have been built with HEVC support
+          return ImageConverter.checkDecodable(buffer, decode, "HEIC");
+        }
+        throw new UnsupportedFormatError("HEIC needs heic-convert or sharp");
+
+      case "raw": {
+        const preview = ImageConverter.extractRawPreview(buffer);
+        if (preview) {
+          return preview;
+        }
+        if (decode) {
+          // Some DNGs only hold (sharp-readable) TIFF data
+          return ImageConverter.checkDecodable(buffer, decode, "RAW file without a JPEG preview");
+        }
+        throw new UnsupportedFormatError("RAW file has no embedded JPEG preview");
+      }
+
+      default:
+        return buffer;
+    }
+  }
+
+  /**
+   * Pass a HEIC or RAW file on to sharp only if sharp can actually decode it
+   * @param {Buffer} buffer - File contents
+   * @param {Function} decode - Decodes an image with sharp
+   * @param {string} label - Kind of file, for the error message
+   * @returns {Promise<Buffer>} The original buffer
+   * @throws {UnsupportedFormatError} If sharp can't decode it
+   */
+  static async checkDecodable(buffer, decode, label) {
+    try {
+      await decode(buffer);
+      return buffer;
+    } catch (error) {
+      throw new UnsupportedFormatError(`Cannot decode ${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the largest embedded JPEG preview of a camera RAW file
+   * Walks the TIFF structure (DNG, CR2, NEF, ARW, ORF, RW2, ...) or reads the RAF header.
+   * Previews are stored as the sensor saw them, so the RAW file's orientation is added to them.
+   * @param {Buffer} buffer - RAW file contents
+   * @returns {Buffer|null} Baseline/progressive JPEG, or null if there is none
+   */
+  static extractRawPreview(buffer) {
+    let candidates = [];
+    let orientation = null;
+
+    if (buffer.toString("latin1", 0, 15) === "FUJIFILMCCD-RAW") {
+      // RAF previews carry their own EXIF orientation
+      candidates.push([buffer.readUInt32BE(84), buffer.readUInt32BE(88)]);
+    } else {
+      ({ ranges: candidates, orientation } = ImageConverter.readTiff(buffer));
+    }
+
+    const previews = candidates
+      .filter(([start, length]) => start > 0 && length > 0 && start + length <= buffer.length)
+      .map(([start, length]) => buffer.subarray(start, start + length))
+      .filter(jpeg => ImageConverter.isDisplayableJpeg(jpeg))
+      .sort((a, b) => b.length - a.length);
+
+    return previews[0] ? ImageConverter.withOrientation(previews[0], orientation) : null;
+  }
+
+  /**
+   * Collect [offset, length] of every JPEG referenced from the IFDs of a TIFF-based file,
+   * and the image orientation from IFD0
+   * @param {Buffer} buffer - File contents
+   * @returns {object} {ranges, orientation} - candidate byte ranges, EXIF orientation (1-8) or null
+   */
+  static readTiff(buffer) {
+    const order = buffer.toString("latin1", 0, 2);
+    if (buffer.length < 8 || (order !== "II" && order !== "MM")) {
+      return { ranges: [], orientation: null };
+    }
+
+    const littleEndian = order === "II";
+    const read16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const read32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+    // 42 = TIFF; Olympus ("RO"/"RS") and Panasonic (0x55) use their own magic numbers
+    if (![42, 0x4F52, 0x5352, 0x55].includes(read16(2))) {
+      return { ranges: [], orientation: null };
+    }
+
+    const ranges = [];
+    const queue = [read32(4)];
+    const visited = new Set();
+    let orientation = null;
+
+    while (queue.length > 0 && visited.size < 64) {
+      const ifd = queue.shift();
+      if (!ifd || visited.has(ifd) || ifd + 2 > buffer.length) {
+        continue;
+      }
+      visited.add(ifd);
+
+      const count = read16(ifd);
+      const tags = {};
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > buffer.length) {
+          break;
+        }
+
+        const tag = read16(entry);
+        const type = read16(entry + 2);
+        const values = read32(entry + 4);
+        const size = type === 3 ? 2 : 4;  // SHORT or LONG
+        const valueAt = size * values <= 4 ? entry + 8 : read32(entry + 8);
+
+        if (tag === TAG_SUB_IFDS) {
+          for (let j = 0; j < values && valueAt + 4 * j + 4 <= buffer.length; j++) {
+            queue.push(read32(valueAt + 4 * j));
+          }
+        } else if (values === 1) {
+          tags[tag] = size === 2 ? read16(valueAt) : read32(valueAt);
+        }
+      }
+
+      if (visited.size === 1) {
+        orientation = tags[TAG_ORIENTATION] ?? null;
+      }
+      ranges.push([tags[TAG_JPEG_OFFSET], tags[TAG_JPEG_LENGTH]]);
+      // Old-style JPEG (6) or JPEG (7) data in a single strip
+      if (tags[TAG_COMPRESSION] === 6 || tags[TAG_COMPRESSION] === 7) {
+        ranges.push([tags[TAG_STRIP_OFFSETS], tags[TAG_STRIP_BYTE_COUNTS]]);
+      }
+
+      const next = ifd + 2 + count * 12;
+      if (next + 4 <= buffer.length) {
+        queue.push(read32(next));
+      }
+    }
+
+    return {
+      ranges: ranges.filter(([start, length]) => start !== undefined && length !== undefined),
+      orientation,
+    };
+  }
+
+  /**
+   * Give a JPEG an EXIF orientation by inserting an APP1 segment holding only that tag
+   * It comes right after SOI, so it takes precedence over EXIF the JPEG may already have.
+   * @param {Buffer} jpeg - JPEG
+   * @param {number|null} orientation - EXIF orientation (1-8)
+   * @returns {Buffer} The JPEG, with the orientation when it isn't 1 (upright)
+   */
+  static withOrientation(jpeg, orientation) {
+    if (!(orientation >= 2 && orientation <= 8)) {
+      return jpeg;
+    }
+
+    // "Exif\0\0", big-endian TIFF header, one IFD with a single SHORT entry, no next IFD
+    const app1 = Buffer.alloc(36);
+    app1.writeUInt16BE(0xFFE1, 0);
+    app1.writeUInt16BE(34, 2);
+    app1.write("Exif\0\0MM", 4, "latin1");
+    app1.writeUInt16BE(42, 12);
+    app1.writeUInt32BE(8, 14);
+    app1.writeUInt16BE(1, 18);
+    app1.writeUInt16BE(TAG_ORIENTATION, 20);
+    app1.writeUInt16BE(3, 22);
+    app1.writeUInt32BE(1, 24);
+    app1.writeUInt16BE(orientation, 28);
+
+    return Buffer.concat([jpeg.subarray(0, 2), app1, jpeg.subarray(2)]);
+  }
+
+  /**
+   * Check that a JPEG is baseline or progressive (RAW sensor data is often lossless JPEG, which nothing displays)
+   * @param {Buffer} jpeg - Candidate JPEG
+   * @returns {boolean} true if browsers and sharp can decode it
+   */
+  static isDisplayableJpeg(jpeg) {
+    if (jpeg.length < 4 || jpeg[0] !== 0xFF || jpeg[1] !== 0xD8) {
+      return false;
+    }
+
+    let position = 2;
+    while (position + 4 <= jpeg.length && jpeg[position] === 0xFF) {
+      const marker = jpeg[position + 1];
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        // Start of frame: SOF0 (baseline), SOF1 (extended) and SOF2 (progressive) are displayable
+        return marker <= 0xC2;
+      }
+      position += 2 + jpeg.readUInt16BE(position + 2);
+    }
+    return false;
+  }
+}
+
+module.exports = ImageConverter;
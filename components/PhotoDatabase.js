@@ -4,6 +4,22 @@ const fs = require("fs");
 const path = require("path");
 const sqlite = require("sqlite");
 const sqlite3 = require("sqlite3");
+const PhotoFilter = require("./PhotoFilter.js");
+const { migrate } = require("./SchemaMigrations.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Pairing picks the partner closest in time among this many least recently viewed candidates
+const PAIR_CANDIDATES = 20;
+
+// Columns returned for displayable photos
+const DISPLAY_COLUMNS = "id, cached_path, cached_data, cached_at, cached_mime_type, filename, width, height, creation_time, latitude, longitude, altitude, location_name, duration_ms";
+
+// Photos that can be displayed right now
+const CACHED_AND_SHOWN = "(cached_data IS NOT NULL OR cached_path IS NOT NULL) AND filtered_out = 0";
+
+// Cached as a clip (videos, and motion photos played as their embedded clip)
+const CACHED_AS_VIDEO = "COALESCE(cached_mime_type, '') LIKE 'video/%'";
 
 /**
  * Photo Database Manager - Simplified schema for V3
@@ -21,8 +37,38 @@ class PhotoDatabase {
     this.db = null;
 
     // Photo display sorting configuration
-    // Options: 'sequential', 'random', 'newest', 'oldest'
+    // Options: 'sequential', 'random', 'newest', 'oldest', 'onThisDay'
     this.sortMode = config.sortMode || 'sequential';
+
+    // 'onThisDay': match today's month/day ± N days, fall back to sequential below the minimum
+    this.onThisDayWindow = config.onThisDayWindow || 0;
+    this.onThisDayMinPhotos = config.onThisDayMinPhotos ?? 3;
+
+    // 'pair' layout: photos of this orientation ('portrait' or 'landscape') are shown two at a time
+    this.pairOrientation = config.pairOrientation || null;
+
+    // Share of screen time per configured folder: { rootFolderId: weight }
+    this.folderWeights = config.folderWeights || {};
+
+    // Stride scheduling state: virtual "pass" per folder group (in memory only)
+    this.groupPasses = new Map();
+
+    // Date/size/orientation/filename conditions; excluded photos are never cached or shown
+    this.filter = new PhotoFilter(config.condition);
+
+    // Video clips: off unless enabled, then limited by duration (seconds) and file size (MB)
+    this.videos = {
+      enabled: config.videos?.enabled === true,
+      maxDuration: config.videos?.maxDuration ?? 30,
+      maxSizeMB: config.videos?.maxSizeMB ?? 100,
+    };
+
+    // Scheduled playlists: folder IDs plus their own condition and sort mode
+    this.playlists = new Map(Object.entries(config.playlists || {}).map(([name, playlist]) => [name, {
+      folders: playlist.folders || [],
+      filter: new PhotoFilter(playlist.condition),
+      sortMode: playlist.sortMode || null,
+    }]));
   }
 
   /**
@@ -59,9 +105,6 @@ class PhotoDatabase {
 
         this.log("[DB] Database opened successfully");
 
-        // Ensure schema exists (handles first-time setup)
-        await this.createSchema();
-
       } catch (error) {
         // Simple recovery: delete and rebuild
         this.log("[DB] Corrupt or missing database, rebuilding...");
@@ -78,16 +121,19 @@ class PhotoDatabase {
           driver: sqlite3.Database
         });
 
-        await this.createSchema();
-
         this.log("[DB] Rebuild complete, will trigger full scan");
       }
 
+      // Outside the recovery above: a failed migration is rolled back and must not cost the cache
+      await this.migrateSchema();
+
       // Enable foreign keys and optimize settings
       await this.db.exec("PRAGMA foreign_keys = ON");
       await this.db.exec("PRAGMA journal_mode = DELETE"); // Standard mode (simpler than WAL)
       await this.db.exec("PRAGMA synchronous = NORMAL");
 
+      await this.applyFilter();
+
       this.log("[DB] Database initialized successfully");
 
     } catch (error) {
@@ -97,67 +143,114 @@ class PhotoDatabase {
   }
 
   /**
-   * Create simplified database schema
+   * Create or upgrade the schema (see SchemaMigrations.js)
    * @returns {Promise<void>}
    */
-  async createSchema() {
-    try {
-      this.log("[DB] Creating schema...");
-
-      await this.db.exec(`
-        -- Photos metadata
-        CREATE TABLE IF NOT EXISTS photos (
-          id TEXT PRIMARY KEY,
-          folder_id TEXT NOT NULL,
-          filename TEXT,
-          creation_time INTEGER,
-          width INTEGER,
-          height INTEGER,
-
-          -- Location data (from EXIF/GPS)
-          latitude REAL,
-          longitude REAL,
-          altitude REAL,
-          location_name TEXT,
-
-          -- Simple view tracking (no analytics)
-          last_viewed_at INTEGER,
-
-          -- Cache tracking (legacy file-based)
-          cached_path TEXT,
-          cached_at INTEGER,
-          cached_size_bytes INTEGER,
-
-          -- BLOB storage (new efficient storage)
-          cached_data BLOB,
-          cached_mime_type TEXT
-        );
-
-        -- Settings (for Changes API token)
-        CREATE TABLE IF NOT EXISTS settings (
-          key TEXT PRIMARY KEY,
-          value TEXT
-        );
-
-        -- Optimized indexes for BLOB storage
-        CREATE INDEX IF NOT EXISTS idx_display_blob ON photos(last_viewed_at)
-          WHERE cached_data IS NOT NULL;
-
-        CREATE INDEX IF NOT EXISTS idx_display_file ON photos(cached_path, last_viewed_at)
-          WHERE cached_path IS NOT NULL;
-
-        CREATE INDEX IF NOT EXISTS idx_prefetch ON photos(last_viewed_at)
-          WHERE cached_data IS NULL AND cached_path IS NULL;
-      `);
+  async migrateSchema() {
+    try {
+      const { from, to } = await migrate(this.db, this.log);
+      if (from !== to) {
+        this.log(`[DB] Schema migrated from version ${from} to ${to}`);
+      }
 
       // Optimize SQLite for BLOB storage
       await this.db.exec("PRAGMA page_size = 16384");  // Better for larger BLOBs
       await this.db.exec("PRAGMA cache_size = -64000"); // 64MB cache
 
-      this.log("[DB] Schema created successfully");
+    } catch (error) {
+      this.log("[DB] Schema migration failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a video against the `videos` limits (unknown duration or size passes)
+   * @param {object} photo - {media_type, duration_ms, size_bytes}
+   * @returns {boolean} true if the photo is not a video, or a video that may be shown
+   */
+  isVideoAllowed(photo) {
+    if (photo.media_type !== 'video') {
+      return true;
+    }
+    if (!this.videos.enabled) {
+      return false;
+    }
+    if (photo.duration_ms > this.videos.maxDuration * 1000) {
+      return false;
+    }
+    return !(photo.size_bytes > this.videos.maxSizeMB * 1024 * 1024);
+  }
+
+  /**
+   * Evaluate the condition, video limits and playlist conditions for a photo
+   * @param {object} photo - {filename, width, height, creation_time, media_type, duration_ms, size_bytes}
+   * @returns {{filteredOut: number, playlists: string}} Column values
+   */
+  evaluateFilters(photo) {
+    const playlists = [...this.playlists].filter(([, playlist]) => playlist.filter.matches(photo)).map(([name]) => name);
+
+    return {
+      filteredOut: this.filter.matches(photo) && this.isVideoAllowed(photo) ? 0 : 1,
+      playlists: `,${playlists.join(",")},`,
+    };
+  }
+
+  /**
+   * Re-evaluate the condition (video limits, playlist conditions) for every photo when they changed since the last start
+   * @returns {Promise<void>}
+   */
+  async applyFilter() {
+    try {
+      const signature = JSON.stringify([
+        this.filter.getSignature(),
+        this.videos,
+        [...this.playlists].map(([name, playlist]) => [name, playlist.filter.getSignature()]),
+      ]);
+      if (await this.getSetting("filter_signature") === signature) {
+        return;
+      }
+
+      const photos = await this.db.all("SELECT id, filename, width, height, creation_time, media_type, duration_ms, size_bytes, filtered_out, playlists FROM photos");
+      const changed = photos
+        .map(photo => ({ id: photo.id, old: photo, ...this.evaluateFilters(photo) }))
+        .filter(photo => photo.filteredOut !== photo.old.filtered_out || photo.playlists !== photo.old.playlists);
+
+      if (changed.length > 0) {
+        this.log(`[DB] Condition changed, updating ${changed.length} photos...`);
+        await this.db.exec("BEGIN TRANSACTION");
+        for (const photo of changed) {
+          await this.db.run(
+            "UPDATE photos SET filtered_out = ?, playlists = ? WHERE id = ?",
+            [photo.filteredOut, photo.playlists, photo.id]
+          );
+        }
+        await this.db.exec("COMMIT");
+      }
+
+      await this.saveSetting("filter_signature", signature);
+
+    } catch (error) {
+      this.log("[DB] Error applying condition:", error.message);
+      await this.db.exec("ROLLBACK").catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sizes measured while caching (after EXIF rotation), which are the ones on screen
+   * @param {string|null} photoId - Photo ID, or null for every cached photo
+   * @returns {Promise<Map>} Photo ID -> {width, height}
+   */
+  async getMeasuredSizes(photoId = null) {
+    try {
+      const rows = await this.db.all(
+        `SELECT id, width, height FROM photos WHERE cached_at IS NOT NULL AND width IS NOT NULL AND height IS NOT NULL${photoId ? " AND id = ?" : ""}`,
+        photoId ? [photoId] : []
+      );
+      return new Map(rows.map(row => [row.id, { width: row.width, height: row.height }]));
 
     } catch (error) {
-      this.log("[DB] Schema creation failed:", error.message);
+      this.log("[DB] Error getting measured sizes:", error.message);
       throw error;
     }
   }
@@ -165,9 +258,10 @@ class PhotoDatabase {
   /**
    * Save or update a photo in the database
    * @param {Object} photo - Photo metadata from Drive API
+   * @param {Map|null} measuredSizes - From getMeasuredSizes() (looked up for this photo if null)
    * @returns {Promise<void>}
    */
-  async savePhoto(photo) {
+  async savePhoto(photo, measuredSizes = null) {
     try {
       // Use EXIF time from imageMediaMetadata if available, fallback to file createdTime, then null
       // EXIF time format is "YYYY:MM:DD HH:mm:ss", need to convert to ISO format
@@ -181,28 +275,83 @@ class PhotoDatabase {
       }
       // If no time available, leave as null - frontend will fall back to filename
 
-      const width = photo.imageMediaMetadata?.width || null;
-      const height = photo.imageMediaMetadata?.height || null;
+      const creationMonthDay = Number.isFinite(creationTime)
+        ? PhotoDatabase.toMonthDay(new Date(creationTime))
+        : null;
+
+      let width = photo.imageMediaMetadata?.width || photo.videoMediaMetadata?.width || null;
+      let height = photo.imageMediaMetadata?.height || photo.videoMediaMetadata?.height || null;
+
+      // Drive reports the stored size plus the quarter turns needed to display it
+      if (photo.imageMediaMetadata?.rotation % 2 === 1) {
+        [width, height] = [height, width];
+      }
+
+      // The size measured while caching (after EXIF rotation) is the one on screen
+      const measured = (measuredSizes || await this.getMeasuredSizes(photo.id)).get(photo.id);
+      if (measured) {
+        ({ width, height } = measured);
+      }
+
+      // Videos carry their duration (Drive reports numbers as strings)
+      const mediaType = photo.mimeType?.startsWith("video/") || photo.videoMediaMetadata ? 'video' : 'image';
+      const durationMs = Number(photo.videoMediaMetadata?.durationMillis) || null;
+      const sizeBytes = Number(photo.size) || null;
+      const mimeType = photo.mimeType || null;
       const folderId = photo.parents?.[0] || "root";
+      const rootFolderId = photo.rootFolderId || null;
+      const sourceId = photo.source || null;
 
       // Extract location data if available (safely handle missing imageMediaMetadata)
       const latitude = photo.imageMediaMetadata?.location?.latitude ?? null;
       const longitude = photo.imageMediaMetadata?.location?.longitude ?? null;
       const altitude = photo.imageMediaMetadata?.location?.altitude ?? null;
 
+      // Some providers (e.g. Immich) resolve place names server-side
+      const locationName = photo.imageMediaMetadata?.locationName ?? null;
+
+      const { filteredOut, playlists } = this.evaluateFilters({
+        filename: photo.name,
+        width,
+        height,
+        creation_time: creationTime,
+        media_type: mediaType,
+        duration_ms: durationMs,
+        size_bytes: sizeBytes,
+      });
+
       await this.db.run(`
-        INSERT INTO photos (id, folder_id, filename, creation_time, width, height, latitude, longitude, altitude)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO photos (id, folder_id, root_folder_id, source_id, filename, creation_time, creation_month_day, width, height, media_type, duration_ms, size_bytes, mime_type, latitude, longitude, altitude, location_name, provider_location_name, filtered_out, playlists)
+        VALUES (
+          ?, ?,
+          -- Incremental changes often don't know the configured root: inherit it from the folder
+          COALESCE(?, (SELECT root_folder_id FROM photos WHERE folder_id = ? AND root_folder_id IS NOT NULL LIMIT 1)),
+          ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        )
         ON CONFLICT(id) DO UPDATE SET
           folder_id = excluded.folder_id,
+          root_folder_id = COALESCE(excluded.root_folder_id, photos.root_folder_id),
+          source_id = excluded.source_id,
           filename = excluded.filename,
           creation_time = excluded.creation_time,
+          creation_month_day = excluded.creation_month_day,
           width = excluded.width,
           height = excluded.height,
+          media_type = excluded.media_type,
+          duration_ms = excluded.duration_ms,
+          size_bytes = excluded.size_bytes,
+          mime_type = excluded.mime_type,
           latitude = excluded.latitude,
           longitude = excluded.longitude,
-          altitude = excluded.altitude
-      `, [photo.id, folderId, photo.name, creationTime, width, height, latitude, longitude, altitude]);
+          altitude = excluded.altitude,
+          location_name = COALESCE(excluded.location_name, photos.location_name),
+          -- Names supplied by the provider aren't re-rendered with locationFormat
+          location_components = CASE WHEN excluded.location_name IS NULL THEN photos.location_components END,
+          location_place = CASE WHEN excluded.location_name IS NULL THEN photos.location_place ELSE 0 END,
+          provider_location_name = COALESCE(excluded.provider_location_name, photos.provider_location_name),
+          filtered_out = excluded.filtered_out,
+          playlists = excluded.playlists
+      `, [photo.id, folderId, rootFolderId, folderId, sourceId, photo.name, creationTime, creationMonthDay, width, height, mediaType, durationMs, sizeBytes, mimeType, latitude, longitude, altitude, locationName, locationName, filteredOut, playlists]);
 
     } catch (error) {
       this.log(`[DB] Error saving photo ${photo.id}:`, error.message);
@@ -221,8 +370,10 @@ class PhotoDatabase {
 
       await this.db.exec("BEGIN TRANSACTION");
 
+      // One query for the whole batch instead of one per photo
+      const measuredSizes = await this.getMeasuredSizes();
       for (const photo of photos) {
-        await this.savePhoto(photo);
+        await this.savePhoto(photo, measuredSizes);
       }
 
       await this.db.exec("COMMIT");
@@ -252,16 +403,174 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Delete photos that belong to none of the given sources (multi-provider mode)
+   * @param {string[]} sourceIds - Configured source IDs
+   * @returns {Promise<number>} Number of photos deleted
+   */
+  async deletePhotosOutsideSources(sourceIds) {
+    try {
+      const result = await this.db.run(
+        `DELETE FROM photos WHERE source_id IS NULL OR source_id NOT IN (${sourceIds.map(() => "?").join(", ")})`,
+        sourceIds
+      );
+      return result.changes;
+
+    } catch (error) {
+      this.log("[DB] Error deleting photos outside sources:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Month/day key used by "on this day" (e.g. May 31 → 531)
+   * @param {Date} date - Date in local time
+   * @returns {number} MMDD as integer
+   */
+  static toMonthDay(date) {
+    return (date.getMonth() + 1) * 100 + date.getDate();
+  }
+
+  /**
+   * Month/day keys within the "on this day" window around a date
+   * @param {Date} now - Reference date
+   * @returns {number[]} MMDD keys
+   */
+  getOnThisDayMonthDays(now = new Date()) {
+    const monthDays = [];
+
+    for (let offset = -this.onThisDayWindow; offset <= this.onThisDayWindow; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      monthDays.push(PhotoDatabase.toMonthDay(day));
+
+      // Feb 29 photos are remembered on Feb 28 in non-leap years
+      if (day.getMonth() === 1 && day.getDate() === 28 && new Date(day.getFullYear(), 1, 29).getMonth() === 2) {
+        monthDays.push(229);
+      }
+    }
+
+    return monthDays;
+  }
+
+  /**
+   * SQL condition (and params) matching photos taken around today's date in previous years
+   * @param {Date} now - Reference date
+   * @returns {{sql: string, params: Array}} WHERE fragment and its parameters
+   */
+  buildOnThisDayCondition(now = new Date()) {
+    const monthDays = this.getOnThisDayMonthDays(now);
+    const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+
+    return {
+      // Older than the window, so this year's photos from the last few days don't count
+      sql: `(creation_month_day IN (${monthDays.map(() => "?").join(", ")}) AND creation_time < ?)`,
+      params: [...monthDays, startOfToday - this.onThisDayWindow * DAY_MS],
+    };
+  }
+
+  /**
+   * SQL condition (and params) matching the photos of a playlist
+   * @param {string} name - Playlist name
+   * @returns {{sql: string, params: Array}} WHERE fragment and its parameters
+   */
+  buildPlaylistCondition(name) {
+    const playlist = this.playlists.get(name);
+    if (!playlist) {
+      throw new Error(`Unknown playlist "${name}"`);
+    }
+
+    let sql = "playlists LIKE ?";
+    const params = [`%,${name},%`];
+
+    // Folder IDs match the configured folder and the direct parent of a photo; with providers
+    // that use paths as IDs (local, WebDAV, S3, Dropbox) also any folder below them
+    if (playlist.folders.length > 0) {
+      const placeholders = playlist.folders.map(() => "?").join(", ");
+      const prefixes = playlist.folders.map(folder => `${String(folder).replace(/\/+$/, "")}/`);
+      sql += ` AND (root_folder_id IN (${placeholders}) OR folder_id IN (${placeholders})`;
+      sql += prefixes.map(() => " OR substr(folder_id, 1, ?) = ?").join("") + ")";
+      params.push(...playlist.folders, ...playlist.folders, ...prefixes.flatMap(prefix => [prefix.length, prefix]));
+    }
+
+    return { sql: `(${sql})`, params };
+  }
+
+  /**
+   * Get the next "on this day" photo, or null if fewer than onThisDayMinPhotos are cached
+   * @param {Date} now - Reference date
+   * @param {object} scope - Extra {sql, params} condition (e.g. the active playlist)
+   * @returns {Promise<object | null>} Photo with on_this_day {years, exactDay}, or null
+   */
+  async getOnThisDayPhoto(now = new Date(), scope = { sql: "1", params: [] }) {
+    const memory = this.buildOnThisDayCondition(now);
+    const condition = { sql: `${memory.sql} AND ${scope.sql}`, params: [...memory.params, ...scope.params] };
+
+    const { count } = await this.db.get(
+      `SELECT COUNT(*) as count FROM photos WHERE ${CACHED_AND_SHOWN} AND ${condition.sql}`,
+      condition.params
+    );
+
+    if (count === 0 || count < this.onThisDayMinPhotos) {
+      return null;
+    }
+
+    const photo = await this.db.get(`
+      SELECT ${DISPLAY_COLUMNS}
+      FROM photos
+      WHERE ${CACHED_AND_SHOWN} AND ${condition.sql}
+      ORDER BY last_viewed_at ASC NULLS FIRST, creation_time ASC
+      LIMIT 1
+    `, condition.params);
+
+    const taken = new Date(photo.creation_time);
+    photo.on_this_day = {
+      years: Math.max(1, Math.round((now.getTime() - taken.getTime()) / (365.25 * DAY_MS))),
+      exactDay: PhotoDatabase.toMonthDay(taken) === PhotoDatabase.toMonthDay(now),
+    };
+
+    return photo;
+  }
+
   /**
    * Get next photo to display (BLOB or file-based)
-   * Supports multiple sort modes: sequential, random, newest, oldest
-   * @returns {Promise<Object|null>} Photo metadata or null
+   * Supports multiple sort modes: sequential, random, newest, oldest, onThisDay
+   * @param {string|null} playlistName - Scheduled playlist to show (null = every photo)
+   * @param {string[]} excludeIds - Photos to skip (e.g. already on screen in the grid layout)
+   * @returns {Promise<object | null>} Photo metadata (with a second photo in `pair` in 'pair' layout) or null
    */
-  async getNextPhoto() {
+  async getNextPhoto(playlistName = null, excludeIds = []) {
     try {
+      const playlist = playlistName ? this.playlists.get(playlistName) : null;
+      let scope = playlist ? this.buildPlaylistCondition(playlistName) : { sql: "1", params: [] };
+      const sortMode = playlist?.sortMode || this.sortMode;
+
+      if (playlist && !(await this.db.get(`SELECT 1 FROM photos WHERE ${CACHED_AND_SHOWN} AND ${scope.sql} LIMIT 1`, scope.params))) {
+        // Nothing of this playlist is cached (yet): keep the slideshow going with every photo
+        this.log(`[DB] No cached photos in playlist "${playlistName}", showing all photos`);
+        scope = { sql: "1", params: [] };
+      }
+
+      if (excludeIds.length > 0) {
+        scope = {
+          sql: `${scope.sql} AND id NOT IN (${excludeIds.map(() => "?").join(", ")})`,
+          params: [...scope.params, ...excludeIds],
+        };
+      }
+
+      if (sortMode === 'onThisDay') {
+        const now = new Date();
+        const memory = await this.getOnThisDayPhoto(now, scope);
+        if (memory) {
+          // Pair memories with each other
+          const condition = this.buildOnThisDayCondition(now);
+          return await this.attachPair(memory, { sql: `${scope.sql} AND ${condition.sql}`, params: [...scope.params, ...condition.params] });
+        }
+        // Too few memories today: fall through to the normal (sequential) rotation
+      }
+
       // Build ORDER BY clause based on sort mode
       let orderBy;
-      switch (this.sortMode) {
+      switch (sortMode) {
         case 'random':
           // Random order, prioritize unviewed photos
           orderBy = 'last_viewed_at ASC NULLS FIRST, RANDOM()';
@@ -284,15 +593,23 @@ class PhotoDatabase {
           break;
       }
 
+      // Each configured folder (across all sources) gets its weighted share of screen time
+      const group = await this.nextFolderGroup(scope);
+      if (group === null) {
+        return null;
+      }
+
       const photo = await this.db.get(`
-        SELECT id, cached_path, cached_data, filename, width, height, creation_time, latitude, longitude, altitude, location_name
+        SELECT ${DISPLAY_COLUMNS}
         FROM photos
-        WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+        WHERE ${CACHED_AND_SHOWN}
+          AND ${scope.sql}
+          AND COALESCE(root_folder_id, folder_id) = ?
         ORDER BY ${orderBy}
         LIMIT 1
-      `);
+      `, [...scope.params, group]);
 
-      return photo || null;
+      return photo ? await this.attachPair(photo, scope) : null;
 
     } catch (error) {
       this.log("[DB] Error getting next photo:", error.message);
@@ -300,6 +617,109 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * SQL condition matching photos of an orientation (unknown sizes never match)
+   * @param {string} orientation - 'portrait' or 'landscape'
+   * @returns {string} WHERE fragment
+   */
+  static orientationCondition(orientation) {
+    return orientation === 'portrait' ? "(height > width)" : "(width > height)";
+  }
+
+  /**
+   * In 'pair' layout, attach a second photo of the paired orientation, preferably taken close in time
+   * @param {object} photo - Photo picked for display
+   * @param {object} scope - {sql, params} condition the partner must also match
+   * @returns {Promise<object>} The photo, with `pair` set when a partner was found
+   */
+  async attachPair(photo, scope) {
+    if (!this.pairOrientation) {
+      return photo;
+    }
+
+    // Clips play on their own
+    const isVideo = (photo.cached_mime_type || "").startsWith("video/");
+    const matches = this.pairOrientation === 'portrait' ? photo.height > photo.width : photo.width > photo.height;
+    if (!matches || isVideo) {
+      return photo;
+    }
+
+    // Only the least recently viewed candidates, so pairing doesn't keep showing the same photos
+    const pair = await this.db.get(`
+      SELECT * FROM (
+        SELECT ${DISPLAY_COLUMNS}
+        FROM photos
+        WHERE ${CACHED_AND_SHOWN} AND ${scope.sql} AND ${PhotoDatabase.orientationCondition(this.pairOrientation)} AND NOT ${CACHED_AS_VIDEO} AND id != ?
+        ORDER BY last_viewed_at ASC NULLS FIRST
+        LIMIT ${PAIR_CANDIDATES}
+      )
+      ORDER BY ABS(COALESCE(creation_time, 0) - ?) ASC
+      LIMIT 1
+    `, [...scope.params, photo.id, photo.creation_time || 0]);
+
+    if (pair) {
+      photo.pair = pair;
+    }
+    return photo;
+  }
+
+  /**
+   * Set display weights of the configured folders
+   * @param {object} weights - Map of root folder ID to weight (default weight: 1)
+   */
+  setFolderWeights(weights) {
+    this.folderWeights = weights || {};
+    this.groupPasses.clear();
+  }
+
+  /**
+   * Get the weight of a folder group
+   * @param {string} group - Root folder ID (or folder ID for photos without a known root)
+   * @returns {number} Positive weight
+   */
+  getFolderWeight(group) {
+    const weight = Number(this.folderWeights[group]);
+    return weight > 0 ? weight : 1;
+  }
+
+  /**
+   * Pick the folder group to show next using stride scheduling: every group advances
+   * its pass by 1/weight when shown, and the group with the lowest pass goes next.
+   * @param {object} scope - Extra {sql, params} condition (e.g. the active playlist)
+   * @returns {Promise<string|null>} Group key, or null if nothing is cached
+   */
+  async nextFolderGroup(scope = { sql: "1", params: [] }) {
+    const rows = await this.db.all(`
+      SELECT DISTINCT COALESCE(root_folder_id, folder_id) AS folder_group
+      FROM photos
+      WHERE ${CACHED_AND_SHOWN} AND ${scope.sql}
+    `, scope.params);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const groups = rows.map(row => row.folder_group);
+
+    // Groups that appear (first cache, new folder) start level with the others instead of catching up
+    const known = groups.filter(group => this.groupPasses.has(group)).map(group => this.groupPasses.get(group));
+    const startPass = known.length > 0 ? Math.min(...known) : 0;
+
+    let next = null;
+    for (const group of groups) {
+      if (!this.groupPasses.has(group)) {
+        this.groupPasses.set(group, startPass);
+      }
+      const pass = this.groupPasses.get(group);
+      if (next === null || pass < this.groupPasses.get(next) || (pass === this.groupPasses.get(next) && group < next)) {
+        next = group;
+      }
+    }
+
+    this.groupPasses.set(next, this.groupPasses.get(next) + 1 / this.getFolderWeight(next));
+    return next;
+  }
+
   /**
    * Update last_viewed_at timestamp for a photo
    * @param {string} photoId - Photo ID
@@ -322,13 +742,14 @@ class PhotoDatabase {
    * Update location name for a photo
    * @param {string} photoId - Photo ID
    * @param {string} locationName - Resolved location name
+   * @param {object | null} components - Address components the name was rendered from
    * @returns {Promise<void>}
    */
-  async updateLocationName(photoId, locationName) {
+  async updateLocationName(photoId, locationName, components = null) {
     try {
       await this.db.run(
-        "UPDATE photos SET location_name = ? WHERE id = ?",
-        [locationName, photoId]
+        "UPDATE photos SET location_name = ?, location_components = ?, location_place = 0 WHERE id = ?",
+        [locationName, components ? JSON.stringify(components) : null, photoId]
       );
 
     } catch (error) {
@@ -338,20 +759,233 @@ class PhotoDatabase {
   }
 
   /**
-   * Get photos that need caching (no cached_path)
+   * Name a photo after the configured place it was taken in
+   * @param {string} photoId - Photo ID
+   * @param {string} placeName - Place name ("" for hidden places)
+   * @returns {Promise<void>}
+   */
+  async updatePlaceName(photoId, placeName) {
+    try {
+      await this.db.run(
+        "UPDATE photos SET location_name = ?, location_components = NULL, location_place = 1 WHERE id = ?",
+        [placeName, photoId]
+      );
+
+    } catch (error) {
+      this.log(`[DB] Error updating place name ${photoId}:`, error.message);
+      // Don't throw - this is non-critical
+    }
+  }
+
+  /**
+   * Forget the names given by configured places (after the places changed); photos get their
+   * provider-supplied name back, or are named again by the current places or the geocoder
+   * @returns {Promise<void>}
+   */
+  async clearPlaceNames() {
+    try {
+      await this.db.run("UPDATE photos SET location_name = provider_location_name, location_place = 0 WHERE location_place = 1");
+
+    } catch (error) {
+      this.log("[DB] Error clearing place names:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get cached photos with a GPS position but no place name yet
+   * Photos the geocoder found nothing for have an empty location_name and are not returned.
    * @param {number} limit - Maximum number to return
-   * @returns {Promise<Array>} Array of photos
+   * @returns {Promise<Array>} Photos with id, latitude, longitude, location_name, location_place
    */
-  async getPhotosToCache(limit = 5) {
+  async getPhotosToGeocode(limit) {
     try {
-      const photos = await this.db.all(`
-        SELECT id, filename
+      return await this.db.all(`
+        SELECT id, latitude, longitude, location_name, location_place
         FROM photos
-        WHERE cached_path IS NULL
+        WHERE location_name IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL
+          AND (cached_data IS NOT NULL OR cached_path IS NOT NULL)
         ORDER BY last_viewed_at ASC NULLS FIRST
         LIMIT ?
       `, [limit]);
 
+    } catch (error) {
+      this.log("[DB] Error getting photos to geocode:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get photos whose position lies in any of the given boxes
+   * @param {Array<object>} bounds - [{south, north, west, east}] in degrees
+   * @returns {Promise<Array>} Photos with id, latitude, longitude, location_name, location_place
+   */
+  async getPhotosInAreas(bounds) {
+    if (bounds.length === 0) {
+      return [];
+    }
+
+    try {
+      const boxes = bounds.map(() => "(latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?)").join(" OR ");
+      return await this.db.all(`
+        SELECT id, latitude, longitude, location_name, location_place
+        FROM photos
+        WHERE latitude IS NOT NULL AND longitude IS NOT NULL AND (${boxes})
+      `, bounds.flatMap(box => [box.south, box.north, box.west, box.east]));
+
+    } catch (error) {
+      this.log("[DB] Error getting photos in places:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get photos named by a geocoder, to render their names again after locationFormat changed
+   * @returns {Promise<Array>} Photos with id, location_name and parsed location_components
+   */
+  async getGeocodedPhotos() {
+    try {
+      const photos = await this.db.all(
+        "SELECT id, location_name, location_components FROM photos WHERE location_components IS NOT NULL"
+      );
+
+      return photos.map(photo => ({ ...photo, location_components: JSON.parse(photo.location_components) }));
+
+    } catch (error) {
+      this.log("[DB] Error getting geocoded photos:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget geocoded place names (e.g. after the geocoder language changed); they are looked up again
+   * Names of configured places, from the provider, and "no place nearby" results are kept.
+   * @returns {Promise<void>}
+   */
+  async clearGeocodedNames() {
+    try {
+      await this.db.run(
+        "UPDATE photos SET location_name = NULL, location_components = NULL WHERE location_components IS NOT NULL"
+      );
+
+    } catch (error) {
+      this.log("[DB] Error clearing geocoded names:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an earlier reverse geocoding result
+   * @param {string} cell - Rounded "lat,lon"
+   * @param {string} language - Language of the names
+   * @returns {Promise<object | null>} {components, geocoded_at} (components null = no place nearby), or null if not looked up yet
+   */
+  async getGeocodedLocation(cell, language) {
+    try {
+      const row = await this.db.get(
+        "SELECT components, geocoded_at FROM geocode_cache WHERE cell = ? AND language = ?",
+        [cell, language]
+      );
+
+      return row ? { components: row.components ? JSON.parse(row.components) : null, geocoded_at: row.geocoded_at } : null;
+
+    } catch (error) {
+      this.log(`[DB] Error getting geocoded location ${cell}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Remember a reverse geocoding result
+   * @param {string} cell - Rounded "lat,lon"
+   * @param {string} language - Language of the names
+   * @param {object | null} components - Address components, or null if there is no place nearby
+   * @returns {Promise<void>}
+   */
+  async saveGeocodedLocation(cell, language, components) {
+    try {
+      await this.db.run(`
+        INSERT INTO geocode_cache (cell, language, components, geocoded_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(cell, language) DO UPDATE SET components = excluded.components, geocoded_at = excluded.geocoded_at
+      `, [cell, language, components ? JSON.stringify(components) : null, Date.now()]);
+
+    } catch (error) {
+      this.log(`[DB] Error saving geocoded location ${cell}:`, error.message);
+      // Don't throw - this is non-critical
+    }
+  }
+
+  /**
+   * Record the size of a photo as displayed (measured after EXIF rotation while caching)
+   * Orientation-based conditions and playlists are re-evaluated with the new size.
+   * @param {string} photoId - Photo ID
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {Promise<void>}
+   */
+  async updatePhotoDimensions(photoId, width, height) {
+    try {
+      const photo = await this.db.get(
+        "SELECT filename, creation_time, media_type, duration_ms, size_bytes FROM photos WHERE id = ?",
+        [photoId]
+      );
+      if (!photo || !width || !height) {
+        return;
+      }
+
+      const { filteredOut, playlists } = this.evaluateFilters({ ...photo, width, height });
+      await this.db.run(
+        "UPDATE photos SET width = ?, height = ?, filtered_out = ?, playlists = ? WHERE id = ?",
+        [width, height, filteredOut, playlists, photoId]
+      );
+
+    } catch (error) {
+      this.log(`[DB] Error updating dimensions of ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get photos that need caching, interleaved by folder weight
+   * @param {number} limit - Maximum number to return
+   * @param {string[]} priorityPlaylists - Playlists to cache first (active and upcoming)
+   * @returns {Promise<Array>} Array of photos
+   */
+  async getPhotosToCache(limit = 5, priorityPlaylists = []) {
+    try {
+      // Interleave folders by weight so small folders get cached alongside big ones:
+      // the Nth photo of a folder ranks at N / weight
+      const weighted = Object.entries(this.folderWeights).filter(([group]) => this.getFolderWeight(group) !== 1);
+      const weightCase = weighted.length > 0
+        ? `CASE folder_group ${weighted.map(() => "WHEN ? THEN ?").join(" ")} ELSE 1.0 END`
+        : "1.0";
+      const weightParams = weighted.flatMap(([group]) => [group, this.getFolderWeight(group)]);
+
+      // In "on this day" mode today's memories are fetched before anything else
+      const memory = this.sortMode === 'onThisDay' ? this.buildOnThisDayCondition() : null;
+      const memoryOrder = memory ? `${memory.sql} DESC, ` : "";
+
+      // Scheduled playlists that are on (or about to come on) are fetched before the rest
+      const priority = priorityPlaylists.filter(name => this.playlists.has(name)).map(name => this.buildPlaylistCondition(name));
+      const priorityOrder = priority.length > 0 ? `(${priority.map(p => p.sql).join(" OR ")}) DESC, ` : "";
+
+      const photos = await this.db.all(`
+        SELECT id, filename, media_type, mime_type
+        FROM (
+          SELECT id, filename, media_type, mime_type, last_viewed_at, creation_time, creation_month_day, playlists, root_folder_id, folder_id,
+            COALESCE(root_folder_id, folder_id) AS folder_group,
+            ROW_NUMBER() OVER (
+              PARTITION BY COALESCE(root_folder_id, folder_id)
+              ORDER BY last_viewed_at ASC NULLS FIRST, id ASC
+            ) AS folder_rank
+          FROM photos
+          WHERE cached_data IS NULL AND cached_path IS NULL AND filtered_out = 0 AND unsupported = 0
+        )
+        ORDER BY ${priorityOrder}${memoryOrder}CAST(folder_rank AS REAL) / ${weightCase} ASC, last_viewed_at ASC NULLS FIRST
+        LIMIT ?
+      `, [...priority.flatMap(p => p.params), ...(memory ? memory.params : []), ...weightParams, limit]);
+
       return photos;
 
     } catch (error) {
@@ -360,20 +994,45 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Get cached images stored in another format than the configured one (clips are left alone)
+   * @param {string} mimeType - MIME type of the configured outputFormat
+   * @param {number} limit - Maximum number to return
+   * @returns {Promise<Array>} Photos with id, cached_path, cached_data, cached_mime_type
+   */
+  async getPhotosToConvert(mimeType, limit) {
+    try {
+      // File-mode entries from older versions have no MIME type: they are JPEGs
+      return await this.db.all(`
+        SELECT id, cached_path, cached_data, cached_mime_type
+        FROM photos
+        WHERE (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+          AND COALESCE(cached_mime_type, 'image/jpeg') != ?
+          AND NOT ${CACHED_AS_VIDEO}
+        LIMIT ?
+      `, [mimeType, limit]);
+
+    } catch (error) {
+      this.log("[DB] Error getting photos to convert:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Update cache information for a photo (legacy file-based)
    * @param {string} photoId - Photo ID
    * @param {string} cachedPath - Path to cached file
    * @param {number} sizeBytes - File size in bytes
+   * @param {string|null} mimeType - MIME type (null = JPEG); video clips are always cached as files
    * @returns {Promise<void>}
    */
-  async updatePhotoCache(photoId, cachedPath, sizeBytes) {
+  async updatePhotoCache(photoId, cachedPath, sizeBytes, mimeType = null) {
     try {
       await this.db.run(`
         UPDATE photos
-        SET cached_path = ?, cached_at = ?, cached_size_bytes = ?
+        SET cached_path = ?, cached_at = ?, cached_size_bytes = ?, cached_mime_type = ?
         WHERE id = ?
-      `, [cachedPath, Date.now(), sizeBytes, photoId]);
+      `, [cachedPath, Date.now(), sizeBytes, mimeType, photoId]);
 
     } catch (error) {
       this.log(`[DB] Error updating cache for ${photoId}:`, error.message);
@@ -431,6 +1090,56 @@ class PhotoDatabase {
     }
   }
 
+  /**
+   * Get the cached image of a photo (BLOB or file path) for serving
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<object | null>} {id, cached_data, cached_path, cached_mime_type, cached_at} or null if not cached
+   */
+  async getCachedPhoto(photoId) {
+    try {
+      const result = await this.db.get(`
+        SELECT id, cached_data, cached_path, cached_mime_type, cached_at
+        FROM photos
+        WHERE id = ? AND (cached_data IS NOT NULL OR cached_path IS NOT NULL)
+      `, [photoId]);
+
+      return result || null;
+
+    } catch (error) {
+      this.log(`[DB] Error getting cached photo ${photoId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stop trying to cache a photo whose file can't be converted for display (until the decoders change)
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<void>}
+   */
+  async markUnsupported(photoId) {
+    try {
+      await this.db.run("UPDATE photos SET unsupported = 1 WHERE id = ?", [photoId]);
+
+    } catch (error) {
+      this.log(`[DB] Error marking ${photoId} unsupported:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give every photo marked unsupported another chance (e.g. after heic-convert was installed)
+   * @returns {Promise<void>}
+   */
+  async clearUnsupported() {
+    try {
+      await this.db.run("UPDATE photos SET unsupported = 0 WHERE unsupported = 1");
+
+    } catch (error) {
+      this.log("[DB] Error clearing unsupported marks:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Clear cache information for a photo (both BLOB and file-based)
    * @param {string} photoId - Photo ID
@@ -456,6 +1165,7 @@ class PhotoDatabase {
 
   /**
    * Get oldest cached photos for eviction (both BLOB and file-based)
+   * Photos excluded by a changed condition are evicted first
    * @param {number} limit - Number of photos to return
    * @returns {Promise<Array>} Array of photos with cache info
    */
@@ -465,7 +1175,7 @@ class PhotoDatabase {
         SELECT id, cached_path, cached_size_bytes
         FROM photos
         WHERE cached_data IS NOT NULL OR cached_path IS NOT NULL
-        ORDER BY last_viewed_at ASC
+        ORDER BY filtered_out DESC, last_viewed_at ASC
         LIMIT ?
       `, [limit]);
 
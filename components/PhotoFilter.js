@@ -0,0 +1,211 @@
+"use strict";
+
+const { RE2 } = require("re2-wasm");
+
+// Width/height ratio tolerance for orientation: "square"
+const SQUARE_TOLERANCE = 0.05;
+
+/**
+ * Photo Filter - evaluates the `condition` option against photo metadata
+ *
+ * Supported conditions (all optional):
+ *   fromDate / toDate          - "YYYY", "YYYY-MM", "YYYY-MM-DD" or any Date-parsable string (inclusive)
+ *   minWidth / maxWidth        - Pixel bounds
+ *   minHeight / maxHeight      - Pixel bounds
+ *   minWHRatio / maxWHRatio    - Width/height ratio bounds (< 1 portrait, > 1 landscape)
+ *   orientation                - "landscape", "portrait" or "square"
+ *   filename / excludeFilename - Glob ("IMG_*.jpg") or "/regex/flags", or an array of them
+ *
+ * Photos whose date or dimensions are unknown are not filtered by those conditions.
+ */
+class PhotoFilter {
+  /**
+   * @param {object | null} condition - The `condition` config option
+   */
+  constructor(condition) {
+    this.condition = condition || {};
+
+    this.fromTime = PhotoFilter.parseDateBound(this.condition.fromDate, false);
+    this.toTime = PhotoFilter.parseDateBound(this.condition.toDate, true);
+    this.include = PhotoFilter.compilePatterns(this.condition.filename);
+    this.exclude = PhotoFilter.compilePatterns(this.condition.excludeFilename);
+
+    const orientation = this.condition.orientation;
+    if (orientation && !["landscape", "portrait", "square"].includes(orientation)) {
+      throw new Error(`Invalid orientation "${orientation}" (expected landscape, portrait or square)`);
+    }
+  }
+
+  /**
+   * Parse a date bound; partial dates cover the whole year/month/day
+   * @param {string|number|null} value - Date from config
+   * @param {boolean} end - true for the inclusive upper bound
+   * @returns {number|null} Timestamp in ms, or null if unset
+   */
+  static parseDateBound(value, end) {
+    if (value === null || value === undefined || value === "") {
+      return null;
+    }
+
+    const partial = typeof value === "string" && value.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+    if (partial) {
+      const year = Number(partial[1]);
+      const month = partial[2] ? Number(partial[2]) - 1 : null;
+      const day = partial[3] ? Number(partial[3]) : null;
+
+      if (!end) {
+        return new Date(year, month ?? 0, day ?? 1).getTime();
+      }
+      // First moment after the period, minus one millisecond
+      if (day !== null) {
+        return new Date(year, month, day + 1).getTime() - 1;
+      }
+      if (month !== null) {
+        return new Date(year, month + 1, 1).getTime() - 1;
+      }
+      return new Date(year + 1, 0, 1).getTime() - 1;
+    }
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date in condition: "${value}"`);
+    }
+    return time;
+  }
+
+  /**
+   * Compile filename patterns to case-insensitive RE2 expressions
+   * @param {string|string[]|null} patterns - Globs or "/regex/flags" strings
+   * @returns {Array<RE2>} Compiled expressions
+   */
+  static compilePatterns(patterns) {
+    if (!patterns) {
+      return [];
+    }
+
+    return [].concat(patterns).map(pattern => {
+      const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+      if (regex) {
+        // RE2 only runs in unicode mode and has no global/sticky matching
+        const flags = new Set(regex[2].replace(/[gyu]/g, ""));
+        return new RE2(regex[1], [...flags, "u"].join(""));
+      }
+      return new RE2(PhotoFilter.globToRegex(pattern), "iu");
+    });
+  }
+
+  /**
+   * Convert a filename glob (* and ?) to an anchored regular expression
+   * @param {string} glob - Glob pattern
+   * @returns {string} Regular expression source
+   */
+  static globToRegex(glob) {
+    const source = String(glob).split("").map(char => {
+      if (char === "*") {
+        return ".*";
+      }
+      if (char === "?") {
+        return ".";
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+
+    return `^${source}$`;
+  }
+
+  /**
+   * Whether any condition is configured
+   * @returns {boolean} true if at least one condition is set
+   */
+  isActive() {
+    return Object.values(this.condition).some(value => value !== null && value !== undefined);
+  }
+
+  /**
+   * Stable description of the configured conditions (to detect config changes)
+   * @returns {string} JSON signature
+   */
+  getSignature() {
+    const keys = Object.keys(this.condition).sort();
+    return JSON.stringify(keys.map(key => [key, this.condition[key]]));
+  }
+
+  /**
+   * Check a photo against the configured conditions
+   * @param {object} photo - {filename, width, height, creation_time}
+   * @returns {boolean} true if the photo should be shown
+   */
+  matches(photo) {
+    const c = this.condition;
+    const { filename, width, height, creation_time: time } = photo;
+
+    if (Number.isFinite(time)) {
+      if (this.fromTime !== null && time < this.fromTime) {
+        return false;
+      }
+      if (this.toTime !== null && time > this.toTime) {
+        return false;
+      }
+    }
+
+    if (width > 0) {
+      if (c.minWidth && width < c.minWidth) {
+        return false;
+      }
+      if (c.maxWidth && width > c.maxWidth) {
+        return false;
+      }
+    }
+
+    if (height > 0) {
+      if (c.minHeight && height < c.minHeight) {
+        return false;
+      }
+      if (c.maxHeight && height > c.maxHeight) {
+        return false;
+      }
+    }
+
+    if (width > 0 && height > 0) {
+      const ratio = width / height;
+      if (c.minWHRatio && ratio < c.minWHRatio) {
+        return false;
+      }
+      if (c.maxWHRatio && ratio > c.maxWHRatio) {
+        return false;
+      }
+      if (!this.matchesOrientation(ratio)) {
+        return false;
+      }
+    }
+
+    const name = filename || "";
+    if (this.include.length > 0 && !this.include.some(re => re.test(name))) {
+      return false;
+    }
+    if (this.exclude.some(re => re.test(name))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {number} ratio - Width/height ratio
+   * @returns {boolean} true if the ratio fits the configured orientation
+   */
+  matchesOrientation(ratio) {
+    switch (this.condition.orientation) {
+      case "landscape":
+        return ratio > 1 + SQUARE_TOLERANCE;
+      case "portrait":
+        return ratio < 1 - SQUARE_TOLERANCE;
+      case "square":
+        return Math.abs(ratio - 1) <= SQUARE_TOLERANCE;
+      default:
+        return true;
+    }
+  }
+}
+
+module.exports = PhotoFilter;
@@ -0,0 +1,152 @@
+"use strict";
+
+// Metres per degree of latitude
+const METRES_PER_DEGREE = 111320;
+
+/**
+ * Places - Named areas ("places" option) that replace geocoded place names
+ *
+ * A place is a circle ({latitude, longitude, radius} in metres) or a polygon
+ * ({polygon: [[lat, lon], ...]}). Photos inside are named after the place
+ * instead of being sent to the geocoder; places with `hide: true` get no
+ * name at all. The first matching place wins, so list small places first.
+ */
+class Places {
+  /**
+   * @param {Array<object>} places - [{name, latitude, longitude, radius} | {name, polygon}, with optional hide]
+   * @throws {Error} If a place has no name (and isn't hidden) or no valid area
+   */
+  constructor(places = []) {
+    this.places = (places || []).map((place, index) => Places.normalize(place, index));
+    this.signature = JSON.stringify(places || []);
+  }
+
+  /**
+   * Validate a place and work out its test function and bounding box
+   * @param {object} place - Place from the config
+   * @param {number} index - Position in the list (for error messages)
+   * @returns {object} {name, hide, contains, bounds}
+   */
+  static normalize(place, index) {
+    const label = place.name ? `"${place.name}"` : `#${index + 1}`;
+    if (!place.name && !place.hide) {
+      throw new Error(`Place ${label} needs a name (or hide: true)`);
+    }
+
+    const hide = place.hide === true;
+    const name = hide ? "" : place.name;
+
+    if (Array.isArray(place.polygon)) {
+      const points = place.polygon;
+      if (points.length < 3 || !points.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite))) {
+        throw new Error(`Place ${label}: polygon needs at least 3 [latitude, longitude] points`);
+      }
+
+      const latitudes = points.map(([lat]) => lat);
+      const longitudes = points.map(([, lon]) => lon);
+      return {
+        name,
+        hide,
+        contains: (lat, lon) => Places.inPolygon(points, lat, lon),
+        bounds: {
+          south: Math.min(...latitudes),
+          north: Math.max(...latitudes),
+          west: Math.min(...longitudes),
+          east: Math.max(...longitudes),
+        },
+      };
+    }
+
+    const { latitude, longitude } = place;
+    const radius = place.radius ?? 100;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || !(radius > 0)) {
+      throw new Error(`Place ${label} needs latitude, longitude and a positive radius (metres), or a polygon`);
+    }
+
+    const latSpan = radius / METRES_PER_DEGREE;
+    const lonSpan = Math.min(180, radius / (METRES_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 1e-6)));
+    return {
+      name,
+      hide,
+      contains: (lat, lon) => Places.distanceMetres(latitude, longitude, lat, lon) <= radius,
+      bounds: {
+        south: latitude - latSpan,
+        north: latitude + latSpan,
+        west: longitude - lonSpan,
+        east: longitude + lonSpan,
+      },
+    };
+  }
+
+  /**
+   * @returns {number} Number of configured places
+   */
+  get size() {
+    return this.places.length;
+  }
+
+  /**
+   * Identifies the configured places (stored to spot changes between restarts)
+   * @returns {string} Places as JSON
+   */
+  getSignature() {
+    return this.signature;
+  }
+
+  /**
+   * Find the place name for a position
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {string|null} Place name, "" inside a hidden place, or null outside all places
+   */
+  resolve(latitude, longitude) {
+    const place = this.places.find(p => p.contains(latitude, longitude));
+    return place ? place.name : null;
+  }
+
+  /**
+   * Bounding boxes of all places, to find candidate photos in SQL
+   * @returns {Array<object>} [{south, north, west, east}]
+   */
+  getBounds() {
+    return this.places.map(place => place.bounds);
+  }
+
+  /**
+   * Great-circle distance (haversine)
+   * @param {number} lat1 - Degrees
+   * @param {number} lon1 - Degrees
+   * @param {number} lat2 - Degrees
+   * @param {number} lon2 - Degrees
+   * @returns {number} Distance in metres
+   */
+  static distanceMetres(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Ray casting point-in-polygon test (places are small enough to treat degrees as flat)
+   * @param {Array<number[]>} points - [[lat, lon], ...]
+   * @param {number} lat - Degrees
+   * @param {number} lon - Degrees
+   * @returns {boolean} true if the position is inside
+   */
+  static inPolygon(points, lat, lon) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [latI, lonI] = points[i];
+      const [latJ, lonJ] = points[j];
+      if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+module.exports = Places;
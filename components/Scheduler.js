@@ -0,0 +1,140 @@
+"use strict";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Playlist Scheduler - picks the active playlist by month, day of week and time of day
+ *
+ * Config (the `schedule` option):
+ *   playlists: { name: { folders?: string[], condition?: Object, sortMode?: string } }
+ *   rules: [{ playlist, months?: number[], days?: Array<string|number>, from?: "HH:mm", to?: "HH:mm" }]
+ *   prefetchMinutes: How far ahead to warm the cache for the next playlist (default: 60)
+ *
+ * The first matching rule wins; when none matches every photo is shown.
+ */
+class Scheduler {
+  /**
+   * @param {object} schedule - The `schedule` config option
+   */
+  constructor(schedule) {
+    this.playlists = schedule.playlists || {};
+    this.prefetchMinutes = schedule.prefetchMinutes ?? 60;
+
+    for (const name of Object.keys(this.playlists)) {
+      if (!/^[\w-]+$/.test(name)) {
+        throw new Error(`Invalid playlist name "${name}" (use letters, digits, "_" and "-")`);
+      }
+    }
+
+    this.rules = (schedule.rules || []).map((rule, index) => Scheduler.parseRule(rule, index, this.playlists));
+  }
+
+  /**
+   * Validate a rule and convert it to numbers
+   * @param {object} rule - Rule from config
+   * @param {number} index - Position in the rules array (for error messages)
+   * @param {object} playlists - Known playlists
+   * @returns {object} {playlist, months, days, from, to} with times in minutes since midnight
+   */
+  static parseRule(rule, index, playlists) {
+    if (!playlists[rule.playlist]) {
+      throw new Error(`Schedule rule ${index} refers to unknown playlist "${rule.playlist}"`);
+    }
+
+    const days = rule.days ? rule.days.map(day => {
+      const number = typeof day === "number" ? day : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+      if (!(number >= 0 && number <= 6)) {
+        throw new Error(`Schedule rule ${index} has an invalid day "${day}"`);
+      }
+      return number;
+    }) : null;
+
+    return {
+      playlist: rule.playlist,
+      months: rule.months || null,
+      days,
+      from: rule.from ? Scheduler.parseTime(rule.from, index) : null,
+      to: rule.to ? Scheduler.parseTime(rule.to, index) : null,
+    };
+  }
+
+  /**
+   * @param {string} value - "HH:mm"
+   * @param {number} index - Rule index (for error messages)
+   * @returns {number} Minutes since midnight
+   */
+  static parseTime(value, index) {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+      throw new Error(`Schedule rule ${index} has an invalid time "${value}" (expected HH:mm)`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Check whether a rule applies at a point in time
+   * @param {object} rule - Parsed rule
+   * @param {Date} date - Local time
+   * @returns {boolean} true if the rule applies
+   */
+  static matchesRule(rule, date) {
+    if (rule.months && !rule.months.includes(date.getMonth() + 1)) {
+      return false;
+    }
+    if (rule.days && !rule.days.includes(date.getDay())) {
+      return false;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const from = rule.from ?? 0;
+    const to = rule.to ?? 24 * 60;
+
+    // "21:00" to "06:00" wraps around midnight
+    return from <= to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  }
+
+  /**
+   * Get the playlist that should be shown
+   * @param {Date} now - Reference time
+   * @returns {string|null} Playlist name, or null to show every photo
+   */
+  getActivePlaylist(now = new Date()) {
+    const rule = this.rules.find(candidate => Scheduler.matchesRule(candidate, now));
+    return rule ? rule.playlist : null;
+  }
+
+  /**
+   * Get the playlist that takes over within the next prefetchMinutes
+   * @param {Date} now - Reference time
+   * @returns {string|null} Playlist name, or null if nothing changes (or the next slot shows every photo)
+   */
+  getUpcomingPlaylist(now = new Date()) {
+    const active = this.getActivePlaylist(now);
+    const start = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+
+    // Rules have minute resolution, so checking each minute finds the exact switch
+    for (let minute = 1; minute <= this.prefetchMinutes; minute++) {
+      const playlist = this.getActivePlaylist(new Date(start + minute * MINUTE_MS));
+      if (playlist !== active) {
+        return playlist;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Playlists whose photos should be cached first: the active one and the next one
+   * @param {Date} now - Reference time
+   * @returns {string[]} Playlist names
+   */
+  getPrefetchPlaylists(now = new Date()) {
+    const names = [this.getActivePlaylist(now), this.getUpcomingPlaylist(now)];
+    return [...new Set(names.filter(name => name !== null))];
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,204 @@
+"use strict";
+
+/**
+ * Schema Migrations - versioned, ordered changes to the photo database
+ *
+ * The schema version is kept in SQLite's `PRAGMA user_version`. At startup every
+ * migration newer than that version runs, in order, each in its own transaction
+ * together with the version bump: a failing step is rolled back and leaves the
+ * database (cache, changes token) as it was.
+ *
+ * To change the schema, append a migration with the next version number. Never
+ * edit a released migration; databases that already ran it won't run it again.
+ */
+
+/**
+ * Add columns introduced after a table was first created
+ * @param {object} db - sqlite Database
+ * @param {string} table - Table name
+ * @param {object} columns - Map of column name to SQL type
+ * @returns {Promise<string[]>} Names of the columns added
+ */
+async function addMissingColumns(db, table, columns) {
+  const existing = await db.all(`PRAGMA table_info(${table})`);
+  const names = new Set(existing.map(column => column.name));
+  const added = [];
+
+  for (const [name, type] of Object.entries(columns)) {
+    if (!names.has(name)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      added.push(name);
+    }
+  }
+
+  return added;
+}
+
+// Ordered migrations: { version, description, up(db) }
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Databases from before versioning (user_version 0) may be at any earlier state, so this
+    // step only creates what is missing
+    description: "Baseline schema",
+    up: async db => {
+      await db.exec(`
+        -- Photos metadata
+        CREATE TABLE IF NOT EXISTS photos (
+          id TEXT PRIMARY KEY,
+          folder_id TEXT NOT NULL,
+          root_folder_id TEXT,
+          source_id TEXT,
+          filename TEXT,
+          creation_time INTEGER,
+          creation_month_day INTEGER,  -- MMDD of creation_time in local time, for "on this day"
+          width INTEGER,
+          height INTEGER,
+
+          -- Video clips
+          media_type TEXT NOT NULL DEFAULT 'image',  -- 'image' or 'video'
+          duration_ms INTEGER,
+          size_bytes INTEGER,
+
+          mime_type TEXT,              -- As reported by the provider (helps detect HEIC/RAW files)
+          unsupported INTEGER NOT NULL DEFAULT 0,  -- 1 = file can't be converted, retried when the decoders change
+
+          -- Location data (from EXIF/GPS)
+          latitude REAL,
+          longitude REAL,
+          altitude REAL,
+          location_name TEXT,          -- '' = geocoded, no place nearby (or a hidden place)
+          location_components TEXT,    -- JSON address components location_name was rendered from
+          location_place INTEGER NOT NULL DEFAULT 0,  -- 1 = location_name comes from a configured place
+          provider_location_name TEXT, -- Name supplied by the provider, restored when the places change
+
+          -- 1 = rejected by the configured condition
+          filtered_out INTEGER NOT NULL DEFAULT 0,
+          playlists TEXT,              -- ",name,name," of playlists whose condition matches
+
+          -- Simple view tracking (no analytics)
+          last_viewed_at INTEGER,
+
+          -- Cache tracking (legacy file-based)
+          cached_path TEXT,
+          cached_at INTEGER,
+          cached_size_bytes INTEGER,
+
+          -- BLOB storage (new efficient storage)
+          cached_data BLOB,
+          cached_mime_type TEXT
+        );
+
+        -- Settings (for Changes API token)
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+
+        -- Reverse geocoding results by ~1km cell, kept across restarts
+        CREATE TABLE IF NOT EXISTS geocode_cache (
+          cell TEXT NOT NULL,          -- "lat,lon" rounded to 2 decimals
+          language TEXT NOT NULL,      -- Language of the names ('' = local names)
+          components TEXT,             -- JSON address components, NULL = no place nearby
+          geocoded_at INTEGER NOT NULL,
+          PRIMARY KEY (cell, language)
+        );
+      `);
+
+      await addMissingColumns(db, "photos", {
+        source_id: "TEXT",
+        root_folder_id: "TEXT",
+        creation_month_day: "INTEGER",
+        filtered_out: "INTEGER NOT NULL DEFAULT 0",
+        playlists: "TEXT",
+        media_type: "TEXT NOT NULL DEFAULT 'image'",
+        duration_ms: "INTEGER",
+        size_bytes: "INTEGER",
+        mime_type: "TEXT",
+        unsupported: "INTEGER NOT NULL DEFAULT 0",
+        location_components: "TEXT",
+        location_place: "INTEGER NOT NULL DEFAULT 0",
+        provider_location_name: "TEXT",
+      });
+
+      await db.exec(`
+        UPDATE photos
+        SET creation_month_day = CAST(strftime('%m%d', creation_time / 1000, 'unixepoch', 'localtime') AS INTEGER)
+        WHERE creation_month_day IS NULL AND creation_time IS NOT NULL;
+
+        -- Optimized indexes for BLOB storage
+        CREATE INDEX IF NOT EXISTS idx_display_blob ON photos(last_viewed_at)
+          WHERE cached_data IS NOT NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_display_file ON photos(cached_path, last_viewed_at)
+          WHERE cached_path IS NOT NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_prefetch ON photos(last_viewed_at)
+          WHERE cached_data IS NULL AND cached_path IS NULL;
+
+        -- Lets new photos inherit the configured root folder of their siblings
+        CREATE INDEX IF NOT EXISTS idx_folder ON photos(folder_id);
+
+        CREATE INDEX IF NOT EXISTS idx_month_day ON photos(creation_month_day);
+      `);
+    },
+  },
+];
+
+/**
+ * Get the schema version of a database
+ * @param {object} db - sqlite Database
+ * @returns {Promise<number>} PRAGMA user_version (0 = new, or created before versioning)
+ */
+async function getSchemaVersion(db) {
+  const row = await db.get("PRAGMA user_version");
+  return row.user_version;
+}
+
+/**
+ * Run all migrations newer than the database's schema version
+ * @param {object} db - sqlite Database
+ * @param {Function} log - Logging function
+ * @param {Array<object>} migrations - Ordered migrations (defaults to MIGRATIONS)
+ * @returns {Promise<object>} {from, to} schema versions
+ * @throws {Error} If the list is out of order, or a migration fails (after rolling it back)
+ */
+async function migrate(db, log = console.log, migrations = MIGRATIONS) {
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1) {
+      throw new Error(`Migration "${migration.description}" has version ${migration.version}, expected ${index + 1}`);
+    }
+  });
+
+  const from = await getSchemaVersion(db);
+  const latest = migrations.length;
+
+  if (from > latest) {
+    // Written by a newer version of the module; columns it added are simply unused
+    log(`[DB] Schema version ${from} is newer than this module's (${latest}), leaving it as is`);
+    return { from, to: from };
+  }
+
+  for (const migration of migrations.slice(from)) {
+    log(`[DB] Migrating schema to version ${migration.version}: ${migration.description}`);
+
+    await db.exec("BEGIN IMMEDIATE");
+    try {
+      await migration.up(db);
+      await db.exec(`PRAGMA user_version = ${migration.version}`);
+      await db.exec("COMMIT");
+    } catch (error) {
+      await db.exec("ROLLBACK").catch(() => {});
+      throw new Error(`Schema migration to version ${migration.version} failed: ${error.message}`);
+    }
+  }
+
+  return { from, to: latest };
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrate,
+  getSchemaVersion,
+  addMissingColumns,
+};
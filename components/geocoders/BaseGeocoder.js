@@ -0,0 +1,63 @@
+"use strict";
+
+/**
+ * BaseGeocoder - Abstract interface for reverse geocoders
+ *
+ * Geocoders turn a photo's GPS position into address components
+ * ({city, state, country, countryCode, ...}), which LocationFormatter turns
+ * into the displayed place name. CacheManager calls them one photo at a time.
+ */
+class BaseGeocoder {
+  /**
+   * @param {object} config - Geocoder-specific configuration
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    if (new.target === BaseGeocoder) {
+      throw new TypeError("Cannot instantiate abstract class BaseGeocoder directly");
+    }
+
+    this.config = config || {};
+    this.log = logger || console.log;
+    this.language = this.config.language || "";
+  }
+
+  /**
+   * Prepare the geocoder (load datasets, etc.); override if setup is needed
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Default: Nothing to prepare
+  }
+
+  /**
+   * Resolve a position to address components
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {Promise<object | null>} {city, state, country, countryCode, ...}, or null if there is no place
+   * @abstract
+   */
+  // eslint-disable-next-line no-unused-vars
+  async reverse(latitude, longitude) {
+    throw new Error("Method 'reverse()' must be implemented by geocoder");
+  }
+
+  /**
+   * Get the geocoder name
+   * @returns {string} Geocoder name
+   * @abstract
+   */
+  getName() {
+    throw new Error("Method 'getName()' must be implemented by geocoder");
+  }
+
+  /**
+   * Get the language of the names this geocoder returns (part of the geocode cache key)
+   * @returns {string} Language code (`language` option), or "" for local names
+   */
+  getLanguage() {
+    return this.language;
+  }
+}
+
+module.exports = BaseGeocoder;
@@ -0,0 +1,156 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const BaseGeocoder = require("./BaseGeocoder");
+const KDTree = require("./KDTree");
+
+// Files of the GeoNames dump (https://download.geonames.org/export/dump/), see download_geonames.js
+const CITIES_FILE = "cities500.txt";
+const ADMIN1_FILE = "admin1CodesASCII.txt";
+const COUNTRIES_FILE = "countryInfo.txt";
+
+// Neighbourhoods (PPLX) and historical, abandoned or destroyed places are not what people call a location
+const SKIPPED_FEATURES = ["PPLX", "PPLH", "PPLQ", "PPLW"];
+
+/**
+ * GeoNamesGeocoder - Offline reverse geocoding with the GeoNames cities dataset
+ *
+ * Loads every place with 500+ inhabitants into a k-d tree and names a position
+ * after the nearest one, with its first-level division (state, province, ...)
+ * and country. Positions further than `maxDistanceKm` from any place (sea,
+ * wilderness) are left unnamed. Works without internet access. GeoNames has
+ * English and local names only; with `language` set, country names are translated.
+ */
+class GeoNamesGeocoder extends BaseGeocoder {
+  /**
+   * @param {object} config - {dataPath, maxDistanceKm, language}
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.dataPath = path.resolve(__dirname, "..", "..", this.config.dataPath || "geonames");
+    this.maxDistanceKm = this.config.maxDistanceKm || 50;
+    this.tree = null;
+    this.countryNames = this.language ? new Intl.DisplayNames([this.language], { type: "region" }) : null;
+  }
+
+  getName() {
+    return "geonames";
+  }
+
+  /**
+   * Load the dataset and build the k-d tree
+   * @returns {Promise<void>}
+   * @throws {Error} If the GeoNames files are missing
+   */
+  async initialize() {
+    const missing = [CITIES_FILE, ADMIN1_FILE, COUNTRIES_FILE]
+      .filter(file => !fs.existsSync(path.join(this.dataPath, file)));
+    if (missing.length > 0) {
+      throw new Error(`GeoNames data not found in ${this.dataPath} (missing ${missing.join(", ")}). Run: node download_geonames.js`);
+    }
+
+    const started = Date.now();
+
+    // ISO code -> country name
+    const countries = {};
+    await this.readRows(COUNTRIES_FILE, columns => {
+      countries[columns[0]] = columns[4];
+    });
+
+    // "US.CA" -> "California"
+    const admin1 = {};
+    await this.readRows(ADMIN1_FILE, columns => {
+      admin1[columns[0]] = columns[1];
+    });
+
+    // Places share their [state, country, countryCode] through an index
+    const latitudes = [];
+    const longitudes = [];
+    this.names = [];
+    this.regions = [];
+    this.regionOf = [];
+    const regionIndex = new Map();
+
+    await this.readRows(CITIES_FILE, columns => {
+      if (SKIPPED_FEATURES.includes(columns[7])) {
+        return;
+      }
+
+      const key = `${columns[8]}.${columns[10]}`;
+      if (!regionIndex.has(key)) {
+        regionIndex.set(key, this.regions.length);
+        this.regions.push([admin1[key], this.getCountryName(columns[8], countries[columns[8]]), columns[8]]);
+      }
+
+      latitudes.push(parseFloat(columns[4]));
+      longitudes.push(parseFloat(columns[5]));
+      this.names.push(columns[1]);
+      this.regionOf.push(regionIndex.get(key));
+    });
+
+    this.tree = new KDTree(latitudes, longitudes);
+    this.log(`[GEOCODE] Loaded ${this.names.length} GeoNames places in ${Date.now() - started}ms`);
+  }
+
+  /**
+   * Translate a country name into `language`
+   * @param {string} code - ISO 3166 country code
+   * @param {string} name - English name from countryInfo.txt
+   * @returns {string} Country name
+   */
+  getCountryName(code, name) {
+    if (!this.countryNames || !code) {
+      return name;
+    }
+    try {
+      return this.countryNames.of(code) || name;
+    } catch {
+      // Codes Intl doesn't know (e.g. "XK" on older ICU)
+      return name;
+    }
+  }
+
+  /**
+   * Call a function with the columns of each row of a tab-separated GeoNames file
+   * @param {string} file - File name in dataPath
+   * @param {Function} onRow - Receives an array of columns
+   * @returns {Promise<void>}
+   */
+  async readRows(file, onRow) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(this.dataPath, file), { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (line && !line.startsWith("#")) {
+        onRow(line.split("\t"));
+      }
+    }
+  }
+
+  /**
+   * Name a position after the nearest place
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {Promise<object | null>} {city, state, country, countryCode}, or null if no place is near
+   */
+  async reverse(latitude, longitude) {
+    if (!this.tree) {
+      throw new Error("GeoNames geocoder not initialized");
+    }
+
+    const nearest = this.tree.nearest(latitude, longitude);
+    if (!nearest || nearest.distanceKm > this.maxDistanceKm) {
+      return null;
+    }
+
+    const [state, country, countryCode] = this.regions[this.regionOf[nearest.index]];
+    return { city: this.names[nearest.index], state, country, countryCode };
+  }
+}
+
+module.exports = GeoNamesGeocoder;
@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * GeocoderFactory - Registry and factory for reverse geocoders
+ *
+ * Creates the geocoder selected by the `geocoder` module option.
+ */
+
+// Geocoder registry: Maps geocoder names to their implementation modules
+const GEOCODERS = {
+  "nominatim": () => require("./NominatimGeocoder"),
+  "geonames": () => require("./GeoNamesGeocoder"),
+};
+
+/**
+ * Create a geocoder instance
+ * @param {string | object | boolean} option - Geocoder name, {type, ...config}, or false/"none" to disable
+ * @param {Function} logger - Logging function
+ * @returns {BaseGeocoder|null} Geocoder instance, or null if geocoding is disabled
+ * @throws {Error} If the geocoder is not found
+ */
+function createGeocoder(option = "nominatim", logger) {
+  const log = logger || console.log;
+
+  if (option === false || option === null || option === "none") {
+    return null;
+  }
+
+  const { type, ...config } = typeof option === "string" ? { type: option } : option;
+
+  if (!GEOCODERS[type]) {
+    const available = Object.keys(GEOCODERS).join(", ");
+    throw new Error(
+      `Unknown geocoder: "${type}". Available geocoders: ${available}, none`
+    );
+  }
+
+  const GeocoderClass = GEOCODERS[type]();
+  const geocoder = new GeocoderClass(config, log);
+
+  log(`[CLOUDPHOTOS] Created geocoder: ${geocoder.getName()}`);
+
+  return geocoder;
+}
+
+/**
+ * Get list of available geocoders
+ * @returns {string[]} Array of geocoder names
+ */
+function getAvailableGeocoders() {
+  return Object.keys(GEOCODERS);
+}
+
+module.exports = {
+  createGeocoder,
+  getAvailableGeocoders,
+};
@@ -0,0 +1,159 @@
+"use strict";
+
+/**
+ * KDTree - Nearest-neighbour search over points on the globe
+ *
+ * Points are stored as 3D unit vectors, so distances have no problems at the
+ * antimeridian or the poles. The tree is implicit: the point order is arranged so
+ * that each range's median is its node, leaving only two typed arrays in memory.
+ */
+class KDTree {
+  /**
+   * @param {Float64Array|Array<number>} latitudes - Latitude of each point in degrees
+   * @param {Float64Array|Array<number>} longitudes - Longitude of each point in degrees
+   */
+  constructor(latitudes, longitudes) {
+    this.size = latitudes.length;
+    this.coords = new Float64Array(this.size * 3);
+    this.order = new Int32Array(this.size);
+
+    for (let i = 0; i < this.size; i++) {
+      KDTree.toVector(latitudes[i], longitudes[i], this.coords, i * 3);
+      this.order[i] = i;
+    }
+
+    this.build(0, this.size, 0);
+  }
+
+  /**
+   * Convert a latitude/longitude to a unit vector
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @param {Float64Array|Array<number>} target - Receives x, y, z
+   * @param {number} offset - Index of x in target
+   * @returns {Float64Array|Array<number>} target
+   */
+  static toVector(latitude, longitude, target = [], offset = 0) {
+    const lat = latitude * Math.PI / 180;
+    const lon = longitude * Math.PI / 180;
+    target[offset] = Math.cos(lat) * Math.cos(lon);
+    target[offset + 1] = Math.cos(lat) * Math.sin(lon);
+    target[offset + 2] = Math.sin(lat);
+    return target;
+  }
+
+  /**
+   * Arrange order[lo, hi) so every median splits its range on the given axis
+   * @param {number} lo - First index
+   * @param {number} hi - End index (exclusive)
+   * @param {number} axis - 0, 1 or 2
+   */
+  build(lo, hi, axis) {
+    if (hi - lo <= 1) {
+      return;
+    }
+    const mid = (lo + hi) >> 1;
+    this.select(lo, hi - 1, mid, axis);
+    this.build(lo, mid, (axis + 1) % 3);
+    this.build(mid + 1, hi, (axis + 1) % 3);
+  }
+
+  /**
+   * Quickselect: move the k-th smallest point (on axis) of order[left..right] to index k
+   * @param {number} left - First index
+   * @param {number} right - Last index (inclusive)
+   * @param {number} k - Target index
+   * @param {number} axis - 0, 1 or 2
+   */
+  select(left, right, k, axis) {
+    const { coords, order } = this;
+    const value = i => coords[order[i] * 3 + axis];
+    const swap = (a, b) => {
+      const tmp = order[a];
+      order[a] = order[b];
+      order[b] = tmp;
+    };
+
+    while (right > left) {
+      swap((left + right) >> 1, right);
+      const pivot = value(right);
+      let store = left;
+      for (let i = left; i < right; i++) {
+        if (value(i) < pivot) {
+          swap(i, store++);
+        }
+      }
+      swap(store, right);
+
+      if (store === k) {
+        return;
+      }
+      if (store < k) {
+        left = store + 1;
+      } else {
+        right = store - 1;
+      }
+    }
+  }
+
+  /**
+   * Find the point closest to a location
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {object | null} {index, distanceKm}, or null if the tree is empty
+   */
+  nearest(latitude, longitude) {
+    if (this.size === 0) {
+      return null;
+    }
+
+    const query = KDTree.toVector(latitude, longitude);
+    const best = { index: -1, distance: Infinity };  // Squared chord length
+    this.search(query, 0, this.size, 0, best);
+
+    // Chord length -> great-circle distance on a 6371 km sphere
+    const angle = 2 * Math.asin(Math.min(1, Math.sqrt(best.distance) / 2));
+    return { index: best.index, distanceKm: angle * 6371 };
+  }
+
+  /**
+   * Recursive nearest-neighbour search of order[lo, hi)
+   * @param {Array<number>} query - Unit vector
+   * @param {number} lo - First index
+   * @param {number} hi - End index (exclusive)
+   * @param {number} axis - Split axis of this range
+   * @param {object} best - {index, distance}, updated in place
+   */
+  search(query, lo, hi, axis, best) {
+    if (lo >= hi) {
+      return;
+    }
+
+    const mid = (lo + hi) >> 1;
+    const point = this.order[mid] * 3;
+    const dx = query[0] - this.coords[point];
+    const dy = query[1] - this.coords[point + 1];
+    const dz = query[2] - this.coords[point + 2];
+    const distance = dx * dx + dy * dy + dz * dz;
+    if (distance < best.distance) {
+      best.index = this.order[mid];
+      best.distance = distance;
+    }
+
+    const next = (axis + 1) % 3;
+    const diff = query[axis] - this.coords[point + axis];
+    if (diff < 0) {
+      this.search(query, lo, mid, next, best);
+      if (diff * diff < best.distance) {
+        this.search(query, mid + 1, hi, next, best);
+      }
+    } else {
+      this.search(query, mid + 1, hi, next, best);
+      if (diff * diff < best.distance) {
+        this.search(query, lo, mid, next, best);
+      }
+    }
+  }
+}
+
+module.exports = KDTree;
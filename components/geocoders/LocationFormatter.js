@@ -0,0 +1,87 @@
+"use strict";
+
+const DEFAULT_FORMAT = "{city}, {state}, {country}";
+
+/**
+ * LocationFormatter - Turns address components from a geocoder into the displayed place name
+ *
+ * The `locationFormat` template names components in braces, e.g. "{city}, {country}".
+ * Empty components are dropped together with the separator in front of them and
+ * any brackets around them, so "{city}, {state}, {country}" gives "Levuka, Fiji"
+ * for places without a state, and "{city} ({country})" gives just "Berkeley".
+ * With `homeCountry` (ISO code) set, the country is left out for photos taken there.
+ */
+class LocationFormatter {
+  /**
+   * @param {object} options - {format, homeCountry}
+   */
+  constructor(options = {}) {
+    this.format = options.format || DEFAULT_FORMAT;
+    this.homeCountry = (options.homeCountry || "").toUpperCase();
+
+    // Alternating literal text and component names: ["", "city", " (", "country", ")"]
+    const tokens = this.format.split(/\{(\w+)\}/);
+    if (tokens.length < 3) {
+      throw new Error(`Invalid locationFormat "${this.format}" (expected components like {city} or {country})`);
+    }
+
+    // Opening brackets before a component and closing ones after it belong to the component;
+    // the rest of the text between two components separates them
+    this.lead = tokens[0].replace(/[([]+$/, "");
+    this.trail = tokens[tokens.length - 1].replace(/^[)\]]+/, "");
+    this.components = [];
+    for (let i = 1; i < tokens.length; i += 2) {
+      const before = tokens[i - 1];
+      const after = tokens[i + 1];
+      const open = before.match(/[([]*$/)[0];
+      const previousClose = i > 1 ? before.match(/^[)\]]*/)[0] : "";
+      this.components.push({
+        key: tokens[i],
+        open,
+        close: after.match(/^[)\]]*/)[0],
+        separator: i > 1 ? before.slice(previousClose.length, before.length - open.length) : "",
+      });
+    }
+  }
+
+  /**
+   * Identifies the settings that shape place names (stored to spot changes between restarts)
+   * @returns {string} Format and home country
+   */
+  getSignature() {
+    return `${this.format}|${this.homeCountry}`;
+  }
+
+  /**
+   * Render a place name
+   * @param {object | null} components - {city, state, country, countryCode, ...} from a geocoder
+   * @returns {string|null} Place name, or null if there is nothing to show
+   */
+  render(components) {
+    if (!components) {
+      return null;
+    }
+
+    const atHome = this.homeCountry && (components.countryCode || "").toUpperCase() === this.homeCountry;
+    let name = "";
+    let previous = null;
+
+    for (const { key, open, close, separator } of this.components) {
+      const value = atHome && (key === "country" || key === "countryCode") ? "" : String(components[key] ?? "").trim();
+
+      // Skip empty components, and repeats like "Singapore, Singapore"
+      if (!value || value === previous) {
+        continue;
+      }
+      name += (previous === null ? "" : separator) + open + value + close;
+      previous = value;
+    }
+
+    if (previous === null) {
+      return null;
+    }
+    return this.lead + name + this.trail;
+  }
+}
+
+module.exports = LocationFormatter;
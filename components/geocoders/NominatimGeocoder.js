@@ -0,0 +1,81 @@
+"use strict";
+
+const fetch = require("node-fetch");
+const BaseGeocoder = require("./BaseGeocoder");
+
+/**
+ * NominatimGeocoder - Online reverse geocoding with OpenStreetMap's Nominatim
+ *
+ * Needs internet access. Requests are spaced one second apart, as the public
+ * server's usage policy asks; `url` can point at a self-hosted instance instead.
+ * Names are in `language` (sent as accept-language) when it is set.
+ */
+class NominatimGeocoder extends BaseGeocoder {
+  /**
+   * @param {object} config - {url, timeout, interval, language}
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.url = (this.config.url || "https://nominatim.openstreetmap.org").replace(/\/+$/, "");
+    this.timeout = this.config.timeout || 5000;
+    this.interval = this.config.interval ?? 1000;
+    this.nextRequest = Promise.resolve();
+  }
+
+  getName() {
+    return "nominatim";
+  }
+
+  /**
+   * Resolve a position with Nominatim's /reverse endpoint
+   * @param {number} latitude - Degrees
+   * @param {number} longitude - Degrees
+   * @returns {Promise<object | null>} Nominatim's address fields plus city and countryCode, or null
+   */
+  async reverse(latitude, longitude) {
+    // Queue behind the previous request (max 1 request per second)
+    const previous = this.nextRequest;
+    let release;
+    this.nextRequest = new Promise(resolve => {
+      release = resolve;
+    });
+    await previous;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const language = this.language ? `&accept-language=${encodeURIComponent(this.language)}` : "";
+      const url = `${this.url}/reverse?format=json&lat=${latitude}&lon=${longitude}&zoom=14${language}`;
+      const response = await fetch(url, {
+        headers: {
+          "User-Agent": "MMM-CloudPhotos",
+        },
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Nominatim API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (!data || !data.address) {
+        return null;
+      }
+
+      // All fields are kept, so locationFormat can use e.g. {suburb} or {county}
+      const { address } = data;
+      return {
+        ...address,
+        city: address.city || address.town || address.village || address.hamlet,
+        countryCode: (address.country_code || "").toUpperCase(),
+      };
+    } finally {
+      clearTimeout(timeout);
+      setTimeout(release, this.interval);
+    }
+  }
+}
+
+module.exports = NominatimGeocoder;
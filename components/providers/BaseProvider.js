@@ -42,6 +42,9 @@ class BaseProvider {
    *     createdTime: string (ISO 8601),
    *     imageMediaMetadata: { width: number, height: number }
    *   }
+   *   Video clips (returned only when config.includeVideos is set) instead carry:
+   *     mimeType: string ("video/..."), size: number,
+   *     videoMediaMetadata: { width: number, height: number, durationMillis: number }
    * @abstract
    */
   async scanFolder(folderId, depth = 0, recursive = false) {
@@ -95,6 +98,42 @@ class BaseProvider {
     throw new Error("Method 'getProviderName()' must be implemented by provider");
   }
 
+  /**
+   * Get the configured folder entries (driveFolders, folders or albums)
+   * @returns {Array<object | string>} Folder entries
+   */
+  getConfiguredFolders() {
+    return this.config.driveFolders || this.config.folders || this.config.albums || [];
+  }
+
+  /**
+   * Get display weights of the configured folders
+   * Keys match the rootFolderId that fullScan() tags photos with.
+   * @returns {object} Map of root folder ID to weight (folders without a weight are omitted)
+   */
+  getFolderWeights() {
+    const weights = {};
+
+    for (const folder of this.getConfiguredFolders()) {
+      if (folder && typeof folder === "object" && folder.weight !== undefined) {
+        weights[folder.id || "root"] = folder.weight;
+      }
+    }
+
+    return weights;
+  }
+
+  /**
+   * Tag photos with the configured folder they were found under (used for weighting)
+   * @param {Array<object>} photos - Photos in standard format
+   * @param {string|null} folderId - Configured folder ID (null = provider root)
+   * @returns {Array<object>} Photos with rootFolderId set
+   */
+  tagRootFolder(photos, folderId) {
+    const rootFolderId = folderId || "root";
+    return photos.map(photo => ({ ...photo, rootFolderId }));
+  }
+
   /**
    * Clean up resources (close connections, clear caches, etc.)
    * @returns {Promise<void>}
@@ -0,0 +1,314 @@
+"use strict";
+
+const BaseProvider = require("./BaseProvider");
+const { createProvider } = require("./ProviderFactory");
+
+// Separates the source ID from the provider's own ID in namespaced photo/folder IDs
+const SEPARATOR = ":";
+
+// Returned as the composite change token; the real tokens live in per-source settings
+const COMPOSITE_TOKEN = "composite";
+
+/**
+ * Give a source its own view of the database: settings keys and photo IDs are
+ * namespaced so several sources (even of the same provider type) don't collide
+ * @param {object} db - PhotoDatabase instance
+ * @param {string} sourceId - Source ID
+ * @returns {object} Database view for the source's provider
+ */
+function createSourceDatabase(db, sourceId) {
+  const view = Object.create(db);
+  view.getSetting = (key) => db.getSetting(`${key}${SEPARATOR}${sourceId}`);
+  view.saveSetting = (key, value) => db.saveSetting(`${key}${SEPARATOR}${sourceId}`, value);
+  view.deletePhoto = (photoId) => db.deletePhoto(`${sourceId}${SEPARATOR}${photoId}`);
+  return view;
+}
+
+/**
+ * Composite Provider for MMM-CloudPhotos
+ * Combines several providers into one slideshow. Photo and folder IDs are prefixed with
+ * the source ID ("family:1AbC..."), and each source keeps its own change token.
+ * @augments BaseProvider
+ */
+class CompositeProvider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {Array<object>} config.sources - [{id, provider, providerConfig}] (id defaults to the provider name)
+   * @param {number} config.showWidth - Display width, passed on to every source
+   * @param {number} config.showHeight - Display height, passed on to every source
+   * @param {boolean} config.includeVideos - Whether sources return video clips, passed on to every source
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.db = null;
+    this.sources = new Map();
+    this.unscannedSources = new Set();
+
+    for (const source of config.sources || []) {
+      const id = source.id || source.provider;
+
+      if (!source.provider) {
+        throw new Error("Each entry in providers needs a provider name");
+      }
+      if (id.includes(SEPARATOR)) {
+        throw new Error(`Source ID "${id}" must not contain "${SEPARATOR}"`);
+      }
+      if (this.sources.has(id)) {
+        throw new Error(`Duplicate source ID "${id}" - give each entry in providers a unique id`);
+      }
+
+      const provider = createProvider(
+        source.provider,
+        { showWidth: config.showWidth, showHeight: config.showHeight, includeVideos: config.includeVideos, ...source.providerConfig },
+        this.log
+      );
+      this.sources.set(id, provider);
+    }
+
+    if (this.sources.size === 0) {
+      throw new Error("providers must contain at least one provider");
+    }
+  }
+
+  /**
+   * Set database reference (each source gets a namespaced view)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+
+    for (const [sourceId, provider] of this.sources) {
+      if (typeof provider.setDatabase === "function") {
+        provider.setDatabase(createSourceDatabase(db, sourceId));
+      }
+    }
+  }
+
+  /**
+   * Split a namespaced ID into its source and the provider's own ID
+   * @param {string} namespacedId - "source:id"
+   * @returns {{sourceId: string, id: string, provider: BaseProvider}} Source ID, provider's photo ID and the source's provider
+   */
+  resolve(namespacedId) {
+    const index = namespacedId.indexOf(SEPARATOR);
+    const sourceId = index === -1 ? null : namespacedId.slice(0, index);
+    const provider = this.sources.get(sourceId);
+
+    if (!provider) {
+      throw new Error(`No configured source for ID "${namespacedId}"`);
+    }
+
+    return { sourceId, id: namespacedId.slice(index + 1), provider };
+  }
+
+  /**
+   * Prefix a provider's photo with its source
+   * @param {string} sourceId - Source ID
+   * @param {object} photo - Photo in standard format
+   * @returns {object} Namespaced photo
+   */
+  namespacePhoto(sourceId, photo) {
+    return {
+      ...photo,
+      id: `${sourceId}${SEPARATOR}${photo.id}`,
+      parents: (photo.parents || []).map(parent => `${sourceId}${SEPARATOR}${parent}`),
+      rootFolderId: photo.rootFolderId ? `${sourceId}${SEPARATOR}${photo.rootFolderId}` : undefined,
+      source: sourceId,
+    };
+  }
+
+  /**
+   * Get display weights of every source's folders, keyed by namespaced folder ID
+   * @returns {object} Map of root folder ID to weight
+   */
+  getFolderWeights() {
+    const weights = {};
+
+    for (const [sourceId, provider] of this.sources) {
+      for (const [folderId, weight] of Object.entries(provider.getFolderWeights())) {
+        weights[`${sourceId}${SEPARATOR}${folderId}`] = weight;
+      }
+    }
+
+    return weights;
+  }
+
+  /**
+   * Initialize all sources
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.log(`[COMPOSITE] Initializing ${this.sources.size} sources...`);
+
+    for (const [sourceId, provider] of this.sources) {
+      try {
+        await provider.initialize();
+      } catch (error) {
+        this.log(`[COMPOSITE] Source "${sourceId}" failed to initialize:`, error.message);
+        throw new Error(`Source "${sourceId}": ${error.message}`);
+      }
+    }
+
+    this.log("[COMPOSITE] All sources initialized");
+
+    // Photos saved in single-provider mode (no source prefix) or by a source that was removed
+    // can't be downloaded any more; the configured sources rescan what they still hold
+    if (this.db) {
+      const removed = await this.db.deletePhotosOutsideSources(Array.from(this.sources.keys()));
+      if (removed > 0) {
+        this.log(`[COMPOSITE] Removed ${removed} photos that belong to no configured source`);
+      }
+    }
+  }
+
+  /**
+   * Scan a folder of one source
+   * @param {string} folderId - Namespaced folder ID ("source:folder")
+   * @param {number} maxDepth - Maximum depth to scan
+   * @returns {Promise<Array>} Array of namespaced photo metadata
+   */
+  async scanFolder(folderId, maxDepth = -1) {
+    const { sourceId, id, provider } = this.resolve(folderId);
+    const photos = await provider.scanFolder(id, maxDepth);
+    return photos.map(photo => this.namespacePhoto(sourceId, photo));
+  }
+
+  /**
+   * Perform full scan of all sources
+   * A failing source is logged and skipped so the others still show up
+   * @returns {Promise<Array>} Array of all namespaced photo metadata
+   */
+  async fullScan() {
+    this.log("[COMPOSITE] Starting full scan of all sources...");
+    const allPhotos = [];
+
+    for (const [sourceId, provider] of this.sources) {
+      try {
+        const photos = await provider.fullScan();
+        allPhotos.push(...photos.map(photo => this.namespacePhoto(sourceId, photo)));
+        this.unscannedSources.delete(sourceId);
+      } catch (error) {
+        this.log(`[COMPOSITE] Full scan of "${sourceId}" failed:`, error.message);
+        this.unscannedSources.add(sourceId);
+      }
+    }
+
+    this.log(`[COMPOSITE] Full scan complete. Found ${allPhotos.length} photos`);
+    return allPhotos;
+  }
+
+  /**
+   * Download a photo from the source it belongs to
+   * @param {string} photoId - Namespaced photo ID
+   * @param {object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    const { id, provider } = this.resolve(photoId);
+    return provider.downloadPhoto(id, options);
+  }
+
+  /**
+   * Get changes from every source using its own stored token
+   * Sources without a token (or without incremental sync) get a full scan.
+   * Implements BaseProvider.getChanges(); the composite token is only a marker, per-source tokens are in settings
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges() {
+    if (!this.db) {
+      throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+    }
+
+    const photos = [];
+    const deletedIds = [];
+
+    for (const [sourceId, provider] of this.sources) {
+      try {
+        const tokenKey = `changes_token${SEPARATOR}${sourceId}`;
+        const token = await this.db.getSetting(tokenKey);
+
+        if (token && typeof provider.getChanges === "function") {
+          const changes = await provider.getChanges(token);
+          photos.push(...changes.photos.map(photo => this.namespacePhoto(sourceId, photo)));
+          deletedIds.push(...(changes.deletedIds || []).map(id => `${sourceId}${SEPARATOR}${id}`));
+
+          if (changes.nextToken) {
+            await this.db.saveSetting(tokenKey, changes.nextToken);
+          }
+        } else {
+          this.log(`[COMPOSITE] No change token for "${sourceId}", doing full scan...`);
+          const scanned = await provider.fullScan();
+          photos.push(...scanned.map(photo => this.namespacePhoto(sourceId, photo)));
+          await this.saveStartToken(sourceId, provider);
+        }
+      } catch (error) {
+        // Keep the old token so the next scan retries this source
+        this.log(`[COMPOSITE] Sync of "${sourceId}" failed:`, error.message);
+      }
+    }
+
+    this.log(`[COMPOSITE] Incremental sync complete. Found ${photos.length} photos, ${deletedIds.length} removed`);
+
+    return {
+      photos,
+      deletedIds,
+      nextToken: COMPOSITE_TOKEN,
+    };
+  }
+
+  /**
+   * Store a fresh change token for one source
+   * @param {string} sourceId - Source ID
+   * @param {BaseProvider} provider - Source provider
+   * @returns {Promise<void>}
+   */
+  async saveStartToken(sourceId, provider) {
+    if (typeof provider.getStartPageToken !== "function") {
+      return;
+    }
+
+    const token = await provider.getStartPageToken();
+    if (token) {
+      await this.db.saveSetting(`changes_token${SEPARATOR}${sourceId}`, token);
+    }
+  }
+
+  /**
+   * Store start tokens for every source and return the composite marker token
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} Composite change token
+   */
+  async getStartPageToken() {
+    if (!this.db) {
+      throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+    }
+
+    for (const [sourceId, provider] of this.sources) {
+      // Leave sources whose full scan failed without a token so they are rescanned
+      if (this.unscannedSources.has(sourceId)) {
+        continue;
+      }
+
+      try {
+        await this.saveStartToken(sourceId, provider);
+      } catch (error) {
+        // Without a token this source is fully rescanned on the next sync
+        this.log(`[COMPOSITE] Failed to get start token for "${sourceId}":`, error.message);
+      }
+    }
+
+    return COMPOSITE_TOKEN;
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Names of all sources
+   */
+  getProviderName() {
+    const names = Array.from(this.sources.values()).map(provider => provider.getProviderName());
+    return `Composite (${names.join(", ")})`;
+  }
+}
+
+module.exports = CompositeProvider;
@@ -0,0 +1,572 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const BaseProvider = require("./BaseProvider");
+
+// Dropbox does not expose MIME types in listings, so images are matched by extension
+const IMAGE_EXTENSIONS = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".tif", ".tiff",
+  // Converted to JPEG while caching
+  ".heic", ".heif", ".dng", ".cr2", ".nef", ".arw", ".orf", ".rw2", ".raf",
+];
+
+/**
+ * Sleep helper function
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Dropbox Provider for MMM-CloudPhotos
+ * Uses Dropbox API v2; incremental sync maps list_folder cursors onto change tokens
+ * @augments BaseProvider
+ */
+class DropboxProvider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {string} config.appKey - Dropbox App key
+   * @param {string} config.appSecret - Dropbox App secret
+   * @param {string} config.tokenPath - Path to token file
+   * @param {Array} config.folders - Folders to scan [{id: "/Photos", depth: -1}]
+   * @param {string} config.apiBase - API endpoint override (default: https://api.dropboxapi.com/2)
+   * @param {string} config.contentBase - Content endpoint override (default: https://content.dropboxapi.com/2)
+   * @param {string} config.tokenUrl - OAuth token endpoint override
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.apiBase = config.apiBase || "https://api.dropboxapi.com/2";
+    this.contentBase = config.contentBase || "https://content.dropboxapi.com/2";
+    this.tokenUrl = config.tokenUrl || "https://api.dropboxapi.com/oauth2/token";
+    this.accessToken = null;
+    this.refreshToken = null;
+    this.tokenExpiry = null;
+    this.db = null;
+
+    // path_lower → file ID; deletions in list_folder/continue only carry paths
+    this.pathIndex = new Map();
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Resolve the token file path (relative paths are relative to the module directory)
+   * @returns {string} Absolute token file path
+   */
+  getTokenFilePath() {
+    const tokenPath = this.config.tokenPath || "./token_dropbox.json";
+    return path.isAbsolute(tokenPath)
+      ? tokenPath
+      : path.resolve(__dirname, "../..", tokenPath);
+  }
+
+  /**
+   * Initialize Dropbox API with OAuth2 authentication
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[DROPBOX] Initializing Dropbox API...");
+
+      const tokenData = JSON.parse(
+        await fs.promises.readFile(this.getTokenFilePath(), "utf8")
+      );
+
+      this.accessToken = tokenData.access_token;
+      this.refreshToken = tokenData.refresh_token;
+      this.tokenExpiry = tokenData.expiry_date || (Date.now() + 3600000);
+
+      // Refresh token if expired or about to expire
+      if (Date.now() >= this.tokenExpiry - 300000) {
+        await this.refreshAccessToken();
+      }
+
+      // Test the connection
+      await this.makeRequest("/users/get_current_account", null);
+
+      this.log("[DROPBOX] Successfully authenticated with Dropbox API");
+    } catch (error) {
+      this.log("[DROPBOX] Authentication failed:", error.message);
+      throw new Error(`Dropbox authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Refresh the short-lived access token using the refresh token
+   * @returns {Promise<void>}
+   */
+  async refreshAccessToken() {
+    try {
+      this.log("[DROPBOX] Refreshing access token...");
+
+      const response = await axios.post(
+        this.tokenUrl,
+        new URLSearchParams({
+          grant_type: "refresh_token",
+          refresh_token: this.refreshToken,
+          client_id: this.config.appKey,
+          client_secret: this.config.appSecret,
+        }),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        }
+      );
+
+      this.accessToken = response.data.access_token;
+      this.tokenExpiry = Date.now() + (response.data.expires_in * 1000);
+
+      await fs.promises.writeFile(
+        this.getTokenFilePath(),
+        JSON.stringify({
+          access_token: this.accessToken,
+          refresh_token: this.refreshToken,
+          expiry_date: this.tokenExpiry,
+        }, null, 2)
+      );
+
+      this.log("[DROPBOX] Access token refreshed");
+    } catch (error) {
+      this.log("[DROPBOX] Token refresh failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Make authenticated RPC request to the Dropbox API with retry logic
+   * @param {string} endpoint - RPC endpoint (e.g., "/files/list_folder")
+   * @param {object | null} body - JSON request body (null for endpoints without arguments)
+   * @param {number} maxRetries - Maximum number of retry attempts (default: 3)
+   * @returns {Promise<object>} Response data
+   */
+  async makeRequest(endpoint, body, maxRetries = 3) {
+    // Refresh token if needed
+    if (Date.now() >= this.tokenExpiry - 300000) {
+      await this.refreshAccessToken();
+    }
+
+    let attempt = 0;
+    while (attempt < maxRetries) {
+      try {
+        const response = await axios({
+          method: "POST",
+          url: `${this.apiBase}${endpoint}`,
+          headers: {
+            Authorization: `Bearer ${this.accessToken}`,
+            ...(body !== null && { "Content-Type": "application/json" }),
+          },
+          data: body !== null ? JSON.stringify(body) : undefined,
+        });
+
+        return response.data;
+      } catch (error) {
+        attempt++;
+
+        const isNetworkError = ["ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "EAI_AGAIN"].includes(error.code);
+        const isServerError = error.response?.status >= 500 && error.response?.status < 600;
+        const isRateLimited = error.response?.status === 429;
+        const shouldRetry = (isNetworkError || isServerError || isRateLimited) && attempt < maxRetries;
+
+        if (!shouldRetry) {
+          this.log(`[DROPBOX] API request failed (attempt ${attempt}/${maxRetries}): ${endpoint}`, error.response?.data?.error_summary || error.message);
+          throw error;
+        }
+
+        // Honour Retry-After on 429, otherwise exponential backoff: 2s, 4s, 8s... (max 60s)
+        const retryAfter = Number(error.response?.headers?.["retry-after"]);
+        const delay = retryAfter > 0
+          ? retryAfter * 1000
+          : Math.min(1000 * Math.pow(2, attempt), 60000);
+        this.log(`[DROPBOX] Request failed (${error.code || error.response?.status}), retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Normalize a configured folder ID into a Dropbox API path ("" is the root)
+   * @param {string|null} folderId - Folder path ("/Photos"), file ID ("id:..."), or null for root
+   * @returns {string} Dropbox path argument
+   */
+  normalizeFolderPath(folderId) {
+    if (!folderId || folderId === "/") {
+      return "";
+    }
+    return folderId;
+  }
+
+  /**
+   * Check whether a listing entry is an image within the depth limit
+   * @param {object} entry - list_folder entry
+   * @param {string} rootPathLower - Lowercased path of the scanned folder
+   * @param {number} maxDepth - Maximum depth (-1 = infinite)
+   * @returns {boolean} true if the entry is an image to show
+   */
+  isImageWithinDepth(entry, rootPathLower, maxDepth) {
+    if (entry[".tag"] !== "file" || !IMAGE_EXTENSIONS.includes(path.posix.extname(entry.name).toLowerCase())) {
+      return false;
+    }
+
+    if (maxDepth === -1) {
+      return true;
+    }
+
+    // Number of folders between the scanned folder and the file
+    const relative = entry.path_lower.slice(rootPathLower.length).replace(/^\//, "");
+    return relative.split("/").length - 1 <= maxDepth;
+  }
+
+  /**
+   * Convert a Dropbox file entry to the standard photo format
+   * @param {object} entry - list_folder file entry
+   * @returns {object} Photo metadata
+   */
+  toPhoto(entry) {
+    const metadata = entry.media_info?.metadata || {};
+    const imageMediaMetadata = {
+      width: metadata.dimensions?.width,
+      height: metadata.dimensions?.height,
+    };
+
+    if (metadata.time_taken) {
+      imageMediaMetadata.time = metadata.time_taken;
+    }
+
+    if (metadata.location) {
+      imageMediaMetadata.location = {
+        latitude: metadata.location.latitude,
+        longitude: metadata.location.longitude,
+      };
+    }
+
+    return {
+      id: entry.id,
+      name: entry.name,
+      parents: [path.posix.dirname(entry.path_display || entry.path_lower)],
+      createdTime: entry.client_modified,
+      imageMediaMetadata,
+    };
+  }
+
+  /**
+   * Consume list_folder pages until has_more is false
+   * @param {object} firstPage - Response of list_folder or list_folder/continue
+   * @param {Function} onEntry - Callback for each entry
+   * @returns {Promise<string>} Final cursor
+   */
+  async consumePages(firstPage, onEntry) {
+    let page = firstPage;
+
+    for (;;) {
+      for (const entry of page.entries || []) {
+        onEntry(entry);
+      }
+
+      if (!page.has_more) {
+        return page.cursor;
+      }
+
+      page = await this.makeRequest("/files/list_folder/continue", { cursor: page.cursor });
+    }
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * Depth 0 uses a flat listing; any other depth lists recursively and filters by depth.
+   * @param {string|null} folderId - Folder path or ID (null for root)
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderId, maxDepth = -1) {
+    try {
+      const folderPath = this.normalizeFolderPath(folderId);
+      this.log(`[DROPBOX] Scanning folder ${folderPath || "/"} (depth ${maxDepth})...`);
+
+      const firstPage = await this.makeRequest("/files/list_folder", {
+        path: folderPath,
+        recursive: maxDepth !== 0,
+        include_media_info: true,
+        limit: 2000,
+      });
+
+      // Depth is measured relative to the scanned folder's path_lower
+      const rootPathLower = folderPath.startsWith("id:")
+        ? await this.resolvePathLower(folderPath)
+        : folderPath.toLowerCase();
+
+      const photos = [];
+      await this.consumePages(firstPage, (entry) => {
+        if (this.isImageWithinDepth(entry, rootPathLower, maxDepth)) {
+          photos.push(this.toPhoto(entry));
+          this.pathIndex.set(entry.path_lower, entry.id);
+        }
+      });
+
+      this.log(`[DROPBOX] Folder scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[DROPBOX] Error scanning folder ${folderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the lowercased path of a folder given by ID
+   * @param {string} folderId - Dropbox folder ID ("id:...")
+   * @returns {Promise<string>} path_lower of the folder
+   */
+  async resolvePathLower(folderId) {
+    const metadata = await this.makeRequest("/files/get_metadata", { path: folderId });
+    return metadata.path_lower;
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[DROPBOX] Starting full scan of all configured folders...");
+      const allPhotos = [];
+      const folders = this.config.folders || [];
+
+      if (folders.length === 0) {
+        this.log("[DROPBOX] Warning: No folders configured");
+        return allPhotos;
+      }
+
+      this.pathIndex.clear();
+
+      for (const folderConfig of folders) {
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        const photos = await this.scanFolder(folderConfig.id || null, depth);
+        allPhotos.push(...this.tagRootFolder(photos, folderConfig.id));
+      }
+
+      await this.savePathIndex();
+
+      // Remove duplicates (overlapping folder configs)
+      const uniquePhotos = Array.from(
+        new Map(allPhotos.map(photo => [photo.id, photo])).values()
+      );
+
+      this.log(`[DROPBOX] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log("[DROPBOX] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo from Dropbox
+   * @param {string} photoId - Dropbox file ID ("id:...")
+   * @param {object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      if (Date.now() >= this.tokenExpiry - 300000) {
+        await this.refreshAccessToken();
+      }
+
+      const response = await axios({
+        method: "POST",
+        url: `${this.contentBase}/files/download`,
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          "Dropbox-API-Arg": JSON.stringify({ path: photoId }),
+        },
+        responseType: "stream",
+        timeout: options.timeout || 30000,
+      });
+
+      return response.data;
+
+    } catch (error) {
+      this.log(`[DROPBOX] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get changes since the given cursors (for incremental sync)
+   * The change token is a JSON map of configured folder → list_folder cursor.
+   * @param {string} changeToken - Token from previous sync
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges(changeToken) {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[DROPBOX] Getting changes since last sync...");
+
+      await this.loadPathIndex();
+
+      const cursors = JSON.parse(changeToken);
+      const nextCursors = {};
+      const changedPhotos = new Map();
+      const deletedIds = new Set();
+
+      for (const folderConfig of this.config.folders || []) {
+        const folderPath = this.normalizeFolderPath(folderConfig.id);
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        const cursor = cursors[folderPath];
+
+        if (!cursor) {
+          // Folder added to config since the last sync - scan it fully
+          for (const photo of this.tagRootFolder(await this.scanFolder(folderPath, depth), folderConfig.id)) {
+            changedPhotos.set(photo.id, photo);
+          }
+          nextCursors[folderPath] = await this.getLatestCursor(folderPath, depth);
+          continue;
+        }
+
+        try {
+          const firstPage = await this.makeRequest("/files/list_folder/continue", { cursor });
+          const rootPathLower = folderPath.startsWith("id:")
+            ? await this.resolvePathLower(folderPath)
+            : folderPath.toLowerCase();
+
+          nextCursors[folderPath] = await this.consumePages(firstPage, (entry) => {
+            if (entry[".tag"] === "deleted") {
+              for (const id of this.removeFromPathIndex(entry.path_lower)) {
+                this.log(`[DROPBOX] Photo deleted: ${entry.path_lower}`);
+                deletedIds.add(id);
+              }
+            } else if (this.isImageWithinDepth(entry, rootPathLower, depth)) {
+              this.log(`[DROPBOX] Photo changed: ${entry.name}`);
+              this.pathIndex.set(entry.path_lower, entry.id);
+              changedPhotos.set(entry.id, { ...this.toPhoto(entry), rootFolderId: folderConfig.id || "root" });
+            }
+          });
+        } catch (error) {
+          // Dropbox invalidates cursors occasionally ("reset") - rebuild that folder from scratch
+          if (error.response?.status === 409 && String(error.response.data?.error_summary).startsWith("reset")) {
+            this.log(`[DROPBOX] Cursor reset for ${folderPath || "/"}, rescanning folder`);
+            for (const photo of this.tagRootFolder(await this.scanFolder(folderPath, depth), folderConfig.id)) {
+              changedPhotos.set(photo.id, photo);
+            }
+            nextCursors[folderPath] = await this.getLatestCursor(folderPath, depth);
+          } else {
+            throw error;
+          }
+        }
+      }
+
+      await this.savePathIndex();
+
+      this.log(`[DROPBOX] Incremental sync complete. Found ${changedPhotos.size} photos, ${deletedIds.size} deleted`);
+
+      return {
+        photos: Array.from(changedPhotos.values()),
+        deletedIds: Array.from(deletedIds),
+        nextToken: JSON.stringify(nextCursors),
+      };
+
+    } catch (error) {
+      this.log("[DROPBOX] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the latest cursor for a folder without listing its contents
+   * @param {string} folderPath - Dropbox folder path
+   * @param {number} depth - Configured folder depth
+   * @returns {Promise<string>} Cursor
+   */
+  async getLatestCursor(folderPath, depth) {
+    const data = await this.makeRequest("/files/list_folder/get_latest_cursor", {
+      path: folderPath,
+      recursive: depth !== 0,
+      include_media_info: true,
+    });
+    return data.cursor;
+  }
+
+  /**
+   * Get a start token for incremental sync
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} JSON map of folder → cursor
+   */
+  async getStartPageToken() {
+    try {
+      const cursors = {};
+
+      for (const folderConfig of this.config.folders || []) {
+        const folderPath = this.normalizeFolderPath(folderConfig.id);
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        cursors[folderPath] = await this.getLatestCursor(folderPath, depth);
+      }
+
+      this.log(`[DROPBOX] Got start cursors for ${Object.keys(cursors).length} folder(s)`);
+      return JSON.stringify(cursors);
+    } catch (error) {
+      this.log("[DROPBOX] Failed to get start cursors:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a deleted path (file or folder) from the path index
+   * @param {string} pathLower - Deleted path
+   * @returns {string[]} IDs of photos that were removed
+   */
+  removeFromPathIndex(pathLower) {
+    const removed = [];
+    for (const [indexedPath, id] of this.pathIndex) {
+      if (indexedPath === pathLower || indexedPath.startsWith(`${pathLower}/`)) {
+        removed.push(id);
+        this.pathIndex.delete(indexedPath);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Load the persisted path index from the settings table
+   * @returns {Promise<void>}
+   */
+  async loadPathIndex() {
+    if (!this.db || this.pathIndex.size > 0) {
+      return;
+    }
+    const stored = await this.db.getSetting("dropbox_path_index");
+    this.pathIndex = new Map(stored ? Object.entries(JSON.parse(stored)) : []);
+  }
+
+  /**
+   * Persist the path index to the settings table
+   * @returns {Promise<void>}
+   */
+  async savePathIndex() {
+    if (this.db) {
+      await this.db.saveSetting("dropbox_path_index", JSON.stringify(Object.fromEntries(this.pathIndex)));
+    }
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return "Dropbox";
+  }
+}
+
+module.exports = DropboxProvider;
@@ -22,6 +22,15 @@ class GoogleDriveProvider extends BaseProvider {
     this.db = null; // Can be set externally if needed for incremental sync
   }
 
+  /**
+   * Whether a file is something we show (videos only when the `videos` option is enabled)
+   * @param {string} mimeType - Drive MIME type
+   * @returns {boolean} true for images (and videos if enabled)
+   */
+  isMediaType(mimeType) {
+    return Boolean(mimeType?.startsWith("image/") || (this.config.includeVideos && mimeType?.startsWith("video/")));
+  }
+
   /**
    * Set database reference (needed for incremental sync)
    * @param {Object} db - PhotoDatabase instance
@@ -108,16 +117,12 @@ class GoogleDriveProvider extends BaseProvider {
 
       this.log(`[GDRIVE] Scanning folder (depth ${currentDepth}/${maxDepth})...`);
 
-      // Build query for images in this folder
+      // Build query for images (and videos) in this folder
       const parentQuery = folderId ? `'${folderId}' in parents` : "'root' in parents";
       const query = [
         parentQuery,
-        "mimeType contains 'image/'",
+        this.config.includeVideos ? "(mimeType contains 'image/' or mimeType contains 'video/')" : "mimeType contains 'image/'",
         "trashed = false",
-        "not name contains '.cr2'",  // Exclude RAW files
-        "not name contains '.nef'",
-        "not name contains '.CR2'",
-        "not name contains '.NEF'"
       ].join(" and ");
 
       // Fetch images in current folder
@@ -125,7 +130,7 @@ class GoogleDriveProvider extends BaseProvider {
       do {
         const response = await this.drive.files.list({
           q: query,
-          fields: "nextPageToken, files(id, name, mimeType, imageMediaMetadata, createdTime, parents)",
+          fields: "nextPageToken, files(id, name, mimeType, size, imageMediaMetadata, videoMediaMetadata, createdTime, parents)",
           pageSize: 1000,
           pageToken: pageToken
         });
@@ -202,7 +207,7 @@ class GoogleDriveProvider extends BaseProvider {
         this.log(`[GDRIVE] Scanning folder: ${folderId || 'root'} (depth: ${depth})`);
 
         const photos = await this.scanFolder(folderId, depth);
-        allPhotos.push(...photos);
+        allPhotos.push(...this.tagRootFolder(photos, folderId));
       }
 
       // Remove duplicates (same photo might be in multiple folders)
@@ -265,7 +270,7 @@ class GoogleDriveProvider extends BaseProvider {
         const response = await this.drive.changes.list({
           pageToken: pageToken,
           pageSize: 1000,
-          fields: "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, imageMediaMetadata, createdTime, trashed))"
+          fields: "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, size, parents, imageMediaMetadata, videoMediaMetadata, createdTime, trashed))",
         });
 
         if (response.data.changes && response.data.changes.length > 0) {
@@ -279,12 +284,13 @@ class GoogleDriveProvider extends BaseProvider {
               continue;
             }
 
-            // Only process image files
-            if (change.file?.mimeType?.startsWith("image/")) {
-              // Check if file is in one of our monitored folders
-              if (await this.isPhotoInMonitoredFolders(change.file)) {
+            // Only process image (and video) files
+            if (this.isMediaType(change.file?.mimeType)) {
+              // Check if file is in one of our monitored folders (tagged with it for weighting)
+              const rootFolderId = await this.findMonitoredFolder(change.file);
+              if (rootFolderId !== null) {
                 this.log(`[GDRIVE] Photo changed: ${change.file.name}`);
-                changedPhotos.push(change.file);
+                changedPhotos.push({ ...change.file, rootFolderId });
               }
             }
           }
@@ -374,7 +380,7 @@ class GoogleDriveProvider extends BaseProvider {
 
         for (const folderConfig of driveFolders) {
           const photos = await this.scanFolder(folderConfig.id, folderConfig.depth);
-          allPhotos.push(...photos);
+          allPhotos.push(...this.tagRootFolder(photos, folderConfig.id));
         }
 
         // Get start token for future incremental syncs
@@ -391,21 +397,22 @@ class GoogleDriveProvider extends BaseProvider {
   }
 
   /**
-   * Check if a photo is in one of the monitored folders
+   * Find the monitored folder a photo is in, directly or in a subfolder
    * @param {Object} file - File metadata from Drive API
-   * @returns {Promise<boolean>}
+   * @returns {Promise<string|null>} Configured folder ID ("root" without configured folders,
+   *   "" if unknown), or null if the photo is outside all of them
    */
-  async isPhotoInMonitoredFolders(file) {
+  async findMonitoredFolder(file) {
     try {
       const driveFolders = this.config.driveFolders || [];
 
       if (driveFolders.length === 0) {
-        return true; // If no folders configured, accept all
+        return "root"; // If no folders configured, accept all
       }
 
       // Check if file's parents include any monitored folders
       if (!file.parents || file.parents.length === 0) {
-        return false;
+        return null;
       }
 
       for (const folderConfig of driveFolders) {
@@ -414,22 +421,22 @@ class GoogleDriveProvider extends BaseProvider {
         // Check if any parent matches or is a descendant of monitored folder
         for (const parentId of file.parents) {
           if (parentId === monitoredFolderId) {
-            return true;
+            return monitoredFolderId;
           }
 
           // Check if parent is a descendant of monitored folder
           if (await this.isDescendantOf(parentId, monitoredFolderId)) {
-            return true;
+            return monitoredFolderId;
           }
         }
       }
 
-      return false;
+      return null;
 
     } catch (error) {
       this.log("[GDRIVE] Error checking folder membership:", error.message);
-      // On error, be conservative and include the file
-      return true;
+      // On error, be conservative and include the file (its root folder is inherited from its siblings)
+      return "";
     }
   }
 
@@ -0,0 +1,353 @@
+"use strict";
+
+const axios = require("axios");
+const BaseProvider = require("./BaseProvider");
+
+// Immich thumbnail sizes: "thumbnail" is ~250px, "preview" defaults to 1440px
+const THUMBNAIL_MAX_SIZE = 250;
+
+// EXIF orientations that rotate the image by 90° (width/height swap on display)
+const ROTATED_ORIENTATIONS = ["5", "6", "7", "8"];
+
+/**
+ * Immich Provider for MMM-CloudPhotos
+ * Pulls photos from Immich albums via its REST API. Server-side EXIF (capture time, GPS and
+ * resolved city/country) is mapped directly, and downloads use Immich's resized previews.
+ * @augments BaseProvider
+ */
+class ImmichProvider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {string} config.url - Immich server URL (e.g. http://immich.local:2283)
+   * @param {string} config.apiKey - API key (Account Settings → API Keys)
+   * @param {Array<string | object>} config.albums - Album IDs to show ["uuid", {id: "uuid"}]
+   * @param {string} config.thumbnailSize - Force "thumbnail" or "preview" (default: chosen from display size)
+   * @param {number} config.showWidth - Display width, used to pick the thumbnail size
+   * @param {number} config.showHeight - Display height, used to pick the thumbnail size
+   * @param {string} config.snapshotKey - Settings key used to persist album state (default: "immich_snapshot")
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.apiBase = `${(config.url || "").replace(/\/+$/, "")}/api`;
+    const displaySize = Math.max(config.showWidth || 1920, config.showHeight || 1080);
+    this.thumbnailSize = config.thumbnailSize
+      || (displaySize <= THUMBNAIL_MAX_SIZE ? "thumbnail" : "preview");
+    this.snapshotKey = config.snapshotKey || "immich_snapshot";
+    this.db = null;
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Make authenticated request to the Immich API
+   * @param {string} endpoint - API endpoint (e.g., "/albums")
+   * @param {object} options - Axios options
+   * @returns {Promise<object>} Response data
+   */
+  async makeRequest(endpoint, options = {}) {
+    const response = await axios({
+      method: "GET",
+      url: `${this.apiBase}${endpoint}`,
+      timeout: 30000,
+      ...options,
+      headers: {
+        "x-api-key": this.config.apiKey,
+        Accept: "application/json",
+        ...options.headers,
+      },
+    });
+    return response.data;
+  }
+
+  /**
+   * Verify the server URL and API key
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[IMMICH] Initializing Immich API...");
+
+      if (!this.config.url || !this.config.apiKey) {
+        throw new Error("providerConfig.url and providerConfig.apiKey are required");
+      }
+
+      const user = await this.makeRequest("/users/me");
+
+      this.log(`[IMMICH] Successfully authenticated as ${user.email || user.name || "user"}`);
+    } catch (error) {
+      this.log("[IMMICH] Authentication failed:", error.message);
+      throw new Error(`Immich authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get configured album IDs
+   * @returns {string[]} Album IDs
+   */
+  getAlbumIds() {
+    return (this.config.albums || []).map(album => (typeof album === "string" ? album : album.id));
+  }
+
+  /**
+   * Join the server-resolved place names into a location name
+   * @param {object} exif - Immich exifInfo
+   * @returns {string|null} "City, State, Country" or null
+   */
+  buildLocationName(exif) {
+    const parts = [exif.city, exif.state, exif.country].filter(Boolean);
+    return parts.length > 0 ? parts.join(", ") : null;
+  }
+
+  /**
+   * Convert an Immich asset to the standard photo format
+   * @param {object} asset - Asset response DTO
+   * @param {string} albumId - Album the asset was listed in
+   * @returns {object} Photo metadata
+   */
+  toPhoto(asset, albumId) {
+    const exif = asset.exifInfo || {};
+    const imageMediaMetadata = {};
+
+    // Previews are served upright, so report the displayed dimensions
+    if (exif.exifImageWidth && exif.exifImageHeight) {
+      const rotated = ROTATED_ORIENTATIONS.includes(String(exif.orientation));
+      imageMediaMetadata.width = rotated ? exif.exifImageHeight : exif.exifImageWidth;
+      imageMediaMetadata.height = rotated ? exif.exifImageWidth : exif.exifImageHeight;
+    }
+
+    if (exif.dateTimeOriginal) {
+      imageMediaMetadata.time = exif.dateTimeOriginal;
+    }
+
+    if (typeof exif.latitude === "number" && typeof exif.longitude === "number") {
+      imageMediaMetadata.location = {
+        latitude: exif.latitude,
+        longitude: exif.longitude,
+      };
+    }
+
+    const locationName = this.buildLocationName(exif);
+    if (locationName) {
+      imageMediaMetadata.locationName = locationName;
+    }
+
+    return {
+      id: asset.id,
+      name: asset.originalFileName,
+      parents: [albumId],
+      rootFolderId: albumId,
+      createdTime: asset.fileCreatedAt,
+      imageMediaMetadata,
+    };
+  }
+
+  /**
+   * Fetch an album including its assets
+   * @param {string} albumId - Album ID
+   * @returns {Promise<object>} Album response DTO
+   */
+  async getAlbum(albumId) {
+    return this.makeRequest(`/albums/${albumId}`, { params: { withoutAssets: false } });
+  }
+
+  /**
+   * Get displayable image assets of an album
+   * @param {object} album - Album response DTO
+   * @returns {Array<object>} Image assets
+   */
+  getImageAssets(album) {
+    return (album.assets || []).filter(asset => asset.type === "IMAGE" && !asset.isTrashed);
+  }
+
+  /**
+   * Scan an album for photos (albums are flat, so depth is ignored)
+   * @param {string} folderId - Album ID
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderId) {
+    try {
+      this.log(`[IMMICH] Scanning album ${folderId}...`);
+
+      const album = await this.getAlbum(folderId);
+      const photos = this.getImageAssets(album).map(asset => this.toPhoto(asset, folderId));
+
+      this.log(`[IMMICH] Album "${album.albumName}" scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[IMMICH] Error scanning album ${folderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform full scan of all configured albums
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[IMMICH] Starting full scan of all configured albums...");
+      const allPhotos = [];
+      const albumIds = this.getAlbumIds();
+
+      if (albumIds.length === 0) {
+        this.log("[IMMICH] Warning: No albums configured");
+        return allPhotos;
+      }
+
+      for (const albumId of albumIds) {
+        allPhotos.push(...await this.scanFolder(albumId));
+      }
+
+      // Remove duplicates (same asset in several albums)
+      const uniquePhotos = Array.from(
+        new Map(allPhotos.map(photo => [photo.id, photo])).values()
+      );
+
+      this.log(`[IMMICH] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log("[IMMICH] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a resized preview of a photo (never the original)
+   * @param {string} photoId - Asset ID
+   * @param {object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      return await this.makeRequest(`/assets/${photoId}/thumbnail`, {
+        params: { size: this.thumbnailSize },
+        headers: { Accept: "image/*" },
+        responseType: "stream",
+        timeout: options.timeout || 30000,
+      });
+
+    } catch (error) {
+      this.log(`[IMMICH] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a snapshot of all configured albums, only re-reading albums that changed
+   * @param {object} previous - Previous snapshot {albums: {id: signature}, albumAssets: {id: [assetId]}, assets: {id: updatedAt}}
+   * @returns {Promise<{snapshot: object, changed: Array<object>}>} New snapshot and changed photos
+   */
+  async takeSnapshot(previous) {
+    const snapshot = { albums: {}, albumAssets: {}, assets: {} };
+    const changed = new Map();
+    const albums = await this.makeRequest("/albums");
+    const albumIds = this.getAlbumIds();
+
+    for (const albumId of albumIds) {
+      const summary = albums.find(album => album.id === albumId);
+      if (!summary) {
+        this.log(`[IMMICH] Album ${albumId} not found, skipping`);
+        continue;
+      }
+
+      const albumSignature = `${summary.updatedAt}|${summary.assetCount}`;
+      snapshot.albums[albumId] = albumSignature;
+
+      // Album unchanged: carry its assets over without fetching them
+      if (previous.albums?.[albumId] === albumSignature && previous.albumAssets?.[albumId]) {
+        for (const assetId of previous.albumAssets[albumId]) {
+          snapshot.assets[assetId] = previous.assets[assetId];
+        }
+        snapshot.albumAssets[albumId] = previous.albumAssets[albumId];
+        continue;
+      }
+
+      const assets = this.getImageAssets(await this.getAlbum(albumId));
+      snapshot.albumAssets[albumId] = assets.map(asset => asset.id);
+
+      for (const asset of assets) {
+        snapshot.assets[asset.id] = asset.updatedAt;
+        if (previous.assets?.[asset.id] !== asset.updatedAt) {
+          changed.set(asset.id, this.toPhoto(asset, albumId));
+        }
+      }
+    }
+
+    return { snapshot, changed: Array.from(changed.values()) };
+  }
+
+  /**
+   * Get changes since the last persisted album snapshot
+   * Implements BaseProvider.getChanges(); albums are compared by update time and asset count, not by token
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[IMMICH] Getting changes since last sync...");
+
+      const stored = await this.db.getSetting(this.snapshotKey);
+      const previous = stored ? JSON.parse(stored) : { albums: {}, albumAssets: {}, assets: {} };
+      const { snapshot, changed } = await this.takeSnapshot(previous);
+      const deletedIds = Object.keys(previous.assets).filter(id => !(id in snapshot.assets));
+
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[IMMICH] Incremental sync complete. Found ${changed.length} photos, ${deletedIds.length} removed`);
+
+      return {
+        photos: changed,
+        deletedIds,
+        nextToken: String(Date.now()),
+      };
+
+    } catch (error) {
+      this.log("[IMMICH] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a baseline album snapshot and return a token for incremental sync
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} Change token (snapshot timestamp)
+   */
+  async getStartPageToken() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      const { snapshot } = await this.takeSnapshot({ albums: {}, albumAssets: {}, assets: {} });
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[IMMICH] Saved baseline snapshot of ${Object.keys(snapshot.assets).length} assets`);
+      return String(Date.now());
+    } catch (error) {
+      this.log("[IMMICH] Failed to create baseline snapshot:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return "Immich";
+  }
+}
+
+module.exports = ImmichProvider;
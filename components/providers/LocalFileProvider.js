@@ -0,0 +1,396 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const exifr = require("exifr");
+const BaseProvider = require("./BaseProvider");
+
+// Extensions scanned by default (lowercase, with leading dot)
+const DEFAULT_EXTENSIONS = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".tif", ".tiff",
+  // Converted to JPEG while caching
+  ".heic", ".heif", ".dng", ".cr2", ".nef", ".arw", ".orf", ".rw2", ".raf",
+];
+
+/**
+ * Local Filesystem Provider for MMM-CloudPhotos
+ * Scans local directories (USB sticks, NFS/SMB mounts) so a frame can run fully offline.
+ * Incremental sync compares a persisted mtime/inode snapshot against the current tree.
+ * @augments BaseProvider
+ */
+class LocalFileProvider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {Array} config.folders - Folders to scan [{id: "/mnt/photos", depth: -1}]
+   * @param {string[]} config.extensions - File extensions to include (default: common image types)
+   * @param {boolean} config.followSymlinks - Follow symbolic links while scanning (default: false)
+   * @param {string} config.snapshotKey - Settings key used to persist the snapshot (default: "local_snapshot")
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.extensions = (config.extensions || DEFAULT_EXTENSIONS).map(ext => ext.toLowerCase());
+    this.followSymlinks = config.followSymlinks === true;
+    this.snapshotKey = config.snapshotKey || "local_snapshot";
+    this.db = null;
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Verify that all configured folders are reachable
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[LOCAL] Initializing local filesystem provider...");
+
+      const folders = this.config.folders || [];
+      for (const folderConfig of folders) {
+        await this.assertFolderReadable(folderConfig.id);
+      }
+
+      this.log(`[LOCAL] ${folders.length} folder(s) available`);
+    } catch (error) {
+      this.log("[LOCAL] Initialization failed:", error.message);
+      throw new Error(`Local filesystem initialization failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Throw if a configured folder is missing or unreadable (e.g. NAS not mounted)
+   * @param {string} folderPath - Folder path
+   * @returns {Promise<void>}
+   */
+  async assertFolderReadable(folderPath) {
+    if (!folderPath) {
+      throw new Error("Folder path is required for local folders");
+    }
+
+    const stats = await fs.promises.stat(folderPath);
+    if (!stats.isDirectory()) {
+      throw new Error(`Not a directory: ${folderPath}`);
+    }
+    await fs.promises.access(folderPath, fs.constants.R_OK);
+  }
+
+  /**
+   * Encode an absolute file path as a photo ID (filesystem-safe, reversible)
+   * @param {string} filePath - Absolute file path
+   * @returns {string} Photo ID
+   */
+  static pathToId(filePath) {
+    return Buffer.from(filePath, "utf8").toString("base64url");
+  }
+
+  /**
+   * Decode a photo ID back to its absolute file path
+   * @param {string} photoId - Photo ID
+   * @returns {string} Absolute file path
+   */
+  static idToPath(photoId) {
+    return Buffer.from(photoId, "base64url").toString("utf8");
+  }
+
+  /**
+   * Walk a folder and collect image files with their stats (no EXIF reads)
+   * @param {string} folderPath - Folder to walk
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @param {number} currentDepth - Current depth in recursion
+   * @param {Set<string>} visitedFolders - Set of visited "dev:ino" keys to prevent symlink cycles
+   * @returns {Promise<Array<{path: string, stats: fs.Stats}>>} File entries
+   */
+  async walkFolder(folderPath, maxDepth = -1, currentDepth = 0, visitedFolders = new Set()) {
+    const entries = [];
+
+    const folderStats = await fs.promises.stat(folderPath);
+    const folderKey = `${folderStats.dev}:${folderStats.ino}`;
+    if (visitedFolders.has(folderKey)) {
+      this.log(`[LOCAL] Skipping circular reference to folder: ${folderPath}`);
+      return entries;
+    }
+    visitedFolders.add(folderKey);
+
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(folderPath, { withFileTypes: true });
+    } catch (error) {
+      // The root folder must be readable; unreadable subfolders are skipped
+      if (currentDepth === 0) {
+        throw error;
+      }
+      this.log(`[LOCAL] Cannot read folder ${folderPath}:`, error.message);
+      return entries;
+    }
+
+    for (const dirent of dirents) {
+      // Skip hidden entries and Synology @eaDir thumbnail folders
+      if (dirent.name.startsWith(".") || dirent.name === "@eaDir") {
+        continue;
+      }
+
+      const entryPath = path.join(folderPath, dirent.name);
+
+      let stats;
+      try {
+        stats = dirent.isSymbolicLink() && this.followSymlinks
+          ? await fs.promises.stat(entryPath)
+          : await fs.promises.lstat(entryPath);
+      } catch (error) {
+        this.log(`[LOCAL] Cannot stat ${entryPath}:`, error.message);
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        if (maxDepth === -1 || currentDepth < maxDepth) {
+          const subEntries = await this.walkFolder(entryPath, maxDepth, currentDepth + 1, visitedFolders);
+          entries.push(...subEntries);
+        }
+      } else if (stats.isFile() && this.extensions.includes(path.extname(dirent.name).toLowerCase())) {
+        entries.push({ path: entryPath, stats });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Convert a file entry into the standard photo format, reading EXIF where available
+   * @param {{path: string, stats: fs.Stats}} entry - File entry from walkFolder()
+   * @returns {Promise<object>} Photo metadata
+   */
+  async toPhoto(entry) {
+    const photo = {
+      id: LocalFileProvider.pathToId(entry.path),
+      name: path.basename(entry.path),
+      parents: [path.dirname(entry.path)],
+      rootFolderId: entry.rootFolderId,
+      createdTime: (entry.stats.birthtimeMs > 0 ? entry.stats.birthtime : entry.stats.mtime).toISOString(),
+      imageMediaMetadata: {},
+    };
+
+    try {
+      const exif = await exifr.parse(entry.path, { gps: true, reviveValues: false });
+
+      if (exif) {
+        // Keep the raw EXIF "YYYY:MM:DD HH:mm:ss" format - PhotoDatabase.savePhoto() converts it
+        const time = exif.DateTimeOriginal || exif.CreateDate || exif.DateTime;
+        if (typeof time === "string") {
+          photo.imageMediaMetadata.time = time;
+        }
+
+        const width = exif.ExifImageWidth || exif.ImageWidth;
+        const height = exif.ExifImageHeight || exif.ImageHeight;
+        if (width && height) {
+          // Orientations 5-8 turn the photo by 90°: report the size as displayed
+          const turned = exif.Orientation >= 5;
+          photo.imageMediaMetadata.width = turned ? height : width;
+          photo.imageMediaMetadata.height = turned ? width : height;
+        }
+
+        if (Number.isFinite(exif.latitude) && Number.isFinite(exif.longitude)) {
+          photo.imageMediaMetadata.location = {
+            latitude: exif.latitude,
+            longitude: exif.longitude,
+            altitude: Number.isFinite(exif.GPSAltitude) ? exif.GPSAltitude : null,
+          };
+        }
+      }
+    } catch (error) {
+      // Files without EXIF (PNG, screenshots) or unreadable headers are still displayable
+      this.log(`[LOCAL] No EXIF for ${photo.name}: ${error.message}`);
+    }
+
+    return photo;
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * @param {string} folderId - Absolute folder path
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderId, maxDepth = -1) {
+    try {
+      this.log(`[LOCAL] Scanning folder ${folderId} (depth ${maxDepth})...`);
+
+      await this.assertFolderReadable(folderId);
+      const entries = await this.walkFolder(path.resolve(folderId), maxDepth);
+
+      const photos = [];
+      for (const entry of entries) {
+        photos.push(await this.toPhoto(entry));
+      }
+
+      this.log(`[LOCAL] Folder scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[LOCAL] Error scanning folder ${folderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[LOCAL] Starting full scan of all configured folders...");
+      const allPhotos = [];
+      const folders = this.config.folders || [];
+
+      if (folders.length === 0) {
+        this.log("[LOCAL] Warning: No folders configured");
+        return allPhotos;
+      }
+
+      for (const folderConfig of folders) {
+        const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+        const photos = await this.scanFolder(folderConfig.id, depth);
+        allPhotos.push(...this.tagRootFolder(photos, folderConfig.id));
+      }
+
+      // Remove duplicates (overlapping folder configs)
+      const uniquePhotos = Array.from(
+        new Map(allPhotos.map(photo => [photo.id, photo])).values()
+      );
+
+      this.log(`[LOCAL] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log("[LOCAL] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a snapshot of all configured folders: photo ID → "mtime:inode:size"
+   * Throws if any configured folder is unreachable, so an unmounted NAS never looks like mass deletion.
+   * @returns {Promise<{snapshot: Record<string, string>, entries: Map<string, object>}>} Snapshot and file entries by ID
+   */
+  async takeSnapshot() {
+    const snapshot = {};
+    const entries = new Map();
+
+    for (const folderConfig of this.config.folders || []) {
+      const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+      await this.assertFolderReadable(folderConfig.id);
+
+      for (const entry of await this.walkFolder(path.resolve(folderConfig.id), depth)) {
+        const id = LocalFileProvider.pathToId(entry.path);
+        snapshot[id] = `${Math.floor(entry.stats.mtimeMs)}:${entry.stats.ino}:${entry.stats.size}`;
+        entries.set(id, { ...entry, rootFolderId: folderConfig.id });
+      }
+    }
+
+    return { snapshot, entries };
+  }
+
+  /**
+   * Get changes since the last persisted snapshot
+   * Implements BaseProvider.getChanges(); the change token is not needed, the snapshot says what was seen
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[LOCAL] Getting changes since last sync...");
+
+      const stored = await this.db.getSetting(this.snapshotKey);
+      const previous = stored ? JSON.parse(stored) : {};
+      const { snapshot, entries } = await this.takeSnapshot();
+
+      const changedPhotos = [];
+      for (const [id, signature] of Object.entries(snapshot)) {
+        if (previous[id] !== signature) {
+          changedPhotos.push(await this.toPhoto(entries.get(id)));
+        }
+      }
+
+      const deletedIds = Object.keys(previous).filter(id => !(id in snapshot));
+
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[LOCAL] Incremental sync complete. Found ${changedPhotos.length} photos, ${deletedIds.length} deleted`);
+
+      return {
+        photos: changedPhotos,
+        deletedIds: deletedIds,
+        nextToken: String(Date.now()),
+      };
+
+    } catch (error) {
+      this.log("[LOCAL] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a baseline snapshot and return a token for incremental sync
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} Change token (snapshot timestamp)
+   */
+  async getStartPageToken() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      const { snapshot } = await this.takeSnapshot();
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      const token = String(Date.now());
+      this.log(`[LOCAL] Saved baseline snapshot of ${Object.keys(snapshot).length} files`);
+      return token;
+    } catch (error) {
+      this.log("[LOCAL] Failed to create baseline snapshot:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a photo file for reading
+   * @param {string} photoId - Photo ID
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId) {
+    try {
+      const filePath = path.resolve(LocalFileProvider.idToPath(photoId));
+
+      // Only serve files that live under a configured folder
+      const roots = (this.config.folders || []).map(folder => path.resolve(folder.id) + path.sep);
+      if (!roots.some(root => filePath.startsWith(root))) {
+        throw new Error("Photo is outside the configured folders");
+      }
+
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+
+    } catch (error) {
+      this.log(`[LOCAL] Failed to read photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return "Local Filesystem";
+  }
+}
+
+module.exports = LocalFileProvider;
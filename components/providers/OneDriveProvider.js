@@ -38,6 +38,47 @@ class OneDriveProvider extends BaseProvider {
     this.db = null;
   }
 
+  /**
+   * Convert a Graph drive item to the standard photo format
+   * @param {object} item - Drive item
+   * @param {string[]} parents - Parent folder IDs
+   * @returns {object | null} Photo, or null if the item is not an image (or an enabled video)
+   */
+  toPhoto(item, parents) {
+    if (!item.file) {
+      return null;
+    }
+
+    const photo = {
+      id: item.id,
+      name: item.name,
+      parents,
+      createdTime: item.createdDateTime,
+      mimeType: item.file.mimeType,
+    };
+
+    if (item.image) {
+      photo.imageMediaMetadata = {
+        width: item.image.width,
+        height: item.image.height,
+      };
+      return photo;
+    }
+
+    if (item.video && this.config.includeVideos) {
+      photo.mimeType = photo.mimeType || "video/mp4";
+      photo.size = item.size;
+      photo.videoMediaMetadata = {
+        width: item.video.width,
+        height: item.video.height,
+        durationMillis: item.video.duration,
+      };
+      return photo;
+    }
+
+    return null;
+  }
+
   /**
    * Set database reference (needed for incremental sync)
    * @param {Object} db - PhotoDatabase instance
@@ -236,19 +277,9 @@ class OneDriveProvider extends BaseProvider {
           : await this.makeRequest(endpoint);
 
         for (const item of data.value || []) {
-          // Check if it's an image file
-          if (item.file && item.image) {
-            // Convert to standard format
-            const photo = {
-              id: item.id,
-              name: item.name,
-              parents: [folderId || "root"],
-              createdTime: item.createdDateTime,
-              imageMediaMetadata: {
-                width: item.image.width,
-                height: item.image.height
-              }
-            };
+          // Check if it's an image (or video) file, and convert it to standard format
+          const photo = this.toPhoto(item, [folderId || "root"]);
+          if (photo) {
             photos.push(photo);
           }
 
@@ -303,7 +334,7 @@ class OneDriveProvider extends BaseProvider {
         this.log(`[ONEDRIVE] Scanning folder: ${folderId || 'root'} (depth: ${depth})`);
 
         const photos = await this.scanFolder(folderId, depth);
-        allPhotos.push(...photos);
+        allPhotos.push(...this.tagRootFolder(photos, folderId));
       }
 
       // Remove duplicates
@@ -389,21 +420,14 @@ class OneDriveProvider extends BaseProvider {
             continue;
           }
 
-          // Only process image files
-          if (item.file && item.image) {
-            // Check if in monitored folders
-            if (await this.isPhotoInMonitoredFolders(item)) {
+          // Only process image (and video) files
+          const photo = this.toPhoto(item, item.parentReference ? [item.parentReference.id] : ["root"]);
+          if (photo) {
+            // Check if in monitored folders (tagged with it for weighting)
+            const rootFolderId = await this.findMonitoredFolder(item);
+            if (rootFolderId !== null) {
               this.log(`[ONEDRIVE] Photo changed: ${item.name}`);
-              changedPhotos.push({
-                id: item.id,
-                name: item.name,
-                parents: item.parentReference ? [item.parentReference.id] : ["root"],
-                createdTime: item.createdDateTime,
-                imageMediaMetadata: {
-                  width: item.image.width,
-                  height: item.image.height
-                }
-              });
+              changedPhotos.push({ ...photo, rootFolderId });
             }
           }
         }
@@ -465,23 +489,24 @@ class OneDriveProvider extends BaseProvider {
   }
 
   /**
-   * Check if a photo is in one of the monitored folders
+   * Find the monitored folder a photo is in, directly or in a subfolder
    * @param {Object} item - File item from OneDrive API
-   * @returns {Promise<boolean>}
+   * @returns {Promise<string|null>} Configured folder ID ("root" without configured folders,
+   *   "" if unknown), or null if the photo is outside all of them
    */
-  async isPhotoInMonitoredFolders(item) {
+  async findMonitoredFolder(item) {
     try {
       const folders = this.config.folders || [];
 
       if (folders.length === 0) {
-        return true; // If no folders configured, accept all
+        return "root"; // If no folders configured, accept all
       }
 
       // Get parent folder ID
       const parentId = item.parentReference ? item.parentReference.id : null;
 
       if (!parentId) {
-        return false;
+        return null;
       }
 
       // Check if parent matches any monitored folder
@@ -489,20 +514,20 @@ class OneDriveProvider extends BaseProvider {
         const monitoredFolderId = folderConfig.id;
 
         if (parentId === monitoredFolderId) {
-          return true;
+          return monitoredFolderId;
         }
 
         // Check if parent is a descendant of monitored folder
         if (await this.isDescendantOf(parentId, monitoredFolderId)) {
-          return true;
+          return monitoredFolderId;
         }
       }
 
-      return false;
+      return null;
 
     } catch (error) {
       this.log("[ONEDRIVE] Error checking folder membership:", error.message);
-      return true; // Be conservative on error
+      return ""; // Be conservative on error (root folder inherited from siblings)
     }
   }
 
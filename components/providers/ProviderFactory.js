@@ -10,10 +10,13 @@
 const PROVIDERS = {
   "google-drive": () => require("./GoogleDriveProvider"),
   "onedrive": () => require("./OneDriveProvider"),
+  "local": () => require("./LocalFileProvider"),
+  "dropbox": () => require("./DropboxProvider"),
+  "webdav": () => require("./WebDAVProvider"),
+  "s3": () => require("./S3Provider"),
+  "immich": () => require("./ImmichProvider"),
   // Future providers:
-  // "dropbox": () => require("./DropboxProvider"),
-  // "icloud": () => require("./iCloudProvider"),
-  // "local": () => require("./LocalFileProvider")
+  // "icloud": () => require("./iCloudProvider")
 };
 
 /**
@@ -0,0 +1,469 @@
+"use strict";
+
+const crypto = require("crypto");
+const path = require("path");
+const axios = require("axios");
+const { XMLParser } = require("fast-xml-parser");
+const BaseProvider = require("./BaseProvider");
+
+// Object storage has no reliable MIME types in listings, so images are matched by extension
+const IMAGE_EXTENSIONS = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".tif", ".tiff",
+  // Converted to JPEG while caching
+  ".heic", ".heif", ".dng", ".cr2", ".nef", ".arw", ".orf", ".rw2", ".raf",
+];
+
+// SHA-256 of an empty payload (all requests made by this provider are bodyless GETs)
+const EMPTY_PAYLOAD_HASH = crypto.createHash("sha256").update("").digest("hex");
+
+/**
+ * URI-encode a string per RFC 3986 as required by Signature Version 4
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * HMAC-SHA256 helper
+ * @param {Buffer|string} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Digest
+ */
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data, "utf8").digest();
+}
+
+/**
+ * S3-compatible Object Storage Provider for MMM-CloudPhotos
+ * Works with AWS S3, MinIO, Backblaze B2, Wasabi and other S3 APIs (Signature Version 4).
+ * Bucket prefixes are treated as folders; incremental sync compares stored ETags.
+ * @augments BaseProvider
+ */
+class S3Provider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {string} config.bucket - Bucket name
+   * @param {string} config.accessKeyId - Access key ID
+   * @param {string} config.secretAccessKey - Secret access key
+   * @param {string} config.sessionToken - Optional session token (temporary credentials)
+   * @param {string} config.region - Signing region (default: "us-east-1")
+   * @param {string} config.endpoint - Custom endpoint URL (e.g. "http://minio.local:9000")
+   * @param {boolean} config.forcePathStyle - Use path-style URLs (default: true with a custom endpoint)
+   * @param {Array} config.folders - Prefixes to scan [{id: "photos/2024", depth: -1}]
+   * @param {string} config.snapshotKey - Settings key used to persist ETags (default: "s3_snapshot")
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.region = config.region || "us-east-1";
+    this.forcePathStyle = config.forcePathStyle !== undefined ? config.forcePathStyle : Boolean(config.endpoint);
+    this.endpoint = (config.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, "");
+    this.snapshotKey = config.snapshotKey || "s3_snapshot";
+    this.db = null;
+
+    this.parser = new XMLParser({
+      parseTagValue: false,
+      isArray: (name) => name === "Contents" || name === "CommonPrefixes",
+    });
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Verify credentials and bucket access
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[S3] Initializing S3 client...");
+
+      for (const key of ["bucket", "accessKeyId", "secretAccessKey"]) {
+        if (!this.config[key]) {
+          throw new Error(`providerConfig.${key} is required`);
+        }
+      }
+
+      // Test the connection (list a single key)
+      await this.listObjects({ "max-keys": "1" });
+
+      this.log(`[S3] Successfully connected to bucket "${this.config.bucket}" at ${this.endpoint}`);
+    } catch (error) {
+      this.log("[S3] Connection failed:", error.message);
+      throw new Error(`S3 authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the URL for a bucket or object
+   * @param {string} key - Object key ("" for the bucket itself)
+   * @param {object} query - Query parameters
+   * @returns {URL} Request URL
+   */
+  buildUrl(key = "", query = {}) {
+    const endpoint = new URL(this.endpoint);
+    const encodedKey = key.split("/").map(uriEncode).join("/");
+
+    if (this.forcePathStyle) {
+      endpoint.pathname = `${endpoint.pathname.replace(/\/+$/, "")}/${uriEncode(this.config.bucket)}/${encodedKey}`;
+    } else {
+      endpoint.hostname = `${this.config.bucket}.${endpoint.hostname}`;
+      endpoint.pathname = `/${encodedKey}`;
+    }
+
+    endpoint.search = Object.keys(query)
+      .sort()
+      .map(name => `${uriEncode(name)}=${uriEncode(query[name])}`)
+      .join("&");
+
+    return endpoint;
+  }
+
+  /**
+   * Sign a request with AWS Signature Version 4
+   * @param {string} method - HTTP method
+   * @param {URL} url - Request URL (path and query must already be URI-encoded)
+   * @param {object} headers - Additional headers to sign (lowercase names)
+   * @param {Date} now - Request time
+   * @returns {object} Headers including Authorization, x-amz-date and x-amz-content-sha256
+   */
+  signRequest(method, url, headers = {}, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, "");
+    const dateStamp = amzDate.slice(0, 8);
+
+    const allHeaders = {
+      host: url.host,
+      "x-amz-content-sha256": EMPTY_PAYLOAD_HASH,
+      "x-amz-date": amzDate,
+      ...(this.config.sessionToken && { "x-amz-security-token": this.config.sessionToken }),
+      ...headers,
+    };
+
+    const headerNames = Object.keys(allHeaders).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = headerNames
+      .map(name => `${name}:${String(allHeaders[name]).trim().replace(/\s+/g, " ")}\n`)
+      .join("");
+    const signedHeaders = headerNames.join(";");
+
+    const canonicalQuery = url.search.replace(/^\?/, "").split("&").filter(Boolean).sort().join("&");
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      allHeaders["x-amz-content-sha256"],
+    ].join("\n");
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      "AWS4-HMAC-SHA256",
+      amzDate,
+      scope,
+      crypto.createHash("sha256").update(canonicalRequest, "utf8").digest("hex"),
+    ].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.config.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = crypto.createHmac("sha256", signingKey).update(stringToSign, "utf8").digest("hex");
+
+    delete allHeaders.host;
+    return {
+      ...allHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  /**
+   * Call ListObjectsV2 for a single page
+   * @param {object} query - Query parameters (prefix, delimiter, continuation-token, ...)
+   * @returns {Promise<object>} Parsed ListBucketResult
+   */
+  async listObjects(query) {
+    const url = this.buildUrl("", { "list-type": "2", ...query });
+
+    const response = await axios({
+      method: "GET",
+      url: url.toString(),
+      headers: this.signRequest("GET", url),
+      responseType: "text",
+      timeout: 30000,
+    });
+
+    return this.parser.parse(response.data).ListBucketResult || {};
+  }
+
+  /**
+   * Normalize a configured folder ID into a key prefix
+   * @param {string|null} folderId - Prefix ("photos/2024") or null for the whole bucket
+   * @returns {string} Prefix with a trailing slash ("" for the bucket root)
+   */
+  normalizePrefix(folderId) {
+    const trimmed = (folderId || "").replace(/^\/+|\/+$/g, "");
+    return trimmed ? `${trimmed}/` : "";
+  }
+
+  /**
+   * Encode an object key as a photo ID (filesystem-safe, reversible)
+   * @param {string} key - Object key
+   * @returns {string} Photo ID
+   */
+  static keyToId(key) {
+    return Buffer.from(key, "utf8").toString("base64url");
+  }
+
+  /**
+   * Decode a photo ID back to its object key
+   * @param {string} photoId - Photo ID
+   * @returns {string} Object key
+   */
+  static idToKey(photoId) {
+    return Buffer.from(photoId, "base64url").toString("utf8");
+  }
+
+  /**
+   * List image objects under a prefix
+   * Depth -1 uses a flat listing; other depths use delimiter "/" and descend into common prefixes.
+   * @param {string} prefix - Key prefix (with trailing slash, or "")
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = prefix only, N = N levels)
+   * @param {number} currentDepth - Current depth in recursion
+   * @returns {Promise<Array<object>>} Objects: {Key, ETag, LastModified, Size}
+   */
+  async listImages(prefix, maxDepth = -1, currentDepth = 0) {
+    const objects = [];
+    const subPrefixes = [];
+    const useDelimiter = maxDepth !== -1;
+
+    let continuationToken = null;
+    do {
+      const page = await this.listObjects({
+        prefix,
+        ...(useDelimiter && { delimiter: "/" }),
+        ...(continuationToken && { "continuation-token": continuationToken }),
+      });
+
+      for (const object of page.Contents || []) {
+        if (IMAGE_EXTENSIONS.includes(path.posix.extname(object.Key).toLowerCase())) {
+          objects.push(object);
+        }
+      }
+
+      for (const common of page.CommonPrefixes || []) {
+        subPrefixes.push(common.Prefix);
+      }
+
+      continuationToken = page.IsTruncated === "true" ? page.NextContinuationToken : null;
+    } while (continuationToken);
+
+    if (useDelimiter && currentDepth < maxDepth) {
+      for (const subPrefix of subPrefixes) {
+        objects.push(...await this.listImages(subPrefix, maxDepth, currentDepth + 1));
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Convert a listed object to the standard photo format
+   * @param {object} object - Object from ListObjectsV2
+   * @returns {object} Photo metadata
+   */
+  toPhoto(object) {
+    return {
+      id: S3Provider.keyToId(object.Key),
+      name: path.posix.basename(object.Key),
+      parents: [path.posix.dirname(object.Key)],
+      rootFolderId: object.rootFolderId,
+      createdTime: object.LastModified,
+      imageMediaMetadata: {},
+    };
+  }
+
+  /**
+   * Scan a prefix for photos with depth control
+   * @param {string|null} folderId - Key prefix (null for the whole bucket)
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = prefix only, N = N levels)
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderId, maxDepth = -1) {
+    try {
+      const prefix = this.normalizePrefix(folderId);
+      this.log(`[S3] Scanning prefix "${prefix}" (depth ${maxDepth})...`);
+
+      const photos = (await this.listImages(prefix, maxDepth)).map(object => this.toPhoto(object));
+
+      this.log(`[S3] Prefix scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[S3] Error scanning prefix ${folderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List every configured prefix
+   * @returns {Promise<Map<string, object>>} Objects by photo ID
+   */
+  async listAllFolders() {
+    const objects = new Map();
+
+    for (const folderConfig of this.config.folders || []) {
+      const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+      for (const object of await this.listImages(this.normalizePrefix(folderConfig.id), depth)) {
+        objects.set(S3Provider.keyToId(object.Key), { ...object, rootFolderId: folderConfig.id || "root" });
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Perform full scan of all configured prefixes
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[S3] Starting full scan of all configured prefixes...");
+
+      if ((this.config.folders || []).length === 0) {
+        this.log("[S3] Warning: No folders configured");
+        return [];
+      }
+
+      const objects = await this.listAllFolders();
+      const photos = Array.from(objects.values()).map(object => this.toPhoto(object));
+
+      this.log(`[S3] Full scan complete. Found ${photos.length} unique photos`);
+      return photos;
+
+    } catch (error) {
+      this.log("[S3] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo object
+   * @param {string} photoId - Photo ID
+   * @param {object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      const url = this.buildUrl(S3Provider.idToKey(photoId));
+
+      const response = await axios({
+        method: "GET",
+        url: url.toString(),
+        headers: this.signRequest("GET", url),
+        responseType: "stream",
+        timeout: options.timeout || 30000,
+      });
+
+      return response.data;
+
+    } catch (error) {
+      this.log(`[S3] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build an ETag snapshot from listed objects
+   * @param {Map<string, object>} objects - Objects by photo ID
+   * @returns {Record<string, string>} Photo ID → ETag
+   */
+  toSnapshot(objects) {
+    const snapshot = {};
+    for (const [id, object] of objects) {
+      snapshot[id] = String(object.ETag).replace(/"/g, "");
+    }
+    return snapshot;
+  }
+
+  /**
+   * Get changes since the last stored ETag snapshot
+   * Implements BaseProvider.getChanges(); S3 has no change feed, so the token is ignored
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[S3] Getting changes since last sync...");
+
+      const stored = await this.db.getSetting(this.snapshotKey);
+      const previous = stored ? JSON.parse(stored) : {};
+      const objects = await this.listAllFolders();
+      const snapshot = this.toSnapshot(objects);
+
+      const photos = [];
+      for (const [id, etag] of Object.entries(snapshot)) {
+        if (previous[id] !== etag) {
+          photos.push(this.toPhoto(objects.get(id)));
+        }
+      }
+      const deletedIds = Object.keys(previous).filter(id => !(id in snapshot));
+
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[S3] Incremental sync complete. Found ${photos.length} photos, ${deletedIds.length} deleted`);
+
+      return {
+        photos,
+        deletedIds,
+        nextToken: String(Date.now()),
+      };
+
+    } catch (error) {
+      this.log("[S3] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a baseline ETag snapshot and return a token for incremental sync
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} Change token (snapshot timestamp)
+   */
+  async getStartPageToken() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      const snapshot = this.toSnapshot(await this.listAllFolders());
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[S3] Saved baseline snapshot of ${Object.keys(snapshot).length} objects`);
+      return String(Date.now());
+    } catch (error) {
+      this.log("[S3] Failed to create baseline snapshot:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return "S3";
+  }
+}
+
+module.exports = S3Provider;
@@ -0,0 +1,473 @@
+"use strict";
+
+const path = require("path");
+const axios = require("axios");
+const { XMLParser } = require("fast-xml-parser");
+const BaseProvider = require("./BaseProvider");
+
+// Fallback when the server does not report getcontenttype
+const IMAGE_EXTENSIONS = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".tif", ".tiff",
+  // Converted to JPEG while caching
+  ".heic", ".heif", ".dng", ".cr2", ".nef", ".arw", ".orf", ".rw2", ".raf",
+];
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getetag/>
+    <d:getlastmodified/>
+    <d:getcontenttype/>
+    <d:getcontentlength/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * WebDAV Provider for MMM-CloudPhotos
+ * Works with Nextcloud, ownCloud and other WebDAV servers.
+ * Incremental sync compares ETag snapshots; the contents of folders whose ETag is unchanged are
+ * not re-listed (Nextcloud/ownCloud propagate ETag changes up to every parent folder).
+ * @augments BaseProvider
+ */
+class WebDAVProvider extends BaseProvider {
+  /**
+   * @param {object} config - Provider configuration
+   * @param {string} config.url - WebDAV base URL (e.g. https://cloud.example.com/remote.php/dav/files/alice)
+   * @param {string} config.username - Username
+   * @param {string} config.password - Account password (basic auth)
+   * @param {string} config.appPassword - App password (preferred over password for Nextcloud/ownCloud)
+   * @param {Array} config.folders - Folders to scan [{id: "/Photos", depth: -1}]
+   * @param {boolean} config.folderEtags - Skip folders whose ETag is unchanged (default: true; disable for
+   *   servers whose folder ETags don't reflect nested changes, e.g. Apache mod_dav)
+   * @param {string} config.snapshotKey - Settings key used to persist the snapshot (default: "webdav_snapshot")
+   * @param {Function} logger - Logging function
+   */
+  constructor(config, logger) {
+    super(config, logger);
+    this.baseUrl = (config.url || "").replace(/\/+$/, "");
+    this.basePath = this.baseUrl ? decodeURIComponent(new URL(this.baseUrl).pathname) : "";
+    this.folderEtags = config.folderEtags !== false;
+    this.snapshotKey = config.snapshotKey || "webdav_snapshot";
+    this.db = null;
+
+    this.parser = new XMLParser({
+      removeNSPrefix: true,
+      ignoreAttributes: true,
+      parseTagValue: false,
+      isArray: (name) => name === "response" || name === "propstat",
+    });
+  }
+
+  /**
+   * Set database reference (needed for incremental sync)
+   * @param {object} db - PhotoDatabase instance
+   */
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  /**
+   * Build the Authorization header from the configured credentials
+   * @returns {object} Request headers
+   */
+  getAuthHeaders() {
+    const secret = this.config.appPassword || this.config.password;
+    if (!this.config.username || !secret) {
+      return {};
+    }
+    const credentials = Buffer.from(`${this.config.username}:${secret}`).toString("base64");
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  /**
+   * Initialize the WebDAV connection and verify credentials
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      this.log("[WEBDAV] Initializing WebDAV connection...");
+
+      if (!this.baseUrl) {
+        throw new Error("providerConfig.url is required");
+      }
+
+      // Test the connection (PROPFIND on the base collection)
+      await this.propfind("/", 0);
+
+      this.log("[WEBDAV] Successfully connected to WebDAV server");
+    } catch (error) {
+      this.log("[WEBDAV] Connection failed:", error.message);
+      throw new Error(`WebDAV authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a request URL for a path relative to the base URL
+   * @param {string} relativePath - Path such as "/Photos/2024"
+   * @returns {string} Absolute, percent-encoded URL
+   */
+  buildUrl(relativePath) {
+    const encoded = relativePath
+      .split("/")
+      .map(segment => encodeURIComponent(segment))
+      .join("/");
+    return `${this.baseUrl}${encoded.startsWith("/") ? "" : "/"}${encoded}`;
+  }
+
+  /**
+   * Issue a PROPFIND request and parse the multistatus response
+   * @param {string} relativePath - Folder path relative to the base URL
+   * @param {number} depth - WebDAV Depth header (0 or 1)
+   * @returns {Promise<Array<object>>} Resources: {path, isFolder, etag, lastModified, contentType, size}
+   */
+  async propfind(relativePath, depth) {
+    const response = await axios({
+      method: "PROPFIND",
+      url: this.buildUrl(relativePath),
+      headers: {
+        ...this.getAuthHeaders(),
+        Depth: String(depth),
+        "Content-Type": "application/xml; charset=utf-8",
+      },
+      data: PROPFIND_BODY,
+      responseType: "text",
+      timeout: 30000,
+    });
+
+    const parsed = this.parser.parse(response.data);
+    const responses = parsed?.multistatus?.response || [];
+
+    return responses.map(entry => {
+      const okPropstat = (entry.propstat || []).find(ps => String(ps.status).includes(" 200 ")) || {};
+      const prop = okPropstat.prop || {};
+
+      return {
+        path: this.hrefToPath(entry.href),
+        isFolder: typeof prop.resourcetype === "object" && prop.resourcetype !== null && "collection" in prop.resourcetype,
+        etag: prop.getetag ? String(prop.getetag).replace(/"/g, "") : null,
+        lastModified: prop.getlastmodified || null,
+        contentType: prop.getcontenttype || null,
+        size: prop.getcontentlength ? Number(prop.getcontentlength) : null,
+      };
+    });
+  }
+
+  /**
+   * Convert an href from a multistatus response into a path relative to the base URL
+   * @param {string} href - Absolute URL or absolute path
+   * @returns {string} Decoded relative path without trailing slash ("" for the base collection)
+   */
+  hrefToPath(href) {
+    const pathname = decodeURIComponent(new URL(href, this.baseUrl).pathname);
+    const relative = pathname.startsWith(this.basePath) ? pathname.slice(this.basePath.length) : pathname;
+    return relative.replace(/\/+$/, "");
+  }
+
+  /**
+   * Normalize a configured folder ID into a relative path
+   * @param {string|null} folderId - Folder path ("/Photos") or null for the base collection
+   * @returns {string} Relative path without trailing slash
+   */
+  normalizeFolderPath(folderId) {
+    if (!folderId || folderId === "/") {
+      return "";
+    }
+    return `/${folderId.replace(/^\/+|\/+$/g, "")}`;
+  }
+
+  /**
+   * Check if a resource is an image
+   * @param {object} resource - Resource from propfind()
+   * @returns {boolean} true for images by content type or extension
+   */
+  isImage(resource) {
+    if (resource.contentType?.startsWith("image/")) {
+      return true;
+    }
+    // Servers often report RAW files as application/octet-stream
+    return IMAGE_EXTENSIONS.includes(path.posix.extname(resource.path).toLowerCase());
+  }
+
+  /**
+   * Encode a relative file path as a photo ID (filesystem-safe, reversible)
+   * @param {string} filePath - Relative file path
+   * @returns {string} Photo ID
+   */
+  static pathToId(filePath) {
+    return Buffer.from(filePath, "utf8").toString("base64url");
+  }
+
+  /**
+   * Decode a photo ID back to its relative file path
+   * @param {string} photoId - Photo ID
+   * @returns {string} Relative file path
+   */
+  static idToPath(photoId) {
+    return Buffer.from(photoId, "base64url").toString("utf8");
+  }
+
+  /**
+   * Convert an image resource to the standard photo format
+   * @param {object} resource - Resource from propfind() (rootFolderId set by walkAllFolders())
+   * @returns {object} Photo metadata
+   */
+  toPhoto(resource) {
+    return {
+      id: WebDAVProvider.pathToId(resource.path),
+      name: path.posix.basename(resource.path),
+      parents: [path.posix.dirname(resource.path)],
+      rootFolderId: resource.rootFolderId,
+      createdTime: resource.lastModified ? new Date(resource.lastModified).toISOString() : null,
+      imageMediaMetadata: {},
+    };
+  }
+
+  /**
+   * Walk a folder with Depth: 1 requests, reusing unchanged subtrees from a previous snapshot
+   * @param {string} folderPath - Relative folder path
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @param {object} previous - Previous snapshot ({folders, files}) or empty snapshot
+   * @param {object} next - Snapshot being built ({folders, files})
+   * @param {Array<object>} changed - Collects image resources that are new or modified
+   * @param {number} currentDepth - Current depth in recursion
+   * @param {Set<string>} visitedFolders - Set of visited folder paths
+   * @returns {Promise<void>}
+   */
+  async walkFolder(folderPath, maxDepth, previous, next, changed, currentDepth = 0, visitedFolders = new Set()) {
+    if (visitedFolders.has(folderPath)) {
+      return;
+    }
+    visitedFolders.add(folderPath);
+
+    const resources = await this.propfind(folderPath, 1);
+    const self = resources.find(resource => resource.path === folderPath);
+    // Keyed by remaining depth so a config change never reuses a shallower listing
+    const folderKey = `${folderPath}|${maxDepth === -1 ? -1 : maxDepth - currentDepth}`;
+
+    // Unchanged folder ETag: nothing below it changed, carry the previous subtree over
+    if (this.folderEtags && self?.etag && previous.folders[folderKey] === self.etag) {
+      const prefix = `${folderPath}/`;
+      for (const [key, etag] of Object.entries(previous.folders)) {
+        if (key.startsWith(prefix)) {
+          next.folders[key] = etag;
+        }
+      }
+      for (const [id, etag] of Object.entries(previous.files)) {
+        if (WebDAVProvider.idToPath(id).startsWith(prefix)) {
+          next.files[id] = etag;
+        }
+      }
+      next.folders[folderKey] = self.etag;
+      return;
+    }
+
+    if (self?.etag) {
+      next.folders[folderKey] = self.etag;
+    }
+
+    for (const resource of resources) {
+      if (resource.path === folderPath) {
+        continue;
+      }
+
+      if (resource.isFolder) {
+        if (maxDepth === -1 || currentDepth < maxDepth) {
+          await this.walkFolder(resource.path, maxDepth, previous, next, changed, currentDepth + 1, visitedFolders);
+        }
+      } else if (this.isImage(resource)) {
+        const id = WebDAVProvider.pathToId(resource.path);
+        const signature = resource.etag || resource.lastModified || "";
+        next.files[id] = signature;
+        if (previous.files[id] !== signature) {
+          changed.push(resource);
+        }
+      }
+    }
+  }
+
+  /**
+   * Walk all configured folders
+   * @param {object} previous - Previous snapshot ({folders, files})
+   * @returns {Promise<{snapshot: object, changed: Array<object>}>} New snapshot and changed resources
+   */
+  async walkAllFolders(previous) {
+    const snapshot = { folders: {}, files: {} };
+    const changed = [];
+
+    for (const folderConfig of this.config.folders || []) {
+      const folderPath = this.normalizeFolderPath(folderConfig.id);
+      const depth = folderConfig.depth !== undefined ? folderConfig.depth : -1;
+      const start = changed.length;
+      await this.walkFolder(folderPath, depth, previous, snapshot, changed);
+
+      for (const resource of changed.slice(start)) {
+        resource.rootFolderId = folderConfig.id || "root";
+      }
+    }
+
+    return { snapshot, changed };
+  }
+
+  /**
+   * Scan a folder for photos with depth control
+   * @param {string|null} folderId - Folder path (null for the base collection)
+   * @param {number} maxDepth - Maximum depth (-1 = infinite, 0 = folder only, N = N levels)
+   * @returns {Promise<Array>} Array of photo metadata
+   */
+  async scanFolder(folderId, maxDepth = -1) {
+    try {
+      const folderPath = this.normalizeFolderPath(folderId);
+      this.log(`[WEBDAV] Scanning folder ${folderPath || "/"} (depth ${maxDepth})...`);
+
+      const changed = [];
+      await this.walkFolder(folderPath, maxDepth, { folders: {}, files: {} }, { folders: {}, files: {} }, changed);
+
+      const photos = changed.map(resource => this.toPhoto(resource));
+      this.log(`[WEBDAV] Folder scan complete. Total photos: ${photos.length}`);
+      return photos;
+
+    } catch (error) {
+      this.log(`[WEBDAV] Error scanning folder ${folderId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform full scan of all configured folders
+   * @returns {Promise<Array>} Array of all photo metadata
+   */
+  async fullScan() {
+    try {
+      this.log("[WEBDAV] Starting full scan of all configured folders...");
+      const folders = this.config.folders || [];
+
+      if (folders.length === 0) {
+        this.log("[WEBDAV] Warning: No folders configured");
+        return [];
+      }
+
+      const { changed } = await this.walkAllFolders({ folders: {}, files: {} });
+
+      // Remove duplicates (overlapping folder configs)
+      const uniquePhotos = Array.from(
+        new Map(changed.map(resource => {
+          const photo = this.toPhoto(resource);
+          return [photo.id, photo];
+        })).values()
+      );
+
+      this.log(`[WEBDAV] Full scan complete. Found ${uniquePhotos.length} unique photos`);
+      return uniquePhotos;
+
+    } catch (error) {
+      this.log("[WEBDAV] Full scan failed:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a photo
+   * @param {string} photoId - Photo ID
+   * @param {object} options - Download options
+   * @returns {Promise<Stream>} Readable stream of photo data
+   */
+  async downloadPhoto(photoId, options = {}) {
+    try {
+      const response = await axios({
+        method: "GET",
+        url: this.buildUrl(WebDAVProvider.idToPath(photoId)),
+        headers: this.getAuthHeaders(),
+        responseType: "stream",
+        timeout: options.timeout || 30000,
+      });
+
+      return response.data;
+
+    } catch (error) {
+      this.log(`[WEBDAV] Failed to download photo ${photoId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the persisted ETag snapshot
+   * @returns {Promise<object>} Snapshot ({folders, files})
+   */
+  async loadSnapshot() {
+    const stored = await this.db.getSetting(this.snapshotKey);
+    return stored ? JSON.parse(stored) : { folders: {}, files: {} };
+  }
+
+  /**
+   * Get changes since the last persisted ETag snapshot
+   * Implements BaseProvider.getChanges(); the token is unused, ETags are compared against the snapshot
+   * @returns {Promise<object>} Object with photos, deletedIds, nextToken
+   */
+  async getChanges() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      this.log("[WEBDAV] Getting changes since last sync...");
+
+      const previous = await this.loadSnapshot();
+      const { snapshot, changed } = await this.walkAllFolders(previous);
+
+      const photos = Array.from(
+        new Map(changed.map(resource => {
+          const photo = this.toPhoto(resource);
+          return [photo.id, photo];
+        })).values()
+      );
+      const deletedIds = Object.keys(previous.files).filter(id => !(id in snapshot.files));
+
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[WEBDAV] Incremental sync complete. Found ${photos.length} photos, ${deletedIds.length} deleted`);
+
+      return {
+        photos,
+        deletedIds,
+        nextToken: String(Date.now()),
+      };
+
+    } catch (error) {
+      this.log("[WEBDAV] Failed to get changes:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a baseline ETag snapshot and return a token for incremental sync
+   * Implements BaseProvider.getStartPageToken()
+   * @returns {Promise<string>} Change token (snapshot timestamp)
+   */
+  async getStartPageToken() {
+    try {
+      if (!this.db) {
+        throw new Error("Database not set. Call setDatabase() before using incremental sync.");
+      }
+
+      const { snapshot } = await this.walkAllFolders({ folders: {}, files: {} });
+      await this.db.saveSetting(this.snapshotKey, JSON.stringify(snapshot));
+
+      this.log(`[WEBDAV] Saved baseline snapshot of ${Object.keys(snapshot.files).length} files`);
+      return String(Date.now());
+    } catch (error) {
+      this.log("[WEBDAV] Failed to create baseline snapshot:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get provider name
+   * @returns {string} Provider name
+   */
+  getProviderName() {
+    return "WebDAV";
+  }
+}
+
+module.exports = WebDAVProvider;
@@ -21,7 +21,8 @@
       },
       {
         id: "2b3c4d5e6f7g8h9i0j1k",  // Another folder
-        depth: 0                      // Only this folder, no subfolders
+        depth: 0,                     // Only this folder, no subfolders
+        weight: 2                     // Optional: twice the screen time of a weight-1 folder
       },
       {
         id: null,                     // null = Drive root folder
@@ -29,6 +30,12 @@
       }
     ],
 
+    // Alternatively, mix several providers into one slideshow (see README):
+    // providers: [
+    //   { id: "family", provider: "google-drive", providerConfig: { driveFolders: [...] } },
+    //   { id: "work", provider: "onedrive", providerConfig: { clientId: "...", folders: [...] } }
+    // ],
+
     // ===========================================
     // NEW in V3: Authentication File Paths
     // ===========================================
@@ -56,10 +63,57 @@
     //   'random'     - Random order each cycle
     //   'newest'     - Show newest photos first (by creation/upload date)
     //   'oldest'     - Show oldest photos first (by creation/upload date)
+    //   'onThisDay'  - Show photos taken on today's date in previous years
     sortMode: 'sequential',           // Default: 'sequential'
 
+    // 'onThisDay' options
+    onThisDayWindow: 0,               // Also match ±N days around today (default: 0)
+    onThisDayMinPhotos: 3,            // Fewer matches = normal rotation (default: 3)
+
     // Note: All modes prioritize unviewed photos first, then cycle through viewed photos
 
+    // Only show photos matching these conditions (all optional, see README "Filtering Photos")
+    // condition: {
+    //   fromDate: "2018-03",            // "YYYY", "YYYY-MM" or "YYYY-MM-DD"
+    //   toDate: "2019-12-25",           // Inclusive
+    //   minWidth: 800,                  // Skip tiny images
+    //   minHeight: 600,
+    //   // maxWidth / maxHeight / minWHRatio / maxWHRatio
+    //   orientation: "landscape",       // Or "portrait", "square"
+    //   excludeFilename: ["Screenshot*"] // Globs, or "/regex/flags" strings
+    // },
+
+    // Switch playlists by month, weekday and time of day (see README "Scheduled Playlists")
+    // schedule: {
+    //   playlists: {
+    //     christmas: { folders: ["XMAS_FOLDER_ID"], sortMode: "random" },
+    //     night: { folders: ["LANDSCAPES_FOLDER_ID"], condition: { orientation: "landscape" }, transition: "kenBurns" }
+    //   },
+    //   rules: [
+    //     { playlist: "christmas", months: [12] },
+    //     { playlist: "night", from: "21:00", to: "06:00" }
+    //   ]
+    // },
+
+    // Short video clips and motion photos (Google Drive and OneDrive, see README "Video Clips")
+    // videos: {
+    //   enabled: true,
+    //   maxDuration: 30,             // Seconds; longer clips are skipped
+    //   maxSizeMB: 100,              // Larger files are skipped
+    //   motionPhotos: true           // Play the clip embedded in motion photos
+    // },
+
+    // Place names for photo locations: "nominatim" (online), "geonames" (offline,
+    // run: node download_geonames.js) or "none" (see README "Place Names")
+    // geocoder: "geonames",
+    // locationFormat: "{city}, {state}, {country}", // Also {countryCode}, or Nominatim fields like {suburb}
+    // homeCountry: "US",             // Leave the country out for photos taken at home
+    // Named areas shown instead of geocoded names; hide: true shows no location (see README "Named Places")
+    // places: [
+    //   { name: "Home", latitude: 39.7817, longitude: -89.6501, radius: 150 },  // Radius in metres
+    //   { hide: true, latitude: 40.1164, longitude: -88.2434, radius: 300 }
+    // ],
+
     // ===========================================
     // NEW in V3: BLOB Storage & Image Processing
     // ===========================================
@@ -67,6 +121,11 @@
     // Requires 'sharp' library: npm install sharp
     useBlobStorage: true,             // Default: true (if sharp is installed)
     jpegQuality: 85,                  // JPEG quality (1-100, default: 85)
+    outputFormat: "jpeg",             // "jpeg", "webp" (~30% smaller) or "avif" (default: "jpeg")
+    fit: "contain",                   // "cover": crop to the screen shape around the subject (default: "contain")
+    // coverStrategy: "attention",    // Or "entropy"
+    // coverMaxCrop: 0.35,            // Photos losing more than this share are shown whole
+    // outputQuality: 80,             // Quality for outputFormat (default: jpegQuality, 80 for webp, 50 for avif)
 
     // ===========================================
     // UNCHANGED: Display Settings (same as V2)
@@ -74,6 +133,17 @@
     // How often to change photos (default: 60 seconds, minimum: 10 seconds)
     updateInterval: 1000 * 60,  // 60 seconds
 
+    // "pair": show two portraits side by side on landscape screens (two landscapes stacked on portrait screens)
+    // "grid": a collage of gridColumns x gridRows tiles that change one at a time
+    layout: "single",
+    gridColumns: 3,
+    gridRows: 2,
+
+    // Transition effect: "crossfade", "slide", "zoom", "kenBurns" or "random"
+    // (also an array to pick from, or { effect: "slide", direction: "up" })
+    transition: "crossfade",
+    transitionDuration: 2000,   // ms
+
     // Display resolution (used for image resizing & quality)
     showWidth: 1080,
     showHeight: 1920,
@@ -90,7 +160,6 @@
     // ❌ albums: []           - Use driveFolders instead
     // ❌ sort: "new"/"old"    - Not yet implemented in V3
     // ❌ uploadAlbum: null    - Not implemented in V3
-    // ❌ condition: {...}     - Not yet implemented in V3 (filter by date/size)
 
     // ===========================================
     // DEBUG Mode
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+"use strict";
+
+/**
+ * GeoNames Dataset Downloader
+ *
+ * Downloads the files the offline "geonames" geocoder needs from
+ * https://download.geonames.org/export/dump/ (CC BY 4.0, ~10 MB download):
+ * - cities500.txt: places with 500+ inhabitants (unzipped from cities500.zip)
+ * - admin1CodesASCII.txt: names of states, provinces, regions, ...
+ * - countryInfo.txt: country names
+ *
+ * Usage: node download_geonames.js [target directory, default: ./geonames]
+ */
+
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const BASE_URL = "https://download.geonames.org/export/dump";
+
+/**
+ * Download a file into memory
+ * @param {string} file - File name on the GeoNames server
+ * @returns {Promise<Buffer>} File contents
+ */
+async function download(file) {
+  console.log(`Downloading ${BASE_URL}/${file}...`);
+  const response = await axios.get(`${BASE_URL}/${file}`, {
+    responseType: "arraybuffer",
+    timeout: 300000,
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Extract one file from a ZIP archive (stored or deflated entries)
+ * @param {Buffer} zip - Archive contents
+ * @param {string} name - Entry name
+ * @returns {Buffer} Entry contents
+ */
+function unzip(zip, name) {
+  // End of central directory record: last 22 bytes, plus a comment of up to 64 KB
+  let end = zip.length - 22;
+  while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) {
+    end--;
+  }
+  if (end < 0) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  let entry = zip.readUInt32LE(end + 16);
+  const count = zip.readUInt16LE(end + 10);
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(entry + 10);
+    const compressedSize = zip.readUInt32LE(entry + 20);
+    const nameLength = zip.readUInt16LE(entry + 28);
+    const extraLength = zip.readUInt16LE(entry + 30);
+    const commentLength = zip.readUInt16LE(entry + 32);
+    const localHeader = zip.readUInt32LE(entry + 42);
+
+    if (zip.toString("utf8", entry + 46, entry + 46 + nameLength) === name) {
+      const start = localHeader + 30 + zip.readUInt16LE(localHeader + 26) + zip.readUInt16LE(localHeader + 28);
+      const data = zip.subarray(start, start + compressedSize);
+      return method === 0 ? data : zlib.inflateRawSync(data);
+    }
+
+    entry += 46 + nameLength + extraLength + commentLength;
+  }
+
+  throw new Error(`${name} not found in archive`);
+}
+
+/**
+ * Download cities500 and the admin/country tables into the target folder
+ */
+async function main() {
+  const target = path.resolve(process.argv[2] || path.join(__dirname, "geonames"));
+
+  console.log("=" .repeat(60));
+  console.log("GeoNames Dataset Downloader");
+  console.log("=" .repeat(60));
+  console.log();
+
+  fs.mkdirSync(target, { recursive: true });
+
+  const cities = unzip(await download("cities500.zip"), "cities500.txt");
+  fs.writeFileSync(path.join(target, "cities500.txt"), cities);
+
+  for (const file of ["admin1CodesASCII.txt", "countryInfo.txt"]) {
+    fs.writeFileSync(path.join(target, file), await download(file));
+  }
+
+  console.log();
+  console.log(`✅ GeoNames data saved to ${target}`);
+  console.log();
+  console.log("Enable the offline geocoder in your config:");
+  if (target === path.join(__dirname, "geonames")) {
+    console.log("   geocoder: \"geonames\"");
+  } else {
+    console.log(`   geocoder: { type: "geonames", dataPath: "${target}" }`);
+  }
+  console.log();
+  console.log("=" .repeat(60));
+}
+
+main().catch(error => {
+  console.error("❌ Error:", error.message);
+  process.exit(1);
+});
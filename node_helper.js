@@ -13,8 +13,11 @@ const Log = require("logger");
 
 // Import provider system and components
 const { createProvider } = require("./components/providers/ProviderFactory.js");
+const CompositeProvider = require("./components/providers/CompositeProvider.js");
+const { createGeocoder } = require("./components/geocoders/GeocoderFactory.js");
 const PhotoDatabase = require("./components/PhotoDatabase.js");
 const CacheManager = require("./components/CacheManager.js");
+const Scheduler = require("./components/Scheduler.js");
 
 const NodeHelperObject = {
   start: function () {
@@ -25,6 +28,20 @@ const NodeHelperObject = {
     this.photoProvider = null;
     this.database = null;
     this.cacheManager = null;
+    this.scheduler = null;
+
+    // Playlist shown by the last display tick (null = all photos)
+    this.activePlaylist = null;
+
+    // Photo announced to the frontend for the next tick: { photo, playlist }
+    this.upcoming = null;
+
+    // Clip on screen in single/pair layout: { id, deferred, timer }; ticks wait until it ended
+    this.playingVideo = null;
+
+    // "grid" layout: photo ID shown in each tile, and the tile to refresh next
+    this.gridSlots = [];
+    this.nextGridSlot = 0;
 
     // Timers
     this.scanTimer = null;
@@ -34,6 +51,9 @@ const NodeHelperObject = {
     this.dbPath = path.resolve(this.path, "cache", "photos.db");
     this.cachePath = path.resolve(this.path, "cache", "images");
 
+    // Cached images are served over HTTP instead of base64 socket payloads
+    this.expressApp.get(`/${this.name}/photo/:id`, (req, res) => this.servePhoto(req, res));
+
     this.log_info("Node helper started");
   },
 
@@ -43,18 +63,10 @@ const NodeHelperObject = {
         await this.initialize(payload);
         break;
 
-      case "IMAGE_LOADED":
-        {
-          const { id } = payload;
-          this.log_debug("Image loaded:", id);
-          // Mark photo as viewed in database
-          if (this.database) {
-            await this.database.markPhotoViewed(id).catch(() => {});
-          }
-        }
+      case "VIDEO_ENDED":
+        this.videoEnded(payload.id);
         break;
 
-
       case "GET_CACHE_STATS":
         await this.sendCacheStats();
         break;
@@ -96,27 +108,55 @@ const NodeHelperObject = {
       // Ensure cache directories exist
       await fs.promises.mkdir(this.cachePath, { recursive: true });
 
+      // Time-of-day / day-of-week playlists
+      if (config.schedule) {
+        this.scheduler = new Scheduler(config.schedule);
+      }
+
       // Initialize database
       this.log_info("Initializing database...");
       this.database = new PhotoDatabase(
         this.dbPath,
         this.log_info.bind(this),
         {
-          sortMode: config.sortMode || 'sequential'
+          sortMode: config.sortMode || 'sequential',
+          onThisDayWindow: config.onThisDayWindow,
+          onThisDayMinPhotos: config.onThisDayMinPhotos,
+          condition: config.condition,
+          videos: config.videos,
+          // "pair" layout: two portraits side by side on landscape screens, two landscapes stacked on portrait screens
+          pairOrientation: config.layout === "pair"
+            ? (config.showWidth >= config.showHeight ? "portrait" : "landscape")
+            : null,
+          playlists: this.scheduler ? this.scheduler.playlists : {},
         }
       );
       await this.database.initialize();
 
-      // Initialize cloud storage provider
-      const providerName = config.provider || "google-drive";
-      const providerConfig = config.providerConfig || {
-        keyFilePath: config.keyFilePath || "./google_drive_auth.json",
-        tokenPath: config.tokenPath || "./token_drive.json",
-        driveFolders: config.driveFolders || []
-      };
-
-      this.log_info(`Initializing cloud provider: ${providerName}...`);
-      this.photoProvider = createProvider(providerName, providerConfig, this.log_info.bind(this));
+      // Initialize cloud storage provider(s)
+      if (Array.isArray(config.providers) && config.providers.length > 0) {
+        // Composite mode: several sources mixed into one slideshow
+        this.log_info(`Initializing ${config.providers.length} providers...`);
+        this.photoProvider = new CompositeProvider(
+          { sources: config.providers, showWidth: config.showWidth, showHeight: config.showHeight, includeVideos: config.videos?.enabled === true },
+          this.log_info.bind(this)
+        );
+      } else {
+        const providerName = config.provider || "google-drive";
+        const providerConfig = config.providerConfig || {
+          keyFilePath: config.keyFilePath || "./google_drive_auth.json",
+          tokenPath: config.tokenPath || "./token_drive.json",
+          driveFolders: config.driveFolders || [],
+        };
+
+        this.log_info(`Initializing cloud provider: ${providerName}...`);
+        // Display size lets providers with server-side resizing (e.g. Immich) pick a rendition
+        this.photoProvider = createProvider(
+          providerName,
+          { showWidth: config.showWidth, showHeight: config.showHeight, includeVideos: config.videos?.enabled === true, ...providerConfig },
+          this.log_info.bind(this)
+        );
+      }
 
       // Set database reference for providers that support incremental sync
       if (typeof this.photoProvider.setDatabase === 'function') {
@@ -125,6 +165,20 @@ const NodeHelperObject = {
 
       await this.photoProvider.initialize();
 
+      // Per-folder share of screen time ("weight" on folder entries)
+      this.database.setFolderWeights(this.photoProvider.getFolderWeights());
+
+      // Reverse geocoder for photo locations; a missing dataset only disables place names
+      let geocoder = createGeocoder(config.geocoder, this.log_info.bind(this));
+      if (geocoder) {
+        try {
+          await geocoder.initialize();
+        } catch (error) {
+          this.log_warn(`Geocoding disabled: ${error.message}`);
+          geocoder = null;
+        }
+      }
+
       // Initialize cache manager
       this.log_info("Initializing cache manager...");
       this.cacheManager = new CacheManager(
@@ -133,8 +187,22 @@ const NodeHelperObject = {
           maxCacheSizeMB: config.maxCacheSizeMB || 200,
           showWidth: config.showWidth,
           showHeight: config.showHeight,
+          // "grid" layout: images are resized to tile size
+          gridColumns: config.layout === "grid" ? config.gridColumns : 1,
+          gridRows: config.layout === "grid" ? config.gridRows : 1,
           jpegQuality: config.jpegQuality,
-          useBlobStorage: config.useBlobStorage
+          outputFormat: config.outputFormat,
+          outputQuality: config.outputQuality,
+          fit: config.fit,
+          coverStrategy: config.coverStrategy,
+          coverMaxCrop: config.coverMaxCrop,
+          useBlobStorage: config.useBlobStorage,
+          videos: config.videos,
+          places: config.places,
+          geocoder,
+          locationFormat: config.locationFormat,
+          homeCountry: config.homeCountry,
+          scheduler: this.scheduler,
         },
         this.database,
         this.photoProvider,
@@ -177,7 +245,12 @@ const NodeHelperObject = {
       // Check if provider supports incremental sync
       const token = await this.database.getSetting("changes_token");
 
-      if (token && typeof this.photoProvider.getChanges === 'function') {
+      // Interleaving folders needs the configured folder of every photo: databases from before
+      // full scans recorded it are rescanned once
+      const rescan = !(await this.database.getSetting("root_folders_scanned"));
+      const incremental = token && !rescan && typeof this.photoProvider.getChanges === 'function';
+
+      if (incremental) {
         // Use incremental sync
         const changes = await this.photoProvider.getChanges(token);
         photos = changes.photos;
@@ -205,7 +278,7 @@ const NodeHelperObject = {
               folderConfig.id || null,
               folderConfig.depth !== undefined ? folderConfig.depth : -1
             );
-            photos.push(...folderPhotos);
+            photos.push(...this.photoProvider.tagRootFolder(folderPhotos, folderConfig.id || null));
           }
         }
 
@@ -230,6 +303,10 @@ const NodeHelperObject = {
         this.sendSocketNotification("UPDATE_STATUS", "No photos found");
       }
 
+      if (!incremental) {
+        await this.database.saveSetting("root_folders_scanned", "1");
+      }
+
     } catch (error) {
       this.log_error("Initial scan failed:", error.message);
       this.sendSocketNotification("ERROR", `Scan failed: ${error.message}`);
@@ -294,23 +371,145 @@ const NodeHelperObject = {
   startDisplayTimer: function () {
     const updateInterval = this.config.updateInterval || 60000; // Default: 60 seconds
 
+    if (this.config.layout === "grid") {
+      // Each tile keeps its photo for updateInterval, tiles refresh one after another
+      const tileCount = this.config.gridColumns * this.config.gridRows;
+      this.gridSlots = new Array(tileCount).fill(null);
+
+      this.log_info(`Starting grid display timer (${tileCount} tiles, one every ${updateInterval / tileCount / 1000}s)`);
+
+      this.displayTimer = setInterval(async () => {
+        await this.sendGridPhoto(this.nextGridSlot);
+        this.nextGridSlot = (this.nextGridSlot + 1) % tileCount;
+      }, updateInterval / tileCount);
+
+      // Fill every tile immediately
+      setTimeout(async () => {
+        for (let slot = 0; slot < tileCount; slot++) {
+          await this.sendGridPhoto(slot);
+        }
+      }, 2000);
+      return;
+    }
+
     this.log_info(`Starting display timer (${updateInterval / 1000}s per photo)`);
 
-    this.displayTimer = setInterval(async () => {
-      await this.sendNextPhoto();
-    }, updateInterval);
+    this.restartDisplayTimer();
 
     // Send first photo immediately
     setTimeout(() => this.sendNextPhoto(), 2000);
   },
 
+  /**
+   * (Re)start the single/pair display interval, so the next tick is a full updateInterval away
+   */
+  restartDisplayTimer: function () {
+    clearInterval(this.displayTimer);
+    this.displayTimer = setInterval(async () => {
+      await this.sendNextPhoto();
+    }, this.config.updateInterval || 60000);
+  },
+
+  /**
+   * Hold display ticks while a clip plays
+   * @param {object} photo - Payload of the displayed clip
+   */
+  waitForVideo: function (photo) {
+    // Safety net for clips the browser never finishes (e.g. unsupported codec)
+    const maxDuration = (this.config.videos?.maxDuration ?? 30) * 1000;
+    const limit = (photo.duration_ms || maxDuration) + (this.config.updateInterval || 60000);
+
+    this.playingVideo = {
+      id: photo.id,
+      deferred: false,
+      timer: setTimeout(() => this.videoEnded(photo.id), limit),
+    };
+  },
+
+  /**
+   * The frontend finished playing a clip: advance now if a tick was held back for it
+   * @param {string} id - Photo ID of the clip
+   */
+  videoEnded: function (id) {
+    if (!this.playingVideo || this.playingVideo.id !== id) {
+      return;
+    }
+
+    clearTimeout(this.playingVideo.timer);
+    const deferred = this.playingVideo.deferred;
+    this.playingVideo = null;
+
+    if (deferred) {
+      this.restartDisplayTimer();
+      this.sendNextPhoto();
+    }
+  },
+
+  /**
+   * Get the scheduled playlist for this tick (logs switches)
+   * @returns {string|null} Playlist name, or null for all photos
+   */
+  getActivePlaylist: function () {
+    const playlist = this.scheduler ? this.scheduler.getActivePlaylist() : null;
+    if (playlist !== this.activePlaylist) {
+      this.log_info(`Switching to playlist: ${playlist || "all photos"}`);
+      this.activePlaylist = playlist;
+    }
+    return playlist;
+  },
+
+  /**
+   * Send a new photo for one tile of the grid layout
+   * @param {number} slot - Tile index (row by row)
+   */
+  sendGridPhoto: async function (slot) {
+    try {
+      const playlist = this.getActivePlaylist();
+
+      // Never show a photo twice on screen (or the same photo again in this tile)
+      const onScreen = this.gridSlots.filter(id => id !== null);
+      const photo = await this.pickNextPhoto(playlist, onScreen);
+
+      if (!photo) {
+        if (onScreen.length === 0) {
+          this.log_warn("No cached photos available to display");
+          this.sendSocketNotification("UPDATE_STATUS", "Waiting for photos to cache...");
+        }
+        return;
+      }
+
+      this.gridSlots[slot] = photo.id;
+      this.sendSocketNotification("DISPLAY_PHOTO", { ...this.getPhotoPayload(photo, playlist), slot });
+      await this.markShown(photo);
+      this.log_debug(`Sent photo to tile ${slot}: ${photo.filename}`);
+
+    } catch (error) {
+      this.log_error("Error sending grid photo:", error.message);
+    }
+  },
+
   /**
    * Send next photo to frontend
    */
   sendNextPhoto: async function () {
+    if (this.playingVideo) {
+      // Let the clip finish; videoEnded sends the next photo
+      this.playingVideo.deferred = true;
+      return;
+    }
+
     try {
-      // Get next photo from database
-      const photo = await this.database.getNextPhoto();
+      // Pick the scheduled playlist for this tick
+      const playlist = this.getActivePlaylist();
+
+      // Show the photo announced on the previous tick (already decoded by the browser),
+      // unless the playlist switched in between
+      let photo = this.upcoming && this.upcoming.playlist === playlist ? this.upcoming.photo : null;
+      this.upcoming = null;
+
+      if (!photo) {
+        photo = await this.pickNextPhoto(playlist);
+      }
 
       if (!photo) {
         this.log_warn("No cached photos available to display");
@@ -318,40 +517,139 @@ const NodeHelperObject = {
         return;
       }
 
-      // Get image buffer (BLOB or file-based)
-      let imageBuffer;
+      // Send to frontend (the browser fetches the image itself from servePhoto)
+      const payload = this.getPhotoPayload(photo, playlist);
+      this.sendSocketNotification("DISPLAY_PHOTO", payload);
+      await this.markShown(photo);
+      this.log_debug(`Sent photo: ${photo.filename}`);
 
-      if (photo.cached_data) {
-        // BLOB mode: Data already in database
-        imageBuffer = photo.cached_data;
-        this.log_debug(`Loaded photo from BLOB: ${photo.filename}`);
-      } else if (photo.cached_path) {
-        // Legacy mode: Read from file
-        imageBuffer = await fs.promises.readFile(photo.cached_path);
-        this.log_debug(`Loaded photo from file: ${photo.filename}`);
-      } else {
-        this.log_error(`Photo ${photo.id} has no cached data`);
+      if (payload.media_type === "video") {
+        this.waitForVideo(payload);
+      }
+
+      // Announce the next photo so the browser can decode it before the next tick.
+      // It counts as viewed only once it is displayed, so a playlist switch doesn't skip it
+      const next = await this.pickNextPhoto(playlist);
+      if (next) {
+        this.upcoming = { photo: next, playlist };
+        this.sendSocketNotification("PRELOAD_PHOTO", this.getPhotoPayload(next, playlist));
+      }
+
+    } catch (error) {
+      this.log_error("Error sending photo:", error.message);
+    }
+  },
+
+  /**
+   * Get the next photo from the database
+   * @param {string|null} playlist - Active playlist
+   * @param {string[]} excludeIds - Photos that must not be picked (already on screen)
+   * @returns {Promise<object | null>} Photo, or null if nothing is cached
+   */
+  pickNextPhoto: async function (playlist, excludeIds = []) {
+    return this.database.getNextPhoto(playlist, excludeIds);
+  },
+
+  /**
+   * Mark a displayed photo (and its pair partner) as viewed
+   * This is the only place photos are marked viewed: done as soon as DISPLAY_PHOTO is sent, so the
+   * photo announced after it is a different one.
+   * @param {object} photo - Photo sent in DISPLAY_PHOTO
+   */
+  markShown: async function (photo) {
+    await this.database.markPhotoViewed(photo.id);
+    if (photo.pair) {
+      await this.database.markPhotoViewed(photo.pair.id);
+    }
+  },
+
+  /**
+   * Socket payload for DISPLAY_PHOTO / PRELOAD_PHOTO
+   * @param {object} photo - Photo row from the database
+   * @param {string|null} playlist - Playlist the photo is shown for
+   * @returns {object} URL plus display metadata
+   */
+  getPhotoPayload: function (photo, playlist) {
+    const playlistConfig = playlist ? this.scheduler.playlists[playlist] : null;
+
+    return {
+      id: photo.id,
+      url: this.getPhotoUrl(photo),
+      filename: photo.filename,
+      // Motion photos are cached (and played) as their clip
+      media_type: (photo.cached_mime_type || "").startsWith("video/") ? "video" : "image",
+      duration_ms: photo.duration_ms || null,
+      width: photo.width,
+      height: photo.height,
+      creation_time: photo.creation_time,
+      location_name: photo.location_name,
+      on_this_day: photo.on_this_day || null,
+      // Playlist-specific effect; the frontend falls back to config.transition
+      transition: playlistConfig?.transition || null,
+      // "pair" layout: second photo shown next to this one
+      pair: photo.pair ? this.getPhotoPayload(photo.pair, playlist) : null,
+    };
+  },
+
+  /**
+   * URL of a cached photo; the cache time busts browser caches when a photo is re-cached
+   * @param {object} photo - Photo row with id and cached_at
+   * @returns {string} Path served by servePhoto
+   */
+  getPhotoUrl: function (photo) {
+    return `/${this.name}/photo/${encodeURIComponent(photo.id)}?v=${photo.cached_at || 0}`;
+  },
+
+  /**
+   * Express handler: stream a cached photo (BLOB or file) or clip to the browser
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  servePhoto: async function (req, res) {
+    try {
+      if (!this.database) {
+        res.status(503).end();
         return;
       }
 
-      // Send to frontend
-      this.sendSocketNotification("DISPLAY_PHOTO", {
-        id: photo.id,
-        image: imageBuffer.toString("base64"),
-        filename: photo.filename,
-        width: photo.width,
-        height: photo.height,
-        creation_time: photo.creation_time,
-        location_name: photo.location_name
+      const photo = await this.database.getCachedPhoto(req.params.id);
+      if (!photo) {
+        res.status(404).end();
+        return;
+      }
+
+      const etag = `"${photo.cached_at}"`;
+      res.set({
+        "Content-Type": photo.cached_mime_type || "image/jpeg",
+        "Cache-Control": "private, max-age=86400",
+        "ETag": etag,
       });
 
-      // Mark as viewed (fire-and-forget)
-      this.database.markPhotoViewed(photo.id).catch(() => {});
+      if (req.headers["if-none-match"] === etag) {
+        res.status(304).end();
+        return;
+      }
 
-      this.log_debug(`Sent photo: ${photo.filename}`);
+      if (photo.cached_data) {
+        // BLOB mode: Data already in database
+        res.set("Content-Length", photo.cached_data.length);
+        res.end(photo.cached_data);
+        return;
+      }
+
+      // Legacy mode and clips: Stream from file (with Range support, which <video> relies on for seeking)
+      res.sendFile(photo.cached_path, (error) => {
+        if (error && !res.headersSent) {
+          this.log_error(`Error streaming photo ${photo.id}:`, error.message);
+          res.status(error.code === "ENOENT" ? 404 : 500).end();
+        }
+      });
 
     } catch (error) {
-      this.log_error("Error sending photo:", error.message);
+      this.log_error(`Error serving photo ${req.params.id}:`, error.message);
+      if (!res.headersSent) {
+        res.status(error.code === "ENOENT" ? 404 : 500).end();
+      }
     }
   },
 
@@ -393,6 +691,11 @@ const NodeHelperObject = {
       this.displayTimer = null;
     }
 
+    if (this.playingVideo) {
+      clearTimeout(this.playingVideo.timer);
+      this.playingVideo = null;
+    }
+
     // Stop cache manager
     if (this.cacheManager) {
       this.cacheManager.stop();
@@ -36,7 +36,10 @@ const mockDb = {
   getCachedPhotoCount: jest.fn(),
   getTotalPhotoCount: jest.fn(),
   getOldestCachedPhotos: jest.fn(),
-  clearPhotoCache: jest.fn()
+  clearPhotoCache: jest.fn(),
+  markUnsupported: jest.fn(),
+  updatePhotoDimensions: jest.fn(),
+  getPhotosToConvert: jest.fn().mockResolvedValue([]),
 };
 
 const mockDriveAPI = {
@@ -90,6 +93,19 @@ describe('CacheManager', () => {
     test('should stop automatic ticking', () => {
       expect(cacheManager.timer).toBeNull();
     });
+
+    test('should resize to tile size in the grid layout', () => {
+      const grid = new CacheManager(
+        { cachePath: tempCachePath, showWidth: 1920, showHeight: 1080, gridColumns: 3, gridRows: 2 },
+        mockDb,
+        mockDriveAPI,
+        () => {}
+      );
+      grid.stop();
+
+      expect(grid.screenWidth).toBe(640);
+      expect(grid.screenHeight).toBe(540);
+    });
   });
 
   describe('Cache Statistics', () => {
@@ -166,6 +182,24 @@ describe('CacheManager', () => {
       expect(dbUpdateCalled).toBe(true);
     });
 
+    test('should rotate photos by their EXIF orientation and record the displayed size', async () => {
+      const sharp = require('sharp');
+      // Stored landscape, displayed portrait (orientation 6 = rotate 90° clockwise)
+      const sideways = await sharp({
+        create: { width: 120, height: 80, channels: 3, background: { r: 0, g: 255, b: 0 } },
+      }).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([sideways]));
+
+      await cacheManager.downloadPhoto('turned');
+
+      expect(mockDb.updatePhotoDimensions).toHaveBeenCalledWith('turned', 80, 120);
+      const stored = mockDb.updatePhotoCacheBlob.mock.calls[0]?.[1]
+        || fs.readFileSync(mockDb.updatePhotoCache.mock.calls[0][1]);
+      const metadata = await sharp(stored).metadata();
+      expect([metadata.width, metadata.height]).toEqual([80, 120]);
+      expect(metadata.orientation).toBeUndefined();
+    });
+
     test('should retry failed downloads', async () => {
       const mockJpeg = await createMockJpegBuffer();
       mockDriveAPI.downloadPhoto
@@ -188,6 +222,280 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('Output Format', () => {
+    test('should cache images in the configured format', async () => {
+      const sharp = require('sharp');
+      cacheManager = new CacheManager({ cachePath: tempCachePath, outputFormat: 'webp' }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([await createMockJpegBuffer()]));
+
+      await cacheManager.downloadPhoto('webp1');
+
+      const [id, buffer, mimeType] = mockDb.updatePhotoCacheBlob.mock.calls[0];
+      expect([id, mimeType]).toEqual(['webp1', 'image/webp']);
+      expect((await sharp(buffer).metadata()).format).toBe('webp');
+    });
+
+    test('should convert existing cache entries in place', async () => {
+      const sharp = require('sharp');
+      cacheManager = new CacheManager({ cachePath: tempCachePath, outputFormat: 'avif' }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+
+      const oldPath = path.join(tempCachePath, 'old1.jpg');
+      fs.writeFileSync(oldPath, await createMockJpegBuffer());
+      mockDb.getPhotosToConvert.mockResolvedValueOnce([
+        { id: 'old1', cached_path: oldPath, cached_data: null, cached_mime_type: null },
+        { id: 'blob1', cached_path: null, cached_data: await createMockJpegBuffer(), cached_mime_type: 'image/jpeg' },
+      ]);
+
+      expect(await cacheManager.convertCachedPhotos(20)).toBe(2);
+
+      expect(mockDb.getPhotosToConvert).toHaveBeenCalledWith('image/avif', 20);
+      const newPath = path.join(tempCachePath, 'old1.avif');
+      expect(fs.existsSync(oldPath)).toBe(false);
+      expect((await sharp(newPath).metadata()).format).toBe('heif');
+      expect(mockDb.updatePhotoCache).toHaveBeenCalledWith('old1', newPath, fs.statSync(newPath).size, 'image/avif');
+      expect(mockDb.updatePhotoCacheBlob).toHaveBeenCalledWith('blob1', expect.any(Buffer), 'image/avif');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => new CacheManager({ outputFormat: 'png' }, mockDb, mockDriveAPI, () => {})).toThrow('outputFormat');
+    });
+  });
+
+  describe('Cover Fit', () => {
+    beforeEach(() => {
+      cacheManager = new CacheManager({ cachePath: tempCachePath, showWidth: 160, showHeight: 90, fit: 'cover' }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+    });
+
+    /**
+     * Process a blank image and report the sizes
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Promise<object>} {output, recorded} - [width, height] of the output and as recorded
+     */
+    async function processSize(width, height) {
+      const sharp = require('sharp');
+      const image = await sharp({ create: { width, height, channels: 3, background: { r: 0, g: 0, b: 255 } } }).jpeg().toBuffer();
+      const result = await cacheManager.processImage(image);
+      const output = await sharp(result.buffer).metadata();
+      return { output: [output.width, output.height], recorded: [result.width, result.height] };
+    }
+
+    test('should crop photos close to the screen shape to fill it', async () => {
+      const { output, recorded } = await processSize(400, 300);
+
+      expect(output).toEqual([160, 90]);
+      expect(recorded).toEqual([400, 225]);
+    });
+
+    test('should fit photos far from the screen shape inside it', async () => {
+      const { output, recorded } = await processSize(300, 400);
+
+      expect(output).toEqual([68, 90]);
+      expect(recorded).toEqual([300, 400]);
+    });
+  });
+
+  describe('Unsupported Formats', () => {
+    test('should mark files that cannot be converted instead of retrying them', async () => {
+      mockDriveAPI.downloadPhoto.mockImplementation(() => Promise.resolve(require('stream').Readable.from([Buffer.from('not an image')])));
+
+      const result = await cacheManager.downloadPhoto('odd1', 3, { filename: 'IMG_0001.CR2' });
+
+      expect(result.unsupported).toBe(true);
+      expect(mockDb.markUnsupported).toHaveBeenCalledWith('odd1');
+      expect(mockDriveAPI.downloadPhoto).toHaveBeenCalledTimes(1);
+    });
+
+    test('should mark images sharp cannot decode', async () => {
+      // 2x1 BMP: sharp has no BMP loader
+      const bmp = Buffer.alloc(62);
+      bmp.write('BM', 0, 'latin1');
+      bmp.writeUInt32LE(62, 2);
+      bmp.writeUInt32LE(54, 10);
+      bmp.writeUInt32LE(40, 14);
+      bmp.writeInt32LE(2, 18);
+      bmp.writeInt32LE(1, 22);
+      bmp.writeUInt16LE(1, 26);
+      bmp.writeUInt16LE(24, 28);
+      mockDriveAPI.downloadPhoto.mockImplementation(() => Promise.resolve(require('stream').Readable.from([bmp])));
+
+      const result = await cacheManager.downloadPhoto('bmp1', 3, { filename: 'scan.bmp' });
+
+      expect(result.unsupported).toBe(true);
+      expect(mockDb.markUnsupported).toHaveBeenCalledWith('bmp1');
+      expect(mockDriveAPI.downloadPhoto).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry failed downloads without marking them', async () => {
+      mockDriveAPI.downloadPhoto.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(cacheManager.downloadPhoto('net1', 1, { filename: 'IMG_0001.jpg' })).rejects.toThrow('socket hang up');
+
+      expect(mockDb.markUnsupported).not.toHaveBeenCalled();
+    });
+
+    test('should retry unsupported files when the decoders change', async () => {
+      const settings = { decoder_signature: 'heic-convert:no|vips:none' };
+      mockDb.getSetting = jest.fn(async key => settings[key] || null);
+      mockDb.saveSetting = jest.fn(async (key, value) => { settings[key] = value; });
+      mockDb.clearUnsupported = jest.fn();
+
+      await cacheManager.applyDecoderSettings();
+      await cacheManager.applyDecoderSettings();
+
+      expect(mockDb.clearUnsupported).toHaveBeenCalledTimes(1);
+      expect(cacheManager.decodersChecked).toBe(true);
+    });
+  });
+
+  describe('Video Clips', () => {
+    test('should cache clips as files without processing', async () => {
+      mockDriveAPI.downloadPhoto.mockResolvedValue(require('stream').Readable.from([Buffer.from('clip data')]));
+
+      await cacheManager.downloadVideo({ id: 'clip1', filename: 'VID_1.MOV' });
+
+      const filePath = path.join(tempCachePath, 'clip1.mov');
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('clip data');
+      expect(mockDb.updatePhotoCache).toHaveBeenCalledWith('clip1', filePath, 9, 'video/mp4');
+      expect(mockDb.updatePhotoCacheBlob).not.toHaveBeenCalled();
+    });
+
+    test('should extract the clip appended to a motion photo', async () => {
+      const clip = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypmp42 movie data')]);
+      const xmp = Buffer.from(`<x:xmpmeta><rdf:Description GCamera:MicroVideoOffset="${clip.length}"/></x:xmpmeta>`);
+      const jpeg = await createMockJpegBuffer();
+
+      expect(CacheManager.extractMotionVideo(Buffer.concat([xmp, jpeg, clip]))).toEqual(clip);
+      expect(CacheManager.extractMotionVideo(jpeg)).toBeNull();
+    });
+  });
+
+  describe('Geocoding', () => {
+    const berkeley = { city: 'Berkeley', state: 'California', country: 'United States', countryCode: 'US' };
+    let geocoder;
+
+    beforeEach(() => {
+      geocoder = { reverse: jest.fn().mockResolvedValue(berkeley), getLanguage: () => '' };
+      cacheManager = new CacheManager({ cachePath: tempCachePath, geocoder }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+
+      // geocode_cache table stand-in
+      const cells = new Map();
+      mockDb.getGeocodedLocation = jest.fn(async (cell, language) => cells.get(`${cell}|${language}`) || null);
+      mockDb.saveGeocodedLocation = jest.fn(async (cell, language, components) => { cells.set(`${cell}|${language}`, { components }); });
+      mockDb.updateLocationName = jest.fn();
+      mockDb.updatePlaceName = jest.fn();
+    });
+
+    test('should look up each ~1km cell once, also for concurrent photos', async () => {
+      mockDb.db = { get: jest.fn().mockResolvedValue({ id: 'p1', latitude: 37.8716, longitude: -122.2727, location_name: null }) };
+
+      await Promise.all([cacheManager.reverseGeocodePhoto('p1'), cacheManager.reverseGeocodePhoto('p2')]);
+      await cacheManager.reverseGeocodePhoto('p3');
+
+      expect(geocoder.reverse).toHaveBeenCalledTimes(1);
+      expect(geocoder.reverse).toHaveBeenCalledWith(37.8716, -122.2727);
+      expect(mockDb.saveGeocodedLocation).toHaveBeenCalledWith('37.87,-122.27', '', berkeley);
+      expect(mockDb.updateLocationName).toHaveBeenCalledTimes(3);
+      expect(mockDb.updateLocationName).toHaveBeenCalledWith('p1', 'Berkeley, California, United States', berkeley);
+    });
+
+    test('should name photos in configured places without asking the geocoder', async () => {
+      cacheManager = new CacheManager({
+        cachePath: tempCachePath,
+        geocoder,
+        places: [
+          { name: 'Home', latitude: 37.8716, longitude: -122.2727, radius: 100 },
+          { hide: true, latitude: 37.80, longitude: -122.27, radius: 500 },
+        ],
+      }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+      mockDb.db = { get: jest.fn().mockResolvedValue({ id: 'p1', latitude: 37.8717, longitude: -122.2727, location_name: 'Berkeley' }) };
+      mockDb.getPhotosInAreas = jest.fn().mockResolvedValue([
+        { id: 'p2', latitude: 37.8005, longitude: -122.2701, location_name: null },
+        { id: 'p3', latitude: 37.8716, longitude: -122.2727, location_name: 'Home', location_place: 1 },
+      ]);
+
+      await cacheManager.reverseGeocodePhoto('p1');
+      await cacheManager.applyPlaces();
+
+      expect(geocoder.reverse).not.toHaveBeenCalled();
+      // Replaces the provider's name; hidden places get an empty one; unchanged names aren't rewritten
+      expect(mockDb.updatePlaceName.mock.calls).toEqual([['p1', 'Home'], ['p2', '']]);
+      expect(mockDb.updateLocationName).not.toHaveBeenCalled();
+    });
+
+    test('should clear place names when the places change', async () => {
+      const settings = {};
+      mockDb.getSetting = jest.fn(async key => settings[key] || null);
+      mockDb.saveSetting = jest.fn(async (key, value) => { settings[key] = value; });
+      mockDb.clearPlaceNames = jest.fn();
+      const start = places => {
+        const manager = new CacheManager({ cachePath: tempCachePath, geocoder, places }, mockDb, mockDriveAPI, () => {});
+        manager.stop();
+        return manager.applyPlaceSettings();
+      };
+
+      await start([{ name: 'Home', latitude: 37.8716, longitude: -122.2727 }]);
+      await start([{ name: 'Home', latitude: 37.8716, longitude: -122.2727 }]);
+      expect(mockDb.clearPlaceNames).not.toHaveBeenCalled();
+
+      // Removing a place (or hidden zone) lets the geocoder name its photos again
+      await start([]);
+      expect(mockDb.clearPlaceNames).toHaveBeenCalledTimes(1);
+    });
+
+    test('should render names again when locationFormat changes, and look them up again when the language does', async () => {
+      cacheManager = new CacheManager({ cachePath: tempCachePath, geocoder, locationFormat: '{city} ({country})', homeCountry: 'us' }, mockDb, mockDriveAPI, () => {});
+      cacheManager.stop();
+      const settings = { location_settings: JSON.stringify({ language: '', format: '{city}, {state}, {country}|' }) };
+      mockDb.getSetting = jest.fn(async key => settings[key] || null);
+      mockDb.saveSetting = jest.fn(async (key, value) => { settings[key] = value; });
+      mockDb.getGeocodedPhotos = jest.fn().mockResolvedValue([
+        { id: 'p1', location_name: 'Berkeley, California, United States', location_components: berkeley },
+        { id: 'p2', location_name: 'Paris, Ile-de-France, France', location_components: { city: 'Paris', country: 'France', countryCode: 'FR' } },
+      ]);
+      mockDb.clearGeocodedNames = jest.fn();
+
+      await cacheManager.applyLocationSettings();
+
+      // Home country left out, and the empty "({country})" part with it
+      expect(mockDb.updateLocationName).toHaveBeenCalledWith('p1', 'Berkeley', berkeley);
+      expect(mockDb.updateLocationName).toHaveBeenCalledWith('p2', 'Paris (France)', expect.anything());
+      expect(mockDb.clearGeocodedNames).not.toHaveBeenCalled();
+
+      geocoder.getLanguage = () => 'de';
+      await cacheManager.applyLocationSettings();
+
+      expect(mockDb.clearGeocodedNames).toHaveBeenCalledTimes(1);
+      expect(mockDb.getGeocodedPhotos).toHaveBeenCalledTimes(1);
+    });
+
+    test('should backfill cached photos and stop when the geocoder fails', async () => {
+      mockDb.getPhotosToGeocode = jest.fn().mockResolvedValue([
+        { id: 'sea', latitude: 0, longitude: -150 },
+        { id: 'p1', latitude: 1.3, longitude: 103.85 },
+        { id: 'p2', latitude: 48.85, longitude: 2.35 },
+      ]);
+      geocoder.reverse
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ city: 'Singapore', state: 'Singapore', country: 'Singapore', countryCode: 'SG' })
+        .mockRejectedValueOnce(new Error('offline'));
+
+      await cacheManager.backfillLocations(10);
+
+      expect(mockDb.getPhotosToGeocode).toHaveBeenCalledWith(10);
+      // Nothing nearby: marked so it isn't looked up again
+      expect(mockDb.updateLocationName).toHaveBeenCalledWith('sea', '', null);
+      expect(mockDb.updateLocationName).toHaveBeenCalledWith('p1', 'Singapore', expect.objectContaining({ countryCode: 'SG' }));
+      expect(mockDb.updateLocationName).toHaveBeenCalledTimes(2);
+      expect(cacheManager.isBackfilling).toBe(false);
+    });
+  });
+
   describe('Batch Downloads', () => {
     test('should download multiple photos', async () => {
       const mockJpeg = await createMockJpegBuffer();
@@ -209,6 +517,16 @@ describe('CacheManager', () => {
       expect(cacheManager.consecutiveFailures).toBe(0);
     });
 
+    test('should prefetch the scheduled playlists first', async () => {
+      cacheManager.config.scheduler = { getPrefetchPlaylists: () => ['kids', 'night'] };
+      mockDb.getCacheSizeBytes.mockResolvedValue(0);
+      mockDb.getPhotosToCache.mockResolvedValue([]);
+
+      await cacheManager.tick();
+
+      expect(mockDb.getPhotosToCache).toHaveBeenCalledWith(5, ['kids', 'night']);
+    });
+
     test('should track failures when all downloads fail', async () => {
       mockDriveAPI.downloadPhoto.mockRejectedValue(new Error('Network error'));
       mockDb.getCacheSizeBytes.mockResolvedValue(0);
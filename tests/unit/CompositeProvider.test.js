@@ -0,0 +1,219 @@
+/**
+ * Unit Tests for CompositeProvider
+ * Uses in-memory providers registered through the ProviderFactory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const BaseProvider = require('../../components/providers/BaseProvider');
+const { registerProvider } = require('../../components/providers/ProviderFactory');
+const CompositeProvider = require('../../components/providers/CompositeProvider');
+const PhotoDatabase = require('../../components/PhotoDatabase');
+
+/**
+ * In-memory provider: photos live in config.photos, changes are queued in config.changes.
+ * The composite copies each providerConfig, so tests mutate the nested objects in place.
+ */
+class MemoryProvider extends BaseProvider {
+  async initialize() {}
+
+  setDatabase(db) {
+    this.db = db;
+  }
+
+  async scanFolder(folderId) {
+    return this.config.photos.filter(p => p.parents[0] === folderId);
+  }
+
+  async fullScan() {
+    if (this.config.state.failScan) {
+      throw new Error('offline');
+    }
+    return this.config.photos;
+  }
+
+  async downloadPhoto(photoId) {
+    return Readable.from([`${this.config.label}/${photoId}`]);
+  }
+
+  async getChanges(token) {
+    this.config.seenTokens.push(token);
+    return { ...this.config.changes, nextToken: `${token}+1` };
+  }
+
+  async getStartPageToken() {
+    return 't0';
+  }
+
+  getProviderName() {
+    return this.config.label;
+  }
+}
+
+registerProvider('memory', () => MemoryProvider);
+
+/**
+ * Config of a MemoryProvider source
+ * @param {string} label - Provider name
+ * @param {Array<object>} photos - Photos the source holds
+ * @returns {object} providerConfig
+ */
+function memoryConfig(label, photos = []) {
+  return {
+    label,
+    photos,
+    changes: { photos: [], deletedIds: [] },
+    seenTokens: [],
+    state: { failScan: false },
+  };
+}
+
+describe('CompositeProvider', () => {
+  let settings;
+  let db;
+  let family;
+  let work;
+  let provider;
+
+  beforeEach(async () => {
+    settings = {};
+    db = {
+      getSetting: jest.fn(async (key) => settings[key] || null),
+      saveSetting: jest.fn(async (key, value) => { settings[key] = value; }),
+      deletePhoto: jest.fn(async () => {}),
+      deletePhotosOutsideSources: jest.fn(async () => 0),
+    };
+
+    family = memoryConfig('Family', [{ id: 'p1', name: 'a.jpg', parents: ['root'] }]);
+    work = memoryConfig('Work', [{ id: 'p1', name: 'b.jpg', parents: ['root'] }]);
+
+    provider = new CompositeProvider({
+      sources: [
+        { id: 'family', provider: 'memory', providerConfig: family },
+        { id: 'work', provider: 'memory', providerConfig: work },
+      ],
+    }, () => {});
+    provider.setDatabase(db);
+    await provider.initialize();
+  });
+
+  test('should namespace photo and folder IDs per source', async () => {
+    const photos = await provider.fullScan();
+
+    expect(photos.map(p => p.id)).toEqual(['family:p1', 'work:p1']);
+    expect(photos.map(p => p.parents[0])).toEqual(['family:root', 'work:root']);
+    expect(photos.map(p => p.source)).toEqual(['family', 'work']);
+  });
+
+  test('should route downloads to the owning source', async () => {
+    const stream = await provider.downloadPhoto('work:p1');
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    expect(chunks.join('')).toBe('Work/p1');
+  });
+
+  test('should keep a change token per source', async () => {
+    await provider.getStartPageToken();
+
+    work.changes.photos.push({ id: 'p2', name: 'c.jpg', parents: ['root'] });
+    work.changes.deletedIds.push('p1');
+    const changes = await provider.getChanges('composite');
+
+    expect(family.seenTokens).toEqual(['t0']);
+    expect(work.seenTokens).toEqual(['t0']);
+    expect(changes.photos.map(p => p.id)).toEqual(['work:p2']);
+    expect(changes.deletedIds).toEqual(['work:p1']);
+    expect(settings['changes_token:family']).toBe('t0+1');
+    expect(settings['changes_token:work']).toBe('t0+1');
+  });
+
+  test('should rescan a source whose initial scan failed', async () => {
+    work.state.failScan = true;
+    await provider.fullScan();
+    await provider.getStartPageToken();
+
+    expect(settings['changes_token:work']).toBeUndefined();
+
+    work.state.failScan = false;
+    const changes = await provider.getChanges('composite');
+
+    expect(changes.photos.map(p => p.id)).toEqual(['work:p1']);
+    expect(settings['changes_token:work']).toBe('t0');
+  });
+
+  test('should drop photos of no configured source when starting', () => {
+    expect(db.deletePhotosOutsideSources).toHaveBeenCalledWith(['family', 'work']);
+  });
+
+  test('should give each source its own settings namespace', async () => {
+    const [familyProvider, workProvider] = provider.sources.values();
+
+    await familyProvider.db.saveSetting('snapshot', 'a');
+    await workProvider.db.saveSetting('snapshot', 'b');
+    await workProvider.db.deletePhoto('p1');
+
+    expect(settings).toEqual({ 'snapshot:family': 'a', 'snapshot:work': 'b' });
+    expect(db.deletePhoto).toHaveBeenCalledWith('work:p1');
+  });
+
+  test('should namespace folder weights and root folders', async () => {
+    family.folders = [{ id: 'root', weight: 3 }, { id: 'other' }];
+    const weighted = new CompositeProvider({
+      sources: [{ id: 'family', provider: 'memory', providerConfig: family }],
+    }, () => {});
+
+    expect(weighted.getFolderWeights()).toEqual({ 'family:root': 3 });
+    expect(weighted.namespacePhoto('family', { id: 'p1', rootFolderId: 'root' }).rootFolderId).toBe('family:root');
+  });
+
+  test('should interleave the sources in the slideshow without folder weights', async () => {
+    const dbPath = path.resolve(__dirname, `../temp/composite_${Date.now()}.db`);
+    await fs.promises.mkdir(path.dirname(dbPath), { recursive: true });
+    const photoDb = new PhotoDatabase(dbPath, () => {});
+    await photoDb.initialize();
+
+    try {
+      family.photos.push({ id: 'p2', name: 'c.jpg', parents: ['root'] }, { id: 'p3', name: 'd.jpg', parents: ['root'] });
+      const composite = new CompositeProvider({
+        sources: [
+          { id: 'family', provider: 'memory', providerConfig: family },
+          { id: 'work', provider: 'memory', providerConfig: work },
+        ],
+      }, () => {});
+      composite.setDatabase(photoDb);
+      await composite.initialize();
+      photoDb.setFolderWeights(composite.getFolderWeights());
+
+      const photos = await composite.fullScan();
+      await photoDb.savePhotos(photos);
+      for (const photo of photos) {
+        await photoDb.updatePhotoCache(photo.id, `/path/${photo.id}.jpg`, 1024);
+      }
+
+      const shown = [];
+      for (let i = 0; i < 4; i++) {
+        const photo = await photoDb.getNextPhoto();
+        shown.push(photo.id);
+        await photoDb.markPhotoViewed(photo.id);
+      }
+
+      expect(shown).toEqual(['family:p1', 'work:p1', 'family:p2', 'work:p1']);
+    } finally {
+      await photoDb.close();
+      await fs.promises.unlink(dbPath).catch(() => {});
+    }
+  });
+
+  test('should reject duplicate source IDs', () => {
+    expect(() => new CompositeProvider({
+      sources: [
+        { provider: 'memory', providerConfig: memoryConfig('A') },
+        { provider: 'memory', providerConfig: memoryConfig('B') },
+      ],
+    }, () => {})).toThrow('Duplicate source ID "memory"');
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Unit Tests for DropboxProvider
+ * Runs the provider against a local HTTP stand-in for the Dropbox API
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const DropboxProvider = require('../../components/providers/DropboxProvider');
+
+/**
+ * Minimal Dropbox API stand-in: an in-memory file tree plus a change log.
+ * Cursors are positions in the change log; pages hold at most 2 entries to exercise has_more.
+ */
+function createDropboxStandIn() {
+  const state = {
+    files: new Map(),   // path_lower → entry
+    changes: [],        // entries appended on add/delete
+    requests: [],
+  };
+
+  const fileEntry = (filePath, id, extra = {}) => ({
+    '.tag': 'file',
+    id,
+    name: path.posix.basename(filePath),
+    path_lower: filePath.toLowerCase(),
+    path_display: filePath,
+    client_modified: '2024-01-01T00:00:00Z',
+    ...extra,
+  });
+
+  state.addFile = (filePath, id, extra) => {
+    const entry = fileEntry(filePath, id, extra);
+    state.files.set(entry.path_lower, entry);
+    state.changes.push(entry);
+  };
+
+  state.deletePath = (deletedPath) => {
+    const lower = deletedPath.toLowerCase();
+    for (const key of [...state.files.keys()]) {
+      if (key === lower || key.startsWith(`${lower}/`)) {
+        state.files.delete(key);
+      }
+    }
+    state.changes.push({ '.tag': 'deleted', name: path.posix.basename(deletedPath), path_lower: lower });
+  };
+
+  const listing = (root, recursive) => [...state.files.values()].filter(entry => {
+    if (!entry.path_lower.startsWith(`${root}/`)) {
+      return false;
+    }
+    return recursive || !entry.path_lower.slice(root.length + 1).includes('/');
+  });
+
+  const page = (entries, offset, cursorBase) => {
+    const slice = entries.slice(offset, offset + 2);
+    const hasMore = offset + 2 < entries.length;
+    return {
+      entries: slice,
+      has_more: hasMore,
+      cursor: JSON.stringify({ ...cursorBase, offset: offset + 2 }),
+    };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ url: req.url, headers: req.headers, body });
+      const args = body ? JSON.parse(body) : {};
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      switch (req.url) {
+        case '/2/users/get_current_account':
+          return send(200, { account_id: 'dbid:test' });
+
+        case '/2/files/list_folder': {
+          const entries = listing(args.path.toLowerCase(), args.recursive);
+          return send(200, page(entries, 0, { mode: 'list', path: args.path.toLowerCase(), recursive: args.recursive }));
+        }
+
+        case '/2/files/list_folder/get_latest_cursor':
+          return send(200, {
+            cursor: JSON.stringify({ mode: 'changes', path: args.path.toLowerCase(), recursive: args.recursive, position: state.changes.length }),
+          });
+
+        case '/2/files/list_folder/continue': {
+          const cursor = JSON.parse(args.cursor);
+          if (cursor.mode === 'reset') {
+            return send(409, { error_summary: 'reset/..', error: { '.tag': 'reset' } });
+          }
+          if (cursor.mode === 'list') {
+            const entries = listing(cursor.path, cursor.recursive);
+            return send(200, page(entries, cursor.offset, cursor));
+          }
+          const entries = state.changes.slice(cursor.position)
+            .filter(entry => entry.path_lower.startsWith(`${cursor.path}/`));
+          return send(200, {
+            entries,
+            has_more: false,
+            cursor: JSON.stringify({ ...cursor, position: state.changes.length }),
+          });
+        }
+
+        case '/2/files/download': {
+          const arg = JSON.parse(req.headers['dropbox-api-arg']);
+          res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+          return res.end(`content of ${arg.path}`);
+        }
+
+        default:
+          return send(404, { error_summary: 'not_found' });
+      }
+    });
+  });
+
+  return { server, state };
+}
+
+describe('DropboxProvider', () => {
+  let server;
+  let state;
+  let provider;
+  let tokenPath;
+
+  beforeEach(async () => {
+    ({ server, state } = createDropboxStandIn());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/2`;
+
+    tokenPath = path.resolve(__dirname, `../temp/token_dropbox_${Date.now()}.json`);
+    await fs.promises.mkdir(path.dirname(tokenPath), { recursive: true });
+    await fs.promises.writeFile(tokenPath, JSON.stringify({
+      access_token: 'test-token',
+      refresh_token: 'refresh',
+      expiry_date: Date.now() + 3600000,
+    }));
+
+    state.addFile('/Photos/a.jpg', 'id:a', {
+      media_info: {
+        '.tag': 'metadata',
+        metadata: {
+          dimensions: { width: 4000, height: 3000 },
+          time_taken: '2015-05-31T12:39:50Z',
+          location: { latitude: 51.5, longitude: -0.12 },
+        },
+      },
+    });
+    state.addFile('/Photos/b.png', 'id:b');
+    state.addFile('/Photos/notes.txt', 'id:txt');
+    state.addFile('/Photos/Trip/c.jpg', 'id:c');
+    state.addFile('/Photos/Trip/Day1/d.jpg', 'id:d');
+
+    provider = new DropboxProvider({
+      tokenPath,
+      apiBase: base,
+      contentBase: base,
+      folders: [{ id: '/Photos', depth: -1 }],
+    }, () => {});
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.unlink(tokenPath).catch(() => {});
+  });
+
+  describe('Scanning', () => {
+    test('should authenticate with the bearer token', () => {
+      expect(state.requests[0].headers.authorization).toBe('Bearer test-token');
+    });
+
+    test('should list images recursively across pages', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.id).sort()).toEqual(['id:a', 'id:b', 'id:c', 'id:d']);
+    });
+
+    test('should honour folder depth', async () => {
+      const flat = await provider.scanFolder('/Photos', 0);
+      const oneLevel = await provider.scanFolder('/Photos', 1);
+
+      expect(flat.map(p => p.id).sort()).toEqual(['id:a', 'id:b']);
+      expect(oneLevel.map(p => p.id).sort()).toEqual(['id:a', 'id:b', 'id:c']);
+    });
+
+    test('should map media info onto the standard photo format', async () => {
+      const photos = await provider.scanFolder('/Photos', 0);
+      const photo = photos.find(p => p.id === 'id:a');
+
+      expect(photo).toEqual({
+        id: 'id:a',
+        name: 'a.jpg',
+        parents: ['/Photos'],
+        createdTime: '2024-01-01T00:00:00Z',
+        imageMediaMetadata: {
+          width: 4000,
+          height: 3000,
+          time: '2015-05-31T12:39:50Z',
+          location: { latitude: 51.5, longitude: -0.12 },
+        },
+      });
+    });
+  });
+
+  describe('Downloads', () => {
+    test('should stream file content by ID', async () => {
+      const stream = await provider.downloadPhoto('id:a');
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('content of id:a');
+    });
+  });
+
+  describe('Incremental Sync', () => {
+    let db;
+
+    beforeEach(() => {
+      const settings = {};
+      db = {
+        getSetting: jest.fn(async (key) => settings[key] || null),
+        saveSetting: jest.fn(async (key, value) => { settings[key] = value; }),
+      };
+      provider.setDatabase(db);
+    });
+
+    test('should report additions and deletions since the start cursor', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      state.addFile('/Photos/new.jpg', 'id:new');
+      state.deletePath('/Photos/Trip');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id)).toEqual(['id:new']);
+      expect(changes.deletedIds.sort()).toEqual(['id:c', 'id:d']);
+
+      // Next token continues from the new position
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should resolve deletions from the persisted path index after a restart', async () => {
+      await provider.fullScan();
+      const token = await provider.getStartPageToken();
+
+      provider.pathIndex.clear();
+      state.deletePath('/Photos/a.jpg');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.deletedIds).toEqual(['id:a']);
+    });
+
+    test('should rescan a folder when its cursor is reset', async () => {
+      const token = JSON.stringify({ '/Photos': JSON.stringify({ mode: 'reset' }) });
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(4);
+      expect(JSON.parse(changes.nextToken)['/Photos']).toBeTruthy();
+    });
+  });
+});
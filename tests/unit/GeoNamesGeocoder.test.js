@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for GeoNamesGeocoder
+ * Tests the k-d tree and offline lookups against a tiny GeoNames dataset in a temp directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const KDTree = require('../../components/geocoders/KDTree');
+const GeoNamesGeocoder = require('../../components/geocoders/GeoNamesGeocoder');
+const { createGeocoder } = require('../../components/geocoders/GeocoderFactory');
+
+/**
+ * One row of cities500.txt (19 tab-separated columns)
+ * @param {number} id - GeoNames ID
+ * @param {string} name - Place name
+ * @param {string} lat - Latitude
+ * @param {string} lon - Longitude
+ * @param {string} featureCode - e.g. PPL or PPLC
+ * @param {string} country - ISO country code
+ * @param {string} admin1 - First-level division code
+ * @returns {string} Row
+ */
+function cityRow(id, name, lat, lon, featureCode, country, admin1) {
+  const columns = new Array(19).fill('');
+  Object.assign(columns, { 0: id, 1: name, 2: name, 4: lat, 5: lon, 6: 'P', 7: featureCode, 8: country, 10: admin1 });
+  return columns.join('\t');
+}
+
+describe('GeoNamesGeocoder', () => {
+  let dataPath;
+
+  beforeEach(async () => {
+    dataPath = path.resolve(__dirname, `../temp/geonames_${Date.now()}`);
+    await fs.promises.mkdir(dataPath, { recursive: true });
+
+    await fs.promises.writeFile(path.join(dataPath, 'cities500.txt'), [
+      cityRow(5391959, 'San Francisco', '37.77493', '-122.41942', 'PPLA2', 'US', 'CA'),
+      cityRow(5327684, 'Berkeley', '37.87159', '-122.27275', 'PPL', 'US', 'CA'),
+      cityRow(5128581, 'New York City', '40.71427', '-74.00597', 'PPL', 'US', 'NY'),
+      cityRow(5125771, 'Manhattan', '40.78343', '-73.96625', 'PPLX', 'US', 'NY'),
+      cityRow(1880252, 'Singapore', '1.28967', '103.85007', 'PPLC', 'SG', '00'),
+      cityRow(2193733, 'Auckland', '-36.84853', '174.76349', 'PPLA', 'NZ', 'E7'),
+      cityRow(4033936, 'Levuka', '-17.68333', '178.83333', 'PPL', 'FJ', '00'),
+    ].join('\n') + '\n');
+
+    await fs.promises.writeFile(path.join(dataPath, 'admin1CodesASCII.txt'), [
+      'US.CA\tCalifornia\tCalifornia\t5332921',
+      'US.NY\tNew York\tNew York\t5128638',
+      'SG.00\tSingapore\tSingapore\t1880251',
+      'NZ.E7\tAuckland\tAuckland\t2193734',
+    ].join('\n') + '\n');
+
+    await fs.promises.writeFile(path.join(dataPath, 'countryInfo.txt'), [
+      '#ISO\tISO3\tISO-Numeric\tfips\tCountry\tCapital',
+      'US\tUSA\t840\tUS\tUnited States\tWashington',
+      'SG\tSGP\t702\tSN\tSingapore\tSingapore',
+      'NZ\tNZL\t554\tNZ\tNew Zealand\tWellington',
+      'FJ\tFJI\t242\tFJ\tFiji\tSuva',
+    ].join('\n') + '\n');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dataPath, { recursive: true, force: true });
+  });
+
+  test('should find the same nearest point as a brute-force search', () => {
+    // Deterministic pseudo-random points (LCG)
+    let seed = 42;
+    const random = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+    const latitudes = [];
+    const longitudes = [];
+    for (let i = 0; i < 500; i++) {
+      latitudes.push(random() * 180 - 90);
+      longitudes.push(random() * 360 - 180);
+    }
+
+    const tree = new KDTree(latitudes, longitudes);
+
+    for (let q = 0; q < 50; q++) {
+      const lat = random() * 180 - 90;
+      const lon = random() * 360 - 180;
+      const query = KDTree.toVector(lat, lon);
+
+      let expected = -1;
+      let bestDistance = Infinity;
+      latitudes.forEach((pointLat, i) => {
+        const point = KDTree.toVector(pointLat, longitudes[i]);
+        const distance = point.reduce((sum, value, axis) => sum + (value - query[axis]) ** 2, 0);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          expected = i;
+        }
+      });
+
+      expect(tree.nearest(lat, lon).index).toBe(expected);
+    }
+  });
+
+  test('should resolve positions to the nearest place', async () => {
+    const geocoder = new GeoNamesGeocoder({ dataPath }, () => {});
+    await geocoder.initialize();
+
+    expect(await geocoder.reverse(37.8, -122.4)).toEqual({
+      city: 'San Francisco', state: 'California', country: 'United States', countryCode: 'US',
+    });
+    // Neighbourhoods (PPLX) are skipped
+    expect((await geocoder.reverse(40.78, -73.97)).city).toBe('New York City');
+    // Missing states are left out
+    expect((await geocoder.reverse(-17.7, 178.9)).state).toBeUndefined();
+    // Mid-Pacific: nothing within maxDistanceKm
+    expect(await geocoder.reverse(0, -150)).toBeNull();
+  });
+
+  test('should translate country names into the configured language', async () => {
+    const geocoder = new GeoNamesGeocoder({ dataPath, language: 'de' }, () => {});
+    await geocoder.initialize();
+
+    expect(geocoder.getLanguage()).toBe('de');
+    expect((await geocoder.reverse(-36.85, 174.76)).country).toBe('Neuseeland');
+  });
+
+  test('should fail to initialize without the dataset', async () => {
+    await fs.promises.rm(path.join(dataPath, 'cities500.txt'));
+    const geocoder = new GeoNamesGeocoder({ dataPath }, () => {});
+
+    await expect(geocoder.initialize()).rejects.toThrow(/missing cities500\.txt.*download_geonames\.js/);
+  });
+
+  describe('GeocoderFactory', () => {
+    test('should create the configured geocoder', () => {
+      expect(createGeocoder(undefined, () => {}).getName()).toBe('nominatim');
+      expect(createGeocoder('geonames', () => {}).getName()).toBe('geonames');
+      expect(createGeocoder({ type: 'geonames', dataPath }, () => {}).dataPath).toBe(dataPath);
+    });
+
+    test('should return null when geocoding is disabled, and reject unknown geocoders', () => {
+      expect(createGeocoder('none', () => {})).toBeNull();
+      expect(createGeocoder(false, () => {})).toBeNull();
+      expect(() => createGeocoder('google', () => {})).toThrow(/Unknown geocoder: "google"/);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit Tests for ImageConverter
+ */
+
+const sharp = require('sharp');
+const ImageConverter = require('../../components/ImageConverter');
+const { UnsupportedFormatError } = require('../../Errors');
+
+/**
+ * Build a little-endian TIFF with a JPEG preview in IFD0 and sensor data in a SubIFD
+ * @param {Buffer} preview - Embedded preview
+ * @param {Buffer} sensorData - Strip of the SubIFD (compression 7)
+ * @param {number} orientation - EXIF orientation of IFD0 (omitted when 0)
+ * @returns {Buffer} RAW-like file
+ */
+function buildRaw(preview, sensorData, orientation = 0) {
+  const ifd0 = 8;
+  const ifd0Entries = orientation ? 4 : 3;
+  const ifd1 = ifd0 + 2 + ifd0Entries * 12 + 4;
+  const previewAt = ifd1 + 2 + 3 * 12 + 4;
+  const sensorAt = previewAt + preview.length;
+
+  const header = Buffer.alloc(previewAt);
+  header.write('II', 0, 'latin1');
+  header.writeUInt16LE(42, 2);
+  header.writeUInt32LE(ifd0, 4);
+
+  const writeIfd = (offset, entries) => {
+    header.writeUInt16LE(entries.length, offset);
+    entries.forEach(([tag, type, value], i) => {
+      const entry = offset + 2 + i * 12;
+      header.writeUInt16LE(tag, entry);
+      header.writeUInt16LE(type, entry + 2);
+      header.writeUInt32LE(1, entry + 4);
+      if (type === 3) {
+        header.writeUInt16LE(value, entry + 8);
+      } else {
+        header.writeUInt32LE(value, entry + 8);
+      }
+    });
+  };
+
+  writeIfd(ifd0, [
+    [0x0112, 3, orientation], [0x014A, 4, ifd1], [0x0201, 4, previewAt], [0x0202, 4, preview.length],
+  ].slice(4 - ifd0Entries));
+  writeIfd(ifd1, [[0x0103, 3, 7], [0x0111, 4, sensorAt], [0x0117, 4, sensorData.length]]);
+
+  return Buffer.concat([header, preview, sensorData]);
+}
+
+describe('ImageConverter', () => {
+  let jpeg;
+
+  beforeAll(async () => {
+    jpeg = await sharp({
+      create: { width: 64, height: 48, channels: 3, background: { r: 0, g: 128, b: 255 } },
+    }).jpeg().toBuffer();
+  });
+
+  test('should detect formats by contents, MIME type and extension', () => {
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(16)]);
+
+    expect(ImageConverter.detectFormat(heic, { filename: 'IMG_0001.jpg' })).toBe('heif');
+    expect(ImageConverter.detectFormat(Buffer.alloc(16), { filename: 'IMG_0001.HEIC' })).toBe('heif');
+    expect(ImageConverter.detectFormat(Buffer.alloc(16), { mimeType: 'image/x-canon-cr2' })).toBe('raw');
+    expect(ImageConverter.detectFormat(Buffer.alloc(16), { filename: 'DSC_0001.NEF' })).toBe('raw');
+    // Providers serving JPEG renditions of HEIC originals (e.g. Immich) need no conversion
+    expect(ImageConverter.detectFormat(jpeg, { filename: 'IMG_0001.HEIC' })).toBe('image');
+  });
+
+  test('should use the embedded preview of RAW files, never the sensor data', async () => {
+    // Lossless JPEG (SOF3), as used for CR2/DNG sensor data: larger, but not displayable
+    const sensorData = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xC3, 0, 11]), Buffer.alloc(jpeg.length * 2)]);
+    const raw = buildRaw(jpeg, sensorData);
+
+    const preview = await ImageConverter.toDecodable(raw, { filename: 'IMG_0001.CR2' }, null);
+
+    expect(preview).toEqual(jpeg);
+    expect((await sharp(preview).metadata()).width).toBe(64);
+  });
+
+  test('should give RAW previews the orientation of the RAW file', async () => {
+    const raw = buildRaw(jpeg, Buffer.alloc(8), 6);
+
+    const preview = await ImageConverter.toDecodable(raw, { filename: 'IMG_0001.CR2' }, null);
+    const metadata = await sharp(preview).metadata();
+    const upright = await sharp(await sharp(preview).rotate().toBuffer()).metadata();
+
+    expect(metadata.orientation).toBe(6);
+    expect([upright.width, upright.height]).toEqual([48, 64]);
+  });
+
+  test('should reject RAW files without a usable preview when sharp is missing', async () => {
+    const raw = buildRaw(Buffer.from('not a jpeg'), Buffer.alloc(8));
+
+    expect(ImageConverter.extractRawPreview(raw)).toBeNull();
+    await expect(ImageConverter.toDecodable(raw, { filename: 'IMG_0001.DNG' }, null))
+      .rejects.toBeInstanceOf(UnsupportedFormatError);
+    // sharp may still decode the TIFF data of a DNG
+    await expect(ImageConverter.toDecodable(raw, { filename: 'IMG_0001.DNG' }, async () => {})).resolves.toBe(raw);
+    await expect(ImageConverter.toDecodable(raw, { filename: 'IMG_0001.DNG' }, buffer => sharp(buffer).toBuffer()))
+      .rejects.toBeInstanceOf(UnsupportedFormatError);
+  });
+
+  test('should pass other images through unchanged', async () => {
+    expect(await ImageConverter.toDecodable(jpeg, { filename: 'photo.jpg' }, async () => {})).toBe(jpeg);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit Tests for ImmichProvider
+ * Runs the provider against a local HTTP stand-in for the Immich REST API
+ */
+
+const http = require('http');
+const ImmichProvider = require('../../components/providers/ImmichProvider');
+
+const API_KEY = 'test-api-key';
+
+/**
+ * Minimal Immich stand-in serving /users/me, /albums, /albums/:id and asset thumbnails
+ */
+function createImmichStandIn() {
+  const state = {
+    albums: new Map(),  // album id → { albumName, updatedAt, assets }
+    requests: [],
+  };
+
+  const json = (res, body) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    state.requests.push({ url: req.url, headers: req.headers });
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.headers['x-api-key'] !== API_KEY) {
+      res.writeHead(401);
+      return res.end();
+    }
+
+    if (url.pathname === '/api/users/me') {
+      return json(res, { email: 'alice@example.com' });
+    }
+
+    if (url.pathname === '/api/albums') {
+      return json(res, [...state.albums].map(([id, album]) => ({
+        id,
+        albumName: album.albumName,
+        updatedAt: album.updatedAt,
+        assetCount: album.assets.length,
+      })));
+    }
+
+    const albumMatch = url.pathname.match(/^\/api\/albums\/([^/]+)$/);
+    if (albumMatch && state.albums.has(albumMatch[1])) {
+      return json(res, { id: albumMatch[1], ...state.albums.get(albumMatch[1]) });
+    }
+
+    const thumbnailMatch = url.pathname.match(/^\/api\/assets\/([^/]+)\/thumbnail$/);
+    if (thumbnailMatch) {
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      return res.end(`${url.searchParams.get('size')} of ${thumbnailMatch[1]}`);
+    }
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  return { server, state };
+}
+
+/**
+ * Asset as listed in an album
+ * @param {string} id - Asset ID
+ * @param {object} overrides - Fields to replace
+ * @returns {object} Immich asset
+ */
+function asset(id, overrides = {}) {
+  return {
+    id,
+    type: 'IMAGE',
+    originalFileName: `${id}.jpg`,
+    fileCreatedAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    isTrashed: false,
+    exifInfo: {},
+    ...overrides,
+  };
+}
+
+describe('ImmichProvider', () => {
+  let server;
+  let state;
+  let provider;
+
+  beforeEach(async () => {
+    ({ server, state } = createImmichStandIn());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    state.albums.set('album-1', {
+      albumName: 'Family',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      assets: [
+        asset('a', {
+          exifInfo: {
+            exifImageWidth: 4000,
+            exifImageHeight: 3000,
+            orientation: '6',
+            dateTimeOriginal: '2015-05-31T12:39:50.000Z',
+            latitude: 48.8584,
+            longitude: 2.2945,
+            city: 'Paris',
+            state: 'Île-de-France',
+            country: 'France',
+          },
+        }),
+        asset('b'),
+        asset('clip', { type: 'VIDEO' }),
+      ],
+    });
+    state.albums.set('album-2', {
+      albumName: 'Trips',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      assets: [asset('b'), asset('c')],
+    });
+
+    provider = new ImmichProvider({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      apiKey: API_KEY,
+      albums: ['album-1', { id: 'album-2' }],
+    }, () => {});
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Scanning', () => {
+    test('should authenticate with the API key', () => {
+      expect(state.requests[0].url).toBe('/api/users/me');
+      expect(state.requests[0].headers['x-api-key']).toBe(API_KEY);
+    });
+
+    test('should list images from all albums without duplicates', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.id).sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should map server EXIF including the resolved place name', async () => {
+      const photos = await provider.scanFolder('album-1');
+      const photo = photos.find(p => p.id === 'a');
+
+      expect(photo.parents).toEqual(['album-1']);
+      expect(photo.imageMediaMetadata).toEqual({
+        width: 3000,
+        height: 4000,
+        time: '2015-05-31T12:39:50.000Z',
+        location: { latitude: 48.8584, longitude: 2.2945 },
+        locationName: 'Paris, Île-de-France, France',
+      });
+    });
+  });
+
+  describe('Downloads', () => {
+    /**
+     * Read a download stream to the end
+     * @param {object} stream - Readable stream
+     * @returns {Promise<string>} Contents
+     */
+    async function read(stream) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString();
+    }
+
+    test('should download the preview rendition', async () => {
+      expect(await read(await provider.downloadPhoto('a'))).toBe('preview of a');
+    });
+
+    test('should use the small thumbnail for small displays', async () => {
+      const small = new ImmichProvider({ ...provider.config, showWidth: 200, showHeight: 200 }, () => {});
+
+      expect(await read(await small.downloadPhoto('a'))).toBe('thumbnail of a');
+    });
+  });
+
+  describe('Incremental Sync', () => {
+    beforeEach(() => {
+      const settings = {};
+      provider.setDatabase({
+        getSetting: jest.fn(async (key) => settings[key] || null),
+        saveSetting: jest.fn(async (key, value) => { settings[key] = value; }),
+      });
+    });
+
+    test('should detect added, modified and removed assets', async () => {
+      const token = await provider.getStartPageToken();
+
+      const album = state.albums.get('album-2');
+      album.assets = [asset('b', { updatedAt: '2024-02-01T00:00:00.000Z' }), asset('d')];
+      album.updatedAt = '2024-02-01T00:00:00.000Z';
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.id).sort()).toEqual(['b', 'd']);
+      expect(changes.deletedIds).toEqual(['c']);
+    });
+
+    test('should not re-read albums that are unchanged', async () => {
+      const token = await provider.getStartPageToken();
+      state.requests = [];
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(0);
+      expect(changes.deletedIds).toHaveLength(0);
+      expect(state.requests.map(r => r.url)).toEqual(['/api/albums']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for LocalFileProvider
+ * Tests folder scanning and snapshot-based incremental sync against a temp directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const LocalFileProvider = require('../../components/providers/LocalFileProvider');
+
+/**
+ * Write a small JPEG with EXIF date and GPS tags
+ * @param {string} filePath - Where to write it
+ */
+async function writeJpeg(filePath) {
+  await sharp({
+    create: { width: 40, height: 20, channels: 3, background: { r: 0, g: 0, b: 255 } },
+  })
+    .jpeg()
+    .withExif({
+      IFD2: { DateTimeOriginal: '2015:05:31 12:39:50' },
+      IFD3: {
+        GPSLatitudeRef: 'N',
+        GPSLatitude: '51/1 30/1 0/1',
+        GPSLongitudeRef: 'W',
+        GPSLongitude: '0/1 7/1 0/1',
+      },
+    })
+    .toFile(filePath);
+}
+
+/**
+ * Minimal in-memory settings store standing in for PhotoDatabase
+ * @returns {object} Mock database
+ */
+function createMockDb() {
+  const settings = {};
+  return {
+    getSetting: jest.fn(async (key) => settings[key] || null),
+    saveSetting: jest.fn(async (key, value) => { settings[key] = value; }),
+  };
+}
+
+describe('LocalFileProvider', () => {
+  let rootPath;
+  let provider;
+
+  beforeEach(async () => {
+    rootPath = path.resolve(__dirname, `../temp/local_${Date.now()}`);
+    await fs.promises.mkdir(path.join(rootPath, 'album', 'nested'), { recursive: true });
+
+    await writeJpeg(path.join(rootPath, 'top.jpg'));
+    await writeJpeg(path.join(rootPath, 'album', 'a.jpg'));
+    await writeJpeg(path.join(rootPath, 'album', 'nested', 'b.jpg'));
+    await fs.promises.writeFile(path.join(rootPath, 'notes.txt'), 'not a photo');
+
+    provider = new LocalFileProvider({ folders: [{ id: rootPath, depth: -1 }] }, () => {});
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(rootPath, { recursive: true, force: true });
+  });
+
+  describe('Scanning', () => {
+    test('should scan recursively and skip non-image files', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.name).sort()).toEqual(['a.jpg', 'b.jpg', 'top.jpg']);
+    });
+
+    test('should honour folder depth', async () => {
+      const photos = await provider.scanFolder(rootPath, 1);
+
+      expect(photos.map(p => p.name).sort()).toEqual(['a.jpg', 'top.jpg']);
+    });
+
+    test('should return photos in the standard format with EXIF data', async () => {
+      const [photo] = await provider.scanFolder(rootPath, 0);
+
+      expect(photo.parents).toEqual([rootPath]);
+      expect(photo.imageMediaMetadata.time).toBe('2015:05:31 12:39:50');
+      expect(photo.imageMediaMetadata.location.latitude).toBeCloseTo(51.5);
+      expect(photo.imageMediaMetadata.location.longitude).toBeCloseTo(-0.1167, 3);
+    });
+
+    test('should fail when a configured folder is missing', async () => {
+      const missing = new LocalFileProvider({ folders: [{ id: path.join(rootPath, 'gone') }] }, () => {});
+
+      await expect(missing.initialize()).rejects.toThrow();
+    });
+  });
+
+  describe('Downloads', () => {
+    test('should stream a scanned photo', async () => {
+      const [photo] = await provider.scanFolder(rootPath, 0);
+      const stream = await provider.downloadPhoto(photo.id);
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).length).toBeGreaterThan(0);
+    });
+
+    test('should refuse paths outside configured folders', async () => {
+      const outsideId = LocalFileProvider.pathToId(path.resolve(__dirname, 'CacheManager.test.js'));
+
+      await expect(provider.downloadPhoto(outsideId)).rejects.toThrow('outside the configured folders');
+    });
+
+    test('should refuse paths that climb out of a configured folder', async () => {
+      const climbingId = LocalFileProvider.pathToId(`${rootPath}${path.sep}..${path.sep}..${path.sep}CacheManager.test.js`);
+
+      await expect(provider.downloadPhoto(climbingId)).rejects.toThrow('outside the configured folders');
+    });
+  });
+
+  describe('Incremental Sync', () => {
+    test('should detect added, changed and deleted files', async () => {
+      const db = createMockDb();
+      provider.setDatabase(db);
+
+      const token = await provider.getStartPageToken();
+      expect(token).toBeTruthy();
+
+      await writeJpeg(path.join(rootPath, 'album', 'new.jpg'));
+      await fs.promises.unlink(path.join(rootPath, 'top.jpg'));
+      const changedPath = path.join(rootPath, 'album', 'a.jpg');
+      const later = new Date(Date.now() + 60000);
+      await fs.promises.utimes(changedPath, later, later);
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.name).sort()).toEqual(['a.jpg', 'new.jpg']);
+      expect(changes.deletedIds).toEqual([LocalFileProvider.pathToId(path.join(rootPath, 'top.jpg'))]);
+      expect(changes.nextToken).toBeTruthy();
+
+      // A second sync with no changes reports nothing
+      const again = await provider.getChanges(changes.nextToken);
+      expect(again.photos).toHaveLength(0);
+      expect(again.deletedIds).toHaveLength(0);
+    });
+
+    test('should not report deletions when the folder is unmounted', async () => {
+      const db = createMockDb();
+      provider.setDatabase(db);
+      const token = await provider.getStartPageToken();
+
+      await fs.promises.rm(rootPath, { recursive: true, force: true });
+
+      await expect(provider.getChanges(token)).rejects.toThrow();
+    });
+  });
+});
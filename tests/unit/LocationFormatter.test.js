@@ -0,0 +1,32 @@
+/**
+ * Unit Tests for LocationFormatter
+ */
+
+const LocationFormatter = require('../../components/geocoders/LocationFormatter');
+
+describe('LocationFormatter', () => {
+  const berkeley = { city: 'Berkeley', state: 'California', country: 'United States', countryCode: 'US' };
+
+  test('should render "City, State, Country" by default, dropping empty and repeated parts', () => {
+    const formatter = new LocationFormatter();
+
+    expect(formatter.render(berkeley)).toBe('Berkeley, California, United States');
+    expect(formatter.render({ city: 'Levuka', country: 'Fiji' })).toBe('Levuka, Fiji');
+    expect(formatter.render({ state: 'Alaska', country: 'United States' })).toBe('Alaska, United States');
+    expect(formatter.render({ city: 'Singapore', state: 'Singapore', country: 'Singapore' })).toBe('Singapore');
+    expect(formatter.render({})).toBeNull();
+    expect(formatter.render(null)).toBeNull();
+  });
+
+  test('should leave out the home country, with the brackets around it', () => {
+    const formatter = new LocationFormatter({ format: '📍 {city} ({country})', homeCountry: 'us' });
+
+    expect(formatter.render(berkeley)).toBe('📍 Berkeley');
+    expect(formatter.render({ city: 'Paris', country: 'France', countryCode: 'FR' })).toBe('📍 Paris (France)');
+    expect(formatter.getSignature()).toBe('📍 {city} ({country})|US');
+  });
+
+  test('should reject templates without components', () => {
+    expect(() => new LocationFormatter({ format: 'Somewhere' })).toThrow('Invalid locationFormat');
+  });
+});
@@ -87,6 +87,15 @@ describe('PhotoDatabase', () => {
       expect(count).toBe(1); // Still only one photo
     });
 
+    test('should keep a provider-supplied location name across rescans', async () => {
+      const named = { ...mockPhoto, imageMediaMetadata: { ...mockPhoto.imageMediaMetadata, locationName: 'Paris, France' } };
+      await db.savePhoto(named);
+      await db.savePhoto(mockPhoto);
+
+      const row = await db.query('SELECT location_name FROM photos WHERE id = ?', [mockPhoto.id]);
+      expect(row[0].location_name).toBe('Paris, France');
+    });
+
     test('should save multiple photos', async () => {
       const photos = [
         { ...mockPhoto, id: 'test1' },
@@ -128,6 +137,26 @@ describe('PhotoDatabase', () => {
       expect(cachedCount).toBe(1);
     });
 
+    test('should get the cached image for serving', async () => {
+      await db.updatePhotoCacheBlob('cached123', Buffer.from('jpeg'), 'image/jpeg');
+
+      const cached = await db.getCachedPhoto('cached123');
+      expect(cached.cached_data.toString()).toBe('jpeg');
+      expect(cached.cached_mime_type).toBe('image/jpeg');
+      expect(cached.cached_at).toBeGreaterThan(0);
+      expect(await db.getCachedPhoto('missing')).toBeNull();
+    });
+
+    test('should find entries cached in another format', async () => {
+      await db.savePhoto({ id: 'clip', name: 'clip.mp4', parents: ['folder123'], mimeType: 'video/mp4' });
+      await db.updatePhotoCache('clip', '/path/to/clip.mp4', 1024, 'video/mp4');
+      // Legacy file entries have no MIME type
+      await db.updatePhotoCache('cached123', '/path/to/cache.jpg', 1024);
+
+      expect((await db.getPhotosToConvert('image/webp', 10)).map(p => p.id)).toEqual(['cached123']);
+      expect(await db.getPhotosToConvert('image/jpeg', 10)).toEqual([]);
+    });
+
     test('should clear photo cache', async () => {
       await db.updatePhotoCache('cached123', '/path/to/cache.jpg', 1024000);
       await db.clearPhotoCache('cached123');
@@ -191,6 +220,51 @@ describe('PhotoDatabase', () => {
       expect(nextPhoto).toBeDefined();
     });
 
+    test('should interleave photos from several sources', async () => {
+      const sourcePhotos = [
+        { id: 'big:1', source: 'big' },
+        { id: 'big:2', source: 'big' },
+        { id: 'big:3', source: 'big' },
+        { id: 'small:1', source: 'small' },
+      ];
+      await db.savePhotos(sourcePhotos.map(p => ({ ...p, name: `${p.id}.jpg`, parents: [`${p.source}:root`] })));
+      for (const p of sourcePhotos) {
+        await db.updatePhotoCache(p.id, `/path/${p.id}.jpg`, 1024);
+      }
+      await db.deletePhoto('display1');
+      await db.deletePhoto('display2');
+
+      const shown = [];
+      for (let i = 0; i < 3; i++) {
+        const photo = await db.getNextPhoto();
+        shown.push(photo.id);
+        await db.markPhotoViewed(photo.id);
+      }
+
+      expect(shown).toEqual(['big:1', 'small:1', 'big:2']);
+    });
+
+    test('should delete photos saved before multi-provider mode', async () => {
+      await db.savePhotos([
+        { id: 'family:p1', name: 'a.jpg', parents: ['family:root'], source: 'family' },
+        { id: 'old:p1', name: 'b.jpg', parents: ['old:root'], source: 'old' },
+      ]);
+
+      // display1 and display2 have no source, old:p1 belongs to a removed one
+      expect(await db.deletePhotosOutsideSources(['family'])).toBe(3);
+
+      const rows = await db.query('SELECT id FROM photos');
+      expect(rows).toEqual([{ id: 'family:p1' }]);
+    });
+
+    test('should skip photos that are already on screen', async () => {
+      const first = await db.getNextPhoto();
+      const second = await db.getNextPhoto(null, [first.id]);
+
+      expect(second).not.toBeNull();
+      expect(second.id).not.toBe(first.id);
+    });
+
     test('should return null when no cached photos', async () => {
       await db.clearPhotoCache('display1');
       await db.clearPhotoCache('display2');
@@ -222,6 +296,105 @@ describe('PhotoDatabase', () => {
     });
   });
 
+  describe('Geocode Cache', () => {
+    test('should keep results per cell and language, including empty ones', async () => {
+      const berkeley = { city: 'Berkeley', state: 'California', country: 'United States', countryCode: 'US' };
+      await db.saveGeocodedLocation('37.87,-122.27', '', berkeley);
+      await db.saveGeocodedLocation('0.00,-150.00', '', null);
+
+      expect((await db.getGeocodedLocation('37.87,-122.27', '')).components).toEqual(berkeley);
+      expect(await db.getGeocodedLocation('0.00,-150.00', '')).toMatchObject({ components: null });
+      expect(await db.getGeocodedLocation('37.87,-122.27', 'de')).toBeNull();
+    });
+
+    test('should list cached photos still missing a place name', async () => {
+      const located = { parents: ['f'], createdTime: '2024-01-01T00:00:00Z', imageMediaMetadata: { location: { latitude: 37.87, longitude: -122.27 } } };
+      await db.savePhotos([
+        { ...located, id: 'unnamed', name: 'a.jpg' },
+        { ...located, id: 'named', name: 'b.jpg' },
+        { ...located, id: 'uncached', name: 'c.jpg' },
+        { id: 'nogps', name: 'd.jpg', parents: ['f'], createdTime: '2024-01-01T00:00:00Z' },
+      ]);
+      for (const id of ['unnamed', 'named', 'nogps']) {
+        await db.updatePhotoCacheBlob(id, Buffer.from('jpeg'));
+      }
+      await db.updateLocationName('named', 'Berkeley, California, United States');
+
+      expect(await db.getPhotosToGeocode(10)).toEqual([{ id: 'unnamed', latitude: 37.87, longitude: -122.27, location_name: null, location_place: 0 }]);
+
+      // Nothing nearby ("") counts as named
+      await db.updateLocationName('unnamed', '');
+      expect(await db.getPhotosToGeocode(10)).toEqual([]);
+    });
+
+    test('should keep address components to render names again', async () => {
+      const berkeley = { city: 'Berkeley', country: 'United States' };
+      await db.savePhotos([
+        { id: 'geocoded', name: 'a.jpg', parents: ['f'] },
+        { id: 'place', name: 'b.jpg', parents: ['f'] },
+      ]);
+      await db.updateLocationName('geocoded', 'Berkeley, United States', berkeley);
+      await db.updatePlaceName('place', 'Home');
+
+      expect(await db.getGeocodedPhotos()).toEqual([
+        { id: 'geocoded', location_name: 'Berkeley, United States', location_components: berkeley },
+      ]);
+
+      await db.clearGeocodedNames();
+      const rows = await db.query('SELECT id, location_name FROM photos ORDER BY id');
+      expect(rows).toEqual([{ id: 'geocoded', location_name: null }, { id: 'place', location_name: 'Home' }]);
+    });
+
+    test('should clear only the names given by places', async () => {
+      await db.savePhotos([
+        { id: 'geocoded', name: 'a.jpg', parents: ['f'] },
+        { id: 'home', name: 'b.jpg', parents: ['f'] },
+        { id: 'hidden', name: 'c.jpg', parents: ['f'] },
+      ]);
+      await db.updateLocationName('geocoded', '');
+      await db.updatePlaceName('home', 'Home');
+      await db.updatePlaceName('hidden', '');
+
+      await db.clearPlaceNames();
+
+      const rows = await db.query('SELECT id, location_name, location_place FROM photos ORDER BY id');
+      expect(rows).toEqual([
+        { id: 'geocoded', location_name: '', location_place: 0 },
+        { id: 'hidden', location_name: null, location_place: 0 },
+        { id: 'home', location_name: null, location_place: 0 },
+      ]);
+    });
+
+    test('should give photos their provider name back when the places change', async () => {
+      const location = { latitude: 37.80, longitude: -122.27 };
+      await db.savePhotos([
+        { id: 'server', name: 'a.jpg', parents: ['f'], imageMediaMetadata: { location, locationName: 'Oakland, California' } },
+      ]);
+      await db.updatePlaceName('server', 'Home');
+
+      // Incremental changes without a name keep the one the provider gave earlier
+      await db.savePhotos([{ id: 'server', name: 'a.jpg', parents: ['f'], imageMediaMetadata: { location } }]);
+      await db.clearPlaceNames();
+
+      const row = await db.query('SELECT location_name, location_place FROM photos WHERE id = ?', ['server']);
+      expect(row).toEqual([{ location_name: 'Oakland, California', location_place: 0 }]);
+      expect(await db.getPhotosToGeocode(10)).toEqual([]);
+    });
+
+    test('should find photos within place bounds', async () => {
+      const at = (id, latitude, longitude) => ({
+        id, name: `${id}.jpg`, parents: ['f'], createdTime: '2024-01-01T00:00:00Z',
+        imageMediaMetadata: { location: { latitude, longitude } },
+      });
+      await db.savePhotos([at('home', 39.7817, -89.6501), at('away', 40.1, -89.6501), { id: 'nogps', name: 'x.jpg', parents: ['f'] }]);
+
+      const photos = await db.getPhotosInAreas([{ south: 39.78, north: 39.79, west: -89.66, east: -89.64 }]);
+
+      expect(photos.map(p => p.id)).toEqual(['home']);
+      expect(await db.getPhotosInAreas([])).toEqual([]);
+    });
+  });
+
   describe('Eviction Operations', () => {
     beforeEach(async () => {
       const photos = [];
@@ -262,4 +435,373 @@ describe('PhotoDatabase', () => {
       expect(ids).not.toContain('evict6');
     });
   });
+
+  describe('On This Day', () => {
+    const now = new Date(2025, 4, 31, 9, 0, 0);  // May 31, 2025 (local time)
+
+    beforeEach(async () => {
+      const photos = [
+        { id: 'exact', imageMediaMetadata: { time: '2019:05:31 12:39:50' } },
+        { id: 'nextDay', createdTime: '2020-06-01T10:00:00' },
+        { id: 'thisYear', createdTime: '2025-05-30T10:00:00' },
+        { id: 'other', createdTime: '2021-01-15T10:00:00' },
+      ];
+      await db.savePhotos(photos.map(p => ({ ...p, name: `${p.id}.jpg`, parents: ['folder'] })));
+      for (const p of photos) {
+        await db.updatePhotoCache(p.id, `/path/${p.id}.jpg`, 1024);
+      }
+    });
+
+    test('should store the local month/day of the creation time', async () => {
+      const rows = await db.query("SELECT creation_month_day FROM photos WHERE id = 'exact'");
+      expect(rows[0].creation_month_day).toBe(531);
+    });
+
+    test('should match today in previous years', async () => {
+      db.onThisDayMinPhotos = 1;
+
+      const photo = await db.getOnThisDayPhoto(now);
+
+      expect(photo.id).toBe('exact');
+      expect(photo.on_this_day).toEqual({ years: 6, exactDay: true });
+    });
+
+    test('should widen the match with a day window but skip this year', async () => {
+      db.onThisDayWindow = 1;
+      db.onThisDayMinPhotos = 1;
+
+      const shown = [];
+      for (let i = 0; i < 2; i++) {
+        const photo = await db.getOnThisDayPhoto(now);
+        shown.push([photo.id, photo.on_this_day.exactDay]);
+        await db.markPhotoViewed(photo.id);
+      }
+
+      expect(shown.sort()).toEqual([['exact', true], ['nextDay', false]]);
+    });
+
+    test('should fall back when too few photos match', async () => {
+      db.onThisDayMinPhotos = 2;
+
+      expect(await db.getOnThisDayPhoto(now)).toBeNull();
+    });
+
+    test('should remember Feb 29 on Feb 28 in non-leap years', () => {
+      expect(db.getOnThisDayMonthDays(new Date(2025, 1, 28))).toEqual([228, 229]);
+      expect(db.getOnThisDayMonthDays(new Date(2024, 1, 28))).toEqual([228]);
+    });
+
+    test('should prefetch memories first', async () => {
+      const today = new Date();
+      const yearsAgo = (days) => new Date(2018, today.getMonth(), today.getDate() + days, 10).toISOString();
+
+      db.sortMode = 'onThisDay';
+      await db.savePhoto({ id: 'uncachedMemory', name: 'm.jpg', parents: ['z'], createdTime: yearsAgo(0) });
+      await db.savePhoto({ id: 'aaa', name: 'a.jpg', parents: ['a'], createdTime: yearsAgo(180) });
+
+      const toCache = await db.getPhotosToCache(1);
+
+      expect(toCache[0].id).toBe('uncachedMemory');
+    });
+  });
+
+  describe('Folder Weights', () => {
+    beforeEach(async () => {
+      const photos = [];
+      for (let i = 0; i < 20; i++) {
+        photos.push({ id: `big${String(i).padStart(2, '0')}`, name: `big${i}.jpg`, parents: ['big/sub'], rootFolderId: 'big' });
+      }
+      for (let i = 0; i < 2; i++) {
+        photos.push({ id: `small${i}`, name: `small${i}.jpg`, parents: ['small'], rootFolderId: 'small' });
+      }
+      await db.savePhotos(photos);
+    });
+
+    /**
+     * Mark every photo as cached
+     */
+    async function cacheAll() {
+      const rows = await db.query('SELECT id FROM photos');
+      for (const row of rows) {
+        await db.updatePhotoCache(row.id, `/path/${row.id}.jpg`, 1024);
+      }
+    }
+
+    test('should give each folder its weighted share regardless of size', async () => {
+      db.setFolderWeights({ big: 1, small: 3 });
+      await cacheAll();
+
+      const shown = [];
+      for (let i = 0; i < 8; i++) {
+        const photo = await db.getNextPhoto();
+        shown.push(photo.id);
+        await db.markPhotoViewed(photo.id);
+      }
+
+      expect(shown.filter(id => id.startsWith('small'))).toHaveLength(6);
+      expect(shown.filter(id => id.startsWith('big'))).toHaveLength(2);
+    });
+
+    test('should still show unviewed photos first within a folder', async () => {
+      await cacheAll();
+      await db.markPhotoViewed('small0');
+
+      const shown = [];
+      for (let i = 0; i < 2; i++) {
+        shown.push((await db.getNextPhoto()).id);
+      }
+
+      expect(shown).toEqual(['big00', 'small1']);
+    });
+
+    test('should inherit the root folder for photos found by incremental sync', async () => {
+      await db.savePhoto({ id: 'big-new', name: 'new.jpg', parents: ['big/sub'] });
+      await db.savePhoto({ id: 'big00', name: 'big0.jpg', parents: ['big/sub'] });
+
+      const rows = await db.query("SELECT id, root_folder_id FROM photos WHERE id IN ('big-new', 'big00') ORDER BY id");
+      expect(rows.map(r => r.root_folder_id)).toEqual(['big', 'big']);
+    });
+
+    test('should interleave prefetching by weight', async () => {
+      db.setFolderWeights({ small: 4 });
+
+      const toCache = await db.getPhotosToCache(3);
+
+      expect(toCache.map(p => p.id)).toEqual(['small0', 'small1', 'big00']);
+    });
+  });
+
+  describe('Condition', () => {
+    const photos = [
+      { id: 'keep', name: 'IMG_1.jpg', parents: ['f'], imageMediaMetadata: { width: 1200, height: 800 } },
+      { id: 'small', name: 'IMG_2.jpg', parents: ['f'], imageMediaMetadata: { width: 200, height: 100 } },
+      { id: 'screen', name: 'Screenshot 1.png', parents: ['f'], imageMediaMetadata: { width: 1200, height: 800 } },
+    ];
+
+    /**
+     * Open the test database again with another condition
+     * @param {object} condition - Filter condition
+     */
+    async function reopen(condition) {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { condition });
+      await db.initialize();
+    }
+
+    beforeEach(async () => {
+      await reopen({ minWidth: 400, excludeFilename: 'screenshot*' });
+      await db.savePhotos(photos);
+    });
+
+    test('should only prefetch matching photos', async () => {
+      const toCache = await db.getPhotosToCache(10);
+      expect(toCache.map(p => p.id)).toEqual(['keep']);
+    });
+
+    test('should never display excluded photos', async () => {
+      for (const p of photos) {
+        await db.updatePhotoCache(p.id, `/path/${p.id}.jpg`, 1024);
+      }
+
+      for (let i = 0; i < 3; i++) {
+        const photo = await db.getNextPhoto();
+        expect(photo.id).toBe('keep');
+        await db.markPhotoViewed(photo.id);
+      }
+    });
+
+    test('should re-evaluate stored photos when the condition changes', async () => {
+      await db.updatePhotoCache('screen', '/path/screen.jpg', 1024);
+      await reopen({ minWidth: 400 });
+
+      const toCache = await db.getPhotosToCache(10);
+      expect(toCache.map(p => p.id)).toEqual(['keep']);
+      expect((await db.getNextPhoto()).id).toBe('screen');
+
+      await reopen({ orientation: 'portrait' });
+      const evict = await db.getOldestCachedPhotos(1);
+      expect(evict[0].id).toBe('screen');
+    });
+  });
+
+  describe('Orientation', () => {
+    test('should swap the size of photos Drive reports as rotated', async () => {
+      await db.savePhoto({ id: 'turned', name: 'a.jpg', parents: ['f'], imageMediaMetadata: { width: 4000, height: 3000, rotation: 1 } });
+
+      const photo = await db.db.get('SELECT width, height FROM photos WHERE id = ?', ['turned']);
+      expect([photo.width, photo.height]).toEqual([3000, 4000]);
+    });
+
+    test('should keep the size measured while caching across rescans', async () => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { condition: { orientation: 'landscape' } });
+      await db.initialize();
+
+      const scanned = { id: 'exif6', name: 'b.jpg', parents: ['f'], imageMediaMetadata: { width: 4000, height: 3000 } };
+      await db.savePhoto(scanned);
+      await db.updatePhotoCacheBlob('exif6', Buffer.from('jpeg'), 'image/jpeg');
+      await db.updatePhotoDimensions('exif6', 3000, 4000);
+      await db.savePhotos([scanned]);
+
+      const photo = await db.db.get('SELECT width, height, filtered_out FROM photos WHERE id = ?', ['exif6']);
+      expect([photo.width, photo.height]).toEqual([3000, 4000]);
+      // A portrait once upright: the landscape-only condition now excludes it
+      expect(photo.filtered_out).toBe(1);
+    });
+  });
+
+  describe('Videos', () => {
+    const photos = [
+      { id: 'still', name: 'IMG_1.jpg', parents: ['f'], imageMediaMetadata: { width: 1200, height: 800 } },
+      // Drive reports video numbers as strings
+      { id: 'short', name: 'VID_1.mp4', parents: ['f'], mimeType: 'video/mp4', size: '2000000', videoMediaMetadata: { durationMillis: '8000' } },
+      { id: 'long', name: 'VID_2.mp4', parents: ['f'], mimeType: 'video/mp4', size: '9000000', videoMediaMetadata: { durationMillis: '95000' } },
+      { id: 'large', name: 'VID_3.mov', parents: ['f'], mimeType: 'video/quicktime', size: 300 * 1024 * 1024, videoMediaMetadata: { durationMillis: 20000 } },
+    ];
+
+    /**
+     * Open the test database again with other video settings
+     * @param {object} videos - The `videos` config option
+     */
+    async function reopen(videos) {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { videos });
+      await db.initialize();
+    }
+
+    test('should skip videos unless enabled', async () => {
+      await db.savePhotos(photos);
+
+      const toCache = await db.getPhotosToCache(10);
+      expect(toCache.map(p => p.id)).toEqual(['still']);
+    });
+
+    test('should only keep clips within the duration and size limits', async () => {
+      await db.savePhotos(photos);
+      await reopen({ enabled: true, maxDuration: 30 });
+
+      const toCache = await db.getPhotosToCache(10);
+      expect(toCache.map(p => [p.id, p.media_type]).sort()).toEqual([['short', 'video'], ['still', 'image']]);
+
+      await db.updatePhotoCache('short', '/path/short.mp4', 2000000, 'video/mp4');
+      const clip = await db.getNextPhoto();
+      expect(clip.cached_mime_type).toBe('video/mp4');
+      expect(clip.duration_ms).toBe(8000);
+    });
+  });
+
+  describe('Playlists', () => {
+    beforeEach(async () => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, {
+        playlists: {
+          xmas: { folders: ['xmas'] },
+          trips: { folders: ['/photos/trips/'] },
+          wide: { condition: { orientation: 'landscape' }, sortMode: 'newest' },
+        },
+      });
+      await db.initialize();
+
+      await db.savePhotos([
+        { id: 'x1', name: 'x1.jpg', parents: ['xmas-2019'], rootFolderId: 'xmas', createdTime: '2019-12-24T10:00:00Z', imageMediaMetadata: { width: 800, height: 600 } },
+        { id: 'a1', name: 'a1.jpg', parents: ['all'], createdTime: '2020-01-01T10:00:00Z', imageMediaMetadata: { width: 800, height: 600 } },
+        { id: 'a2', name: 'a2.jpg', parents: ['all'], createdTime: '2021-01-01T10:00:00Z', imageMediaMetadata: { width: 600, height: 800 } },
+        { id: 'a3', name: 'a3.jpg', parents: ['all'], createdTime: '2022-01-01T10:00:00Z', imageMediaMetadata: { width: 800, height: 600 } },
+      ]);
+    });
+
+    test('should only show photos of the active playlist', async () => {
+      for (const id of ['x1', 'a1', 'a2', 'a3']) {
+        await db.updatePhotoCache(id, `/path/${id}.jpg`, 1024);
+      }
+
+      expect((await db.getNextPhoto('xmas')).id).toBe('x1');
+
+      // Playlist sort mode (newest) and condition (landscape only)
+      const shown = [];
+      for (let i = 0; i < 3; i++) {
+        const photo = await db.getNextPhoto('wide');
+        shown.push(photo.id);
+        await db.markPhotoViewed(photo.id);
+      }
+      expect(shown.slice(0, 2).sort()).toEqual(['a3', 'x1']);
+      expect(shown).not.toContain('a2');
+    });
+
+    test('should match folders below a playlist folder by path', async () => {
+      await db.savePhotos([
+        { id: 'deep', name: 'deep.jpg', parents: ['/photos/trips/2019/rome'], rootFolderId: '/photos' },
+        { id: 'sibling', name: 'sibling.jpg', parents: ['/photos/tripsX'], rootFolderId: '/photos' },
+      ]);
+      for (const id of ['deep', 'sibling']) {
+        await db.updatePhotoCache(id, `/path/${id}.jpg`, 1024);
+      }
+
+      const shown = [];
+      for (let i = 0; i < 2; i++) {
+        const photo = await db.getNextPhoto('trips');
+        shown.push(photo.id);
+        await db.markPhotoViewed(photo.id);
+      }
+      expect(shown).toEqual(['deep', 'deep']);
+    });
+
+    test('should fall back to all photos while a playlist is not cached', async () => {
+      await db.updatePhotoCache('a1', '/path/a1.jpg', 1024);
+
+      expect((await db.getNextPhoto('xmas')).id).toBe('a1');
+    });
+
+    test('should prefetch priority playlists first', async () => {
+      const toCache = await db.getPhotosToCache(2, ['xmas']);
+
+      expect(toCache[0].id).toBe('x1');
+    });
+  });
+
+  describe('Paired Layout', () => {
+    beforeEach(async () => {
+      await db.close();
+      db = new PhotoDatabase(testDbPath, () => {}, { pairOrientation: 'portrait' });
+      await db.initialize();
+
+      const photos = [
+        { id: 'p1', createdTime: '2020-01-01T10:00:00Z', imageMediaMetadata: { width: 600, height: 800 } },
+        { id: 'p2', createdTime: '2023-06-01T10:00:00Z', imageMediaMetadata: { width: 600, height: 800 } },
+        { id: 'p3', createdTime: '2020-01-02T10:00:00Z', imageMediaMetadata: { width: 600, height: 800 } },
+        { id: 'wide', createdTime: '2020-01-01T11:00:00Z', imageMediaMetadata: { width: 800, height: 600 } },
+      ];
+      await db.savePhotos(photos.map(p => ({ ...p, name: `${p.id}.jpg`, parents: ['folder'] })));
+      for (const p of photos) {
+        await db.updatePhotoCache(p.id, `/path/${p.id}.jpg`, 1024);
+      }
+    });
+
+    test('should pair a portrait with the one taken closest in time', async () => {
+      const photo = await db.getNextPhoto();
+
+      expect(photo.id).toBe('p1');
+      expect(photo.pair.id).toBe('p3');
+    });
+
+    test('should not pair photos cached as a clip', async () => {
+      await db.updatePhotoCache('p3', '/path/p3.mp4', 1024, 'video/mp4');
+
+      const photo = await db.getNextPhoto();
+
+      expect(photo.id).toBe('p1');
+      expect(photo.pair.id).toBe('p2');
+    });
+
+    test('should show photos matching the screen alone', async () => {
+      for (const id of ['p1', 'p2', 'p3']) {
+        await db.markPhotoViewed(id);
+      }
+
+      const photo = await db.getNextPhoto();
+
+      expect(photo.id).toBe('wide');
+      expect(photo.pair).toBeUndefined();
+    });
+  });
 });
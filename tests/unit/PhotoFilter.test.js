@@ -0,0 +1,82 @@
+/**
+ * Unit Tests for PhotoFilter
+ */
+
+const PhotoFilter = require('../../components/PhotoFilter');
+
+describe('PhotoFilter', () => {
+  const photo = (overrides = {}) => ({
+    filename: 'IMG_0001.jpg',
+    width: 4000,
+    height: 3000,
+    creation_time: new Date(2019, 5, 15).getTime(),
+    ...overrides,
+  });
+
+  test('should accept everything without a condition', () => {
+    const filter = new PhotoFilter(null);
+
+    expect(filter.isActive()).toBe(false);
+    expect(filter.matches(photo({ width: 10, height: 10 }))).toBe(true);
+  });
+
+  test('should treat partial dates as whole periods', () => {
+    const filter = new PhotoFilter({ fromDate: '2019-06', toDate: '2019' });
+
+    expect(filter.matches(photo({ creation_time: new Date(2019, 4, 31, 23, 59).getTime() }))).toBe(false);
+    expect(filter.matches(photo({ creation_time: new Date(2019, 5, 1).getTime() }))).toBe(true);
+    expect(filter.matches(photo({ creation_time: new Date(2019, 11, 31, 23, 59).getTime() }))).toBe(true);
+    expect(filter.matches(photo({ creation_time: new Date(2020, 0, 1).getTime() }))).toBe(false);
+  });
+
+  test('should filter by size and aspect ratio', () => {
+    const filter = new PhotoFilter({ minWidth: 800, maxHeight: 5000, minWHRatio: 1 });
+
+    expect(filter.matches(photo())).toBe(true);
+    expect(filter.matches(photo({ width: 640, height: 480 }))).toBe(false);
+    expect(filter.matches(photo({ width: 3000, height: 4000 }))).toBe(false);
+  });
+
+  test('should filter by orientation', () => {
+    const portrait = new PhotoFilter({ orientation: 'portrait' });
+    const square = new PhotoFilter({ orientation: 'square' });
+
+    expect(portrait.matches(photo())).toBe(false);
+    expect(portrait.matches(photo({ width: 3000, height: 4000 }))).toBe(true);
+    expect(square.matches(photo({ width: 1000, height: 1020 }))).toBe(true);
+    expect(() => new PhotoFilter({ orientation: 'sideways' })).toThrow('Invalid orientation');
+  });
+
+  test('should not filter photos with unknown date or size', () => {
+    const filter = new PhotoFilter({ fromDate: '2020', minWidth: 800, orientation: 'portrait' });
+
+    expect(filter.matches(photo({ creation_time: null, width: null, height: null }))).toBe(true);
+  });
+
+  test('should match filename globs case-insensitively', () => {
+    const filter = new PhotoFilter({ filename: '*.jpg', excludeFilename: ['screenshot*', 'IMG_????_edit.*'] });
+
+    expect(filter.matches(photo())).toBe(true);
+    expect(filter.matches(photo({ filename: 'photo.JPG' }))).toBe(true);
+    expect(filter.matches(photo({ filename: 'clip.png' }))).toBe(false);
+    expect(filter.matches(photo({ filename: 'Screenshot 2024.jpg' }))).toBe(false);
+    expect(filter.matches(photo({ filename: 'IMG_0001_edit.jpg' }))).toBe(false);
+    expect(filter.matches(photo({ filename: 'IMG_(1).jpg' }))).toBe(true);
+  });
+
+  test('should match filename regexes', () => {
+    const filter = new PhotoFilter({ excludeFilename: '/^img_\\d+\\.jpg$/i' });
+
+    expect(filter.matches(photo())).toBe(false);
+    expect(filter.matches(photo({ filename: 'IMG_x.jpg' }))).toBe(true);
+  });
+
+  test('should change signature with the condition', () => {
+    const a = new PhotoFilter({ minWidth: 800, orientation: 'portrait' });
+    const b = new PhotoFilter({ orientation: 'portrait', minWidth: 800 });
+    const c = new PhotoFilter({ minWidth: 900, orientation: 'portrait' });
+
+    expect(a.getSignature()).toBe(b.getSignature());
+    expect(a.getSignature()).not.toBe(c.getSignature());
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Unit Tests for Places
+ */
+
+const Places = require('../../components/Places');
+
+describe('Places', () => {
+  // Springfield, IL
+  const home = { name: 'Home', latitude: 39.7817, longitude: -89.6501, radius: 150 };
+
+  test('should match positions within a circle', () => {
+    const places = new Places([home]);
+
+    // ~100m north
+    expect(places.resolve(39.7826, -89.6501)).toBe('Home');
+    // ~300m north
+    expect(places.resolve(39.7844, -89.6501)).toBeNull();
+  });
+
+  test('should match positions within a polygon', () => {
+    const places = new Places([{
+      name: 'Park',
+      polygon: [[39.80, -89.66], [39.80, -89.64], [39.79, -89.64], [39.79, -89.66]],
+    }]);
+
+    expect(places.resolve(39.795, -89.65)).toBe('Park');
+    expect(places.resolve(39.805, -89.65)).toBeNull();
+    expect(places.getBounds()).toEqual([{ south: 39.79, north: 39.80, west: -89.66, east: -89.64 }]);
+  });
+
+  test('should hide hidden places and use the first matching place', () => {
+    const places = new Places([
+      { hide: true, latitude: 39.7817, longitude: -89.6501, radius: 50 },
+      home,
+    ]);
+
+    expect(places.resolve(39.7817, -89.6501)).toBe('');
+    expect(places.resolve(39.7826, -89.6501)).toBe('Home');
+  });
+
+  test('should reject places without a name or area', () => {
+    expect(() => new Places([{ latitude: 1, longitude: 2 }])).toThrow('needs a name');
+    expect(() => new Places([{ name: 'Nowhere' }])).toThrow('"Nowhere" needs latitude');
+    expect(() => new Places([{ name: 'Line', polygon: [[1, 2], [3, 4]] }])).toThrow('at least 3');
+    expect(new Places(undefined).size).toBe(0);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Unit Tests for Scheduler
+ */
+
+const Scheduler = require('../../components/Scheduler');
+
+describe('Scheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler({
+      playlists: { christmas: {}, kids: {}, night: {} },
+      rules: [
+        { playlist: 'christmas', months: [12] },
+        { playlist: 'kids', days: ['Saturday', 0], from: '13:00', to: '18:00' },
+        { playlist: 'night', from: '21:00', to: '06:00' },
+      ],
+      prefetchMinutes: 30,
+    });
+  });
+
+  test('should pick the first matching rule', () => {
+    expect(scheduler.getActivePlaylist(new Date(2025, 11, 6, 14, 0))).toBe('christmas');
+    expect(scheduler.getActivePlaylist(new Date(2025, 5, 7, 14, 0))).toBe('kids');
+    expect(scheduler.getActivePlaylist(new Date(2025, 5, 9, 14, 0))).toBeNull();
+  });
+
+  test('should wrap time ranges around midnight', () => {
+    expect(scheduler.getActivePlaylist(new Date(2025, 5, 9, 23, 30))).toBe('night');
+    expect(scheduler.getActivePlaylist(new Date(2025, 5, 10, 5, 59))).toBe('night');
+    expect(scheduler.getActivePlaylist(new Date(2025, 5, 10, 6, 0))).toBeNull();
+  });
+
+  test('should look ahead for the upcoming playlist', () => {
+    expect(scheduler.getUpcomingPlaylist(new Date(2025, 5, 9, 20, 40))).toBe('night');
+    expect(scheduler.getUpcomingPlaylist(new Date(2025, 5, 9, 20, 20))).toBeNull();
+    expect(scheduler.getPrefetchPlaylists(new Date(2025, 5, 7, 17, 45))).toEqual(['kids']);
+    expect(scheduler.getPrefetchPlaylists(new Date(2025, 10, 30, 23, 45))).toEqual(['night', 'christmas']);
+  });
+
+  test('should reject invalid rules', () => {
+    expect(() => new Scheduler({ playlists: {}, rules: [{ playlist: 'missing' }] }))
+      .toThrow('unknown playlist "missing"');
+    expect(() => new Scheduler({ playlists: { a: {} }, rules: [{ playlist: 'a', days: ['someday'] }] }))
+      .toThrow('invalid day');
+    expect(() => new Scheduler({ playlists: { a: {} }, rules: [{ playlist: 'a', from: '9pm' }] }))
+      .toThrow('invalid time');
+    expect(() => new Scheduler({ playlists: { 'a,b': {} } })).toThrow('Invalid playlist name');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for SchemaMigrations
+ * Runs migrations against in-memory SQLite databases
+ */
+
+const sqlite = require('sqlite');
+const sqlite3 = require('sqlite3');
+const { MIGRATIONS, migrate, getSchemaVersion } = require('../../components/SchemaMigrations');
+
+describe('SchemaMigrations', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await sqlite.open({ filename: ':memory:', driver: sqlite3.Database });
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  const columnsOf = async table => (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+  test('should create the schema of a new database', async () => {
+    const result = await migrate(db, () => {});
+
+    expect(result).toEqual({ from: 0, to: MIGRATIONS.length });
+    expect(await getSchemaVersion(db)).toBe(MIGRATIONS.length);
+    expect(await columnsOf('photos')).toEqual(expect.arrayContaining(['id', 'cached_data', 'location_components']));
+    expect(await columnsOf('geocode_cache')).toContain('components');
+
+    // Nothing left to do on the next start
+    expect(await migrate(db, () => {})).toEqual({ from: MIGRATIONS.length, to: MIGRATIONS.length });
+  });
+
+  test('should upgrade a database from before versioning without losing data', async () => {
+    await db.exec(`
+      CREATE TABLE photos (id TEXT PRIMARY KEY, folder_id TEXT NOT NULL, filename TEXT, creation_time INTEGER,
+        width INTEGER, height INTEGER, latitude REAL, longitude REAL, altitude REAL, location_name TEXT,
+        last_viewed_at INTEGER, cached_path TEXT, cached_at INTEGER, cached_size_bytes INTEGER,
+        cached_data BLOB, cached_mime_type TEXT);
+      CREATE TABLE settings (key TEXT PRIMARY KEY, value TEXT);
+      INSERT INTO photos (id, folder_id, filename, creation_time, cached_data) VALUES ('p1', 'f', 'a.jpg', ${Date.UTC(2020, 5, 15, 12)}, x'FFD8');
+      INSERT INTO settings (key, value) VALUES ('changes_token', 'abc');
+    `);
+
+    await migrate(db, () => {});
+
+    const photo = await db.get('SELECT * FROM photos WHERE id = ?', ['p1']);
+    expect(photo).toMatchObject({ filename: 'a.jpg', media_type: 'image', filtered_out: 0, creation_month_day: 615 });
+    expect(photo.cached_data).toEqual(Buffer.from([0xFF, 0xD8]));
+    expect(await db.get('SELECT value FROM settings WHERE key = ?', ['changes_token'])).toEqual({ value: 'abc' });
+  });
+
+  test('should run only the steps newer than the schema version, in order', async () => {
+    const steps = [];
+    const migrations = [1, 2, 3].map(version => ({
+      version,
+      description: `Step ${version}`,
+      up: async () => { steps.push(version); },
+    }));
+
+    await migrate(db, () => {}, migrations.slice(0, 1));
+    await migrate(db, () => {}, migrations);
+
+    expect(steps).toEqual([1, 2, 3]);
+    expect(await getSchemaVersion(db)).toBe(3);
+    await expect(migrate(db, () => {}, [migrations[1]])).rejects.toThrow('expected 1');
+  });
+
+  test('should roll back a failing step and keep the earlier ones', async () => {
+    const migrations = [
+      { version: 1, description: 'Create table', up: db => db.exec('CREATE TABLE kept (id INTEGER)') },
+      {
+        version: 2,
+        description: 'Broken',
+        up: async db => {
+          await db.exec('CREATE TABLE half_done (id INTEGER)');
+          await db.exec('ALTER TABLE missing ADD COLUMN x TEXT');
+        },
+      },
+    ];
+
+    await expect(migrate(db, () => {}, migrations)).rejects.toThrow('Schema migration to version 2 failed');
+
+    expect(await getSchemaVersion(db)).toBe(1);
+    const tables = (await db.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(t => t.name);
+    expect(tables).toEqual(['kept']);
+  });
+
+  test('should leave databases from a newer version alone', async () => {
+    await db.exec(`PRAGMA user_version = ${MIGRATIONS.length + 5}`);
+    const log = jest.fn();
+
+    expect(await migrate(db, log)).toEqual({ from: MIGRATIONS.length + 5, to: MIGRATIONS.length + 5 });
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('newer'));
+    expect(await db.all("SELECT name FROM sqlite_master WHERE type = 'table'")).toEqual([]);
+  });
+});
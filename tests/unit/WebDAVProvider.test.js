@@ -0,0 +1,191 @@
+/**
+ * Unit Tests for WebDAVProvider
+ * Runs the provider against a local HTTP stand-in for a Nextcloud WebDAV endpoint
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const WebDAVProvider = require('../../components/providers/WebDAVProvider');
+
+const BASE_PATH = '/remote.php/dav/files/alice';
+
+/**
+ * Minimal WebDAV stand-in. Folder ETags are derived from their whole subtree,
+ * matching how Nextcloud propagates changes to parent folders.
+ */
+function createWebDAVStandIn() {
+  const state = {
+    files: new Map(),  // relative path → { etag, contentType }
+    requests: [],
+  };
+
+  const folderEtag = (folder) => {
+    const hash = crypto.createHash('md5');
+    for (const [filePath, file] of [...state.files].sort()) {
+      if (filePath.startsWith(`${folder}/`)) {
+        hash.update(filePath + file.etag);
+      }
+    }
+    return hash.digest('hex');
+  };
+
+  const childrenOf = (folder) => {
+    const files = [];
+    const folders = new Set();
+    for (const [filePath, file] of state.files) {
+      if (!filePath.startsWith(`${folder}/`)) {
+        continue;
+      }
+      const rest = filePath.slice(folder.length + 1);
+      if (rest.includes('/')) {
+        folders.add(`${folder}/${rest.split('/')[0]}`);
+      } else {
+        files.push([filePath, file]);
+      }
+    }
+    return { files, folders: [...folders] };
+  };
+
+  const response = (href, props) => `
+    <d:response>
+      <d:href>${BASE_PATH}${href.split('/').map(encodeURIComponent).join('/')}</d:href>
+      <d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat>
+    </d:response>`;
+
+  const server = http.createServer((req, res) => {
+    state.requests.push({ method: req.method, url: req.url, headers: req.headers });
+    const relative = decodeURIComponent(req.url.slice(BASE_PATH.length)).replace(/\/+$/, '');
+
+    if (req.method === 'GET') {
+      if (!state.files.has(relative)) {
+        res.writeHead(404);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+      return res.end(`content of ${relative}`);
+    }
+
+    const parts = [response(`${relative}/`, `<d:resourcetype><d:collection/></d:resourcetype><d:getetag>"${folderEtag(relative)}"</d:getetag>`)];
+    if (req.headers.depth === '1') {
+      const { files, folders } = childrenOf(relative);
+      for (const folder of folders) {
+        parts.push(response(`${folder}/`, `<d:resourcetype><d:collection/></d:resourcetype><d:getetag>"${folderEtag(folder)}"</d:getetag>`));
+      }
+      for (const [filePath, file] of files) {
+        parts.push(response(filePath, `<d:resourcetype/><d:getetag>"${file.etag}"</d:getetag><d:getcontenttype>${file.contentType}</d:getcontenttype><d:getlastmodified>Mon, 01 Jan 2024 00:00:00 GMT</d:getlastmodified>`));
+      }
+    }
+
+    res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+    res.end(`<?xml version="1.0"?><d:multistatus xmlns:d="DAV:">${parts.join('')}</d:multistatus>`);
+  });
+
+  return { server, state };
+}
+
+describe('WebDAVProvider', () => {
+  let server;
+  let state;
+  let provider;
+
+  beforeEach(async () => {
+    ({ server, state } = createWebDAVStandIn());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    state.files.set('/Photos/a.jpg', { etag: 'a1', contentType: 'image/jpeg' });
+    state.files.set('/Photos/notes.txt', { etag: 'n1', contentType: 'text/plain' });
+    state.files.set('/Photos/Trip 2024/b.jpg', { etag: 'b1', contentType: 'image/jpeg' });
+    state.files.set('/Photos/Trip 2024/Day1/c.png', { etag: 'c1', contentType: 'image/png' });
+    state.files.set('/Other/d.jpg', { etag: 'd1', contentType: 'image/jpeg' });
+
+    provider = new WebDAVProvider({
+      url: `http://127.0.0.1:${server.address().port}${BASE_PATH}/`,
+      username: 'alice',
+      appPassword: 'app-secret',
+      folders: [{ id: '/Photos', depth: -1 }],
+    }, () => {});
+    await provider.initialize();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('Scanning', () => {
+    test('should authenticate with the app password', () => {
+      const expected = `Basic ${Buffer.from('alice:app-secret').toString('base64')}`;
+      expect(state.requests[0].headers.authorization).toBe(expected);
+    });
+
+    test('should list images recursively with Depth: 1 requests', async () => {
+      const photos = await provider.fullScan();
+
+      expect(photos.map(p => p.name).sort()).toEqual(['a.jpg', 'b.jpg', 'c.png']);
+      expect(state.requests.filter(r => r.method === 'PROPFIND').every(r => r.headers.depth !== 'infinity')).toBe(true);
+    });
+
+    test('should honour folder depth', async () => {
+      const photos = await provider.scanFolder('/Photos', 1);
+
+      expect(photos.map(p => p.name).sort()).toEqual(['a.jpg', 'b.jpg']);
+    });
+
+    test('should decode paths into parents and timestamps', async () => {
+      const photos = await provider.scanFolder('/Photos', 1);
+      const photo = photos.find(p => p.name === 'b.jpg');
+
+      expect(photo.parents).toEqual(['/Photos/Trip 2024']);
+      expect(photo.createdTime).toBe('2024-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('Downloads', () => {
+    test('should stream a photo by ID', async () => {
+      const [photo] = await provider.scanFolder('/Photos', 0);
+      const stream = await provider.downloadPhoto(photo.id);
+
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).toBe('content of /Photos/a.jpg');
+    });
+  });
+
+  describe('Incremental Sync', () => {
+    let db;
+
+    beforeEach(() => {
+      const settings = {};
+      db = {
+        getSetting: jest.fn(async (key) => settings[key] || null),
+        saveSetting: jest.fn(async (key, value) => { settings[key] = value; }),
+      };
+      provider.setDatabase(db);
+    });
+
+    test('should detect added, modified and deleted files', async () => {
+      const token = await provider.getStartPageToken();
+
+      state.files.set('/Photos/new.jpg', { etag: 'x1', contentType: 'image/jpeg' });
+      state.files.set('/Photos/Trip 2024/b.jpg', { etag: 'b2', contentType: 'image/jpeg' });
+      state.files.delete('/Photos/Trip 2024/Day1/c.png');
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos.map(p => p.name).sort()).toEqual(['b.jpg', 'new.jpg']);
+      expect(changes.deletedIds).toEqual([WebDAVProvider.pathToId('/Photos/Trip 2024/Day1/c.png')]);
+    });
+
+    test('should not re-list folders whose ETag is unchanged', async () => {
+      const token = await provider.getStartPageToken();
+      state.requests = [];
+
+      const changes = await provider.getChanges(token);
+
+      expect(changes.photos).toHaveLength(0);
+      expect(changes.deletedIds).toHaveLength(0);
+      expect(state.requests).toHaveLength(1);
+    });
+  });
+});